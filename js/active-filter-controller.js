@@ -2,7 +2,8 @@
  * JLTTCK Active Filter - Test Controller
  * 
  * Manages the overall test flow, UI updates, result storage and export.
- * Works with ActiveFilterMosaic for the visual test rendering.
+ * Works with ActiveFilterMosaic for the visual test rendering and InputAccess
+ * for keyboard and switch responses.
  */
 
 const ActiveFilterTestController = (function() {
@@ -36,6 +37,7 @@ const ActiveFilterTestController = (function() {
             scoreRedGreen: document.getElementById('score-red-green'),
             scorePurpleBlue: document.getElementById('score-purple-blue'),
             scorePurpleGreen: document.getElementById('score-purple-green'),
+            cursorStatus: document.getElementById('cursor-status'),
             
             // Instruction and diagnosis
             instruction: document.getElementById('instruction-text'),
@@ -88,8 +90,12 @@ const ActiveFilterTestController = (function() {
             initializeMosaic();
         }
         
+        // Every random choice in the run derives from the session seed (?seed= to reproduce a run)
+        const seed = Utils.setSessionSeed(Utils.parseSeed(new URLSearchParams(window.location.search).get('seed')));
+        
         isTestActive = true;
         testSession = {
+            seed,
             startTime: new Date().toISOString(),
             endTime: null,
             results: null,
@@ -106,11 +112,13 @@ const ActiveFilterTestController = (function() {
             elements.btnDontSee.disabled = false;
         }
         
+        attachInput();
         mosaicTest.start();
     }
 
     function restartTest() {
         if (mosaicTest) {
+            attachInput();
             mosaicTest.restart();
         }
         
@@ -138,12 +146,47 @@ const ActiveFilterTestController = (function() {
         if (mosaicTest) {
             mosaicTest.stop();
         }
+        detachInput();
         isTestActive = false;
         
         // Return to main page
         window.location.href = 'index.html';
     }
 
+    // ============================================
+    // Keyboard and Switch Access
+    // ============================================
+    // Response input: ?input=switch or the choice saved in the main app
+    function initInputAccess() {
+        const settings = Storage.getSettings();
+        const urlMode = new URLSearchParams(window.location.search).get('input');
+        
+        InputAccess.init({
+            mode: InputAccess.config.modes.includes(urlMode) ? urlMode : (settings.inputMode || 'pointer'),
+            scanInterval: settings.scanInterval || InputAccess.config.defaultScanInterval,
+            callbacks: {
+                onChange: (text) => {
+                    if (elements.cursorStatus) elements.cursorStatus.textContent = text;
+                }
+            }
+        });
+    }
+
+    // Keyboard and switch responses go to the same tiles as clicks
+    function attachInput() {
+        InputAccess.attach({
+            getGridSize: () => ActiveFilterMosaic.CONFIG.gridSize,
+            select: (row, col) => mosaicTest.selectTile(row, col),
+            cantTell: () => handleDontSee(),
+            isActive: () => !!mosaicTest && mosaicTest.isRunning
+        });
+    }
+
+    function detachInput() {
+        InputAccess.detach();
+        if (elements.cursorStatus) elements.cursorStatus.textContent = '';
+    }
+
     // ============================================
     // Mosaic Initialization
     // ============================================
@@ -155,6 +198,8 @@ const ActiveFilterTestController = (function() {
                 onCategoryComplete: handleCategoryComplete,
                 onTestComplete: handleTestComplete,
                 onProgress: handleProgress,
+                onPlateStart: () => InputAccess.reset(),
+                overlay: (ctx) => InputAccess.drawOverlay(ctx, ActiveFilterMosaic.CONFIG.gridSize),
                 getInstructionElement: () => elements.instruction,
                 getResultElements: () => ({
                     p1: elements.scoreRedGreen,
@@ -191,6 +236,8 @@ const ActiveFilterTestController = (function() {
     function handleTestComplete(results, diagnosis) {
         isTestActive = false;
         
+        detachInput();
+        
         testSession.endTime = new Date().toISOString();
         testSession.results = results;
         testSession.diagnosis = diagnosis;
@@ -226,6 +273,12 @@ const ActiveFilterTestController = (function() {
                 case 'protan':
                     typeLabel = 'PROTAN TYPE COLOR VISION DEFICIENCY';
                     break;
+                case 'unclassified':
+                    typeLabel = 'RED-GREEN COLOR VISION DEFICIENCY';
+                    break;
+                case 'not-tested':
+                    typeLabel = 'NOT TESTED';
+                    break;
                 default:
                     typeLabel = diagnosis.type.toUpperCase();
             }
@@ -234,8 +287,9 @@ const ActiveFilterTestController = (function() {
         
         // Severity
         if (elements.diagnosisSeverity) {
-            if (diagnosis.severity !== 'none') {
-                elements.diagnosisSeverity.textContent = diagnosis.severity.toUpperCase();
+            if (diagnosis.severity !== 'none' && diagnosis.severity !== 'not-tested') {
+                elements.diagnosisSeverity.textContent = diagnosis.severity.toUpperCase() +
+                    (diagnosis.uncertain ? ' (UNCERTAIN)' : '');
                 showElement(elements.diagnosisSeverity);
             } else {
                 hideElement(elements.diagnosisSeverity);
@@ -369,6 +423,7 @@ const ActiveFilterTestController = (function() {
     function init() {
         cacheElements();
         bindEvents();
+        initInputAccess();
         
         console.log('JLTTCK Active Filter Test Controller initialized');
     }
@@ -7,6 +7,7 @@
  * Features:
  * - 18x18 animated particle grid with sine-wave luminance modulation
  * - 3 test categories with 20 progressive difficulty levels each
+ * - Psychometric threshold fit per category (see Psychometric)
  * - 3x3 target detection area
  * - Real-time HSL color animation
  * - Responsive canvas sizing
@@ -24,18 +25,9 @@ const ActiveFilterMosaic = (function() {
         gridSize: 18,
         tilePadding: 0,
         
-        // Canvas sizes
-        desktop: {
-            tileSize: 30,
-            width: 600,
-            height: 600
-        },
-        mobile: {
-            tileSize: 16,
-            width: 320,
-            height: 330
-        },
-        mobileBreakpoint: 760,
+        // Largest canvas; tiles are sized to a visual angle by ViewingGeometry
+        maxCanvasSize: 600,
+        canvasMargin: 32,
         
         // Animation settings
         animationFrames: 10,
@@ -45,6 +37,21 @@ const ActiveFilterMosaic = (function() {
         // Test settings
         levelsPerCategory: 20,
         targetSize: 3,  // 3x3 tile target area
+        levelDeltaE: {  // CIEDE2000 target/background distance of the first and last level
+            max: 30,
+            min: 1.5
+        },
+        calibrationDeltaE: 40,
+        maxFailedLevels: 3,  // A level fails after two misses; the category ends after this many
+        
+        // Diagnosis cutoffs: upper bound of each bucket's red-green threshold (CIEDE2000).
+        // A protan-axis (purpleGreen) threshold above `normal` marks the deficiency as protan
+        diagnosis: {
+            normal: 4,
+            veryMild: 5.5,
+            mild: 8,
+            moderate: 15
+        },
         
         // UI text
         messages: {
@@ -57,48 +64,48 @@ const ActiveFilterMosaic = (function() {
 
     // ============================================
     // Color Palettes
-    // Each array contains [h, s, l] triplets for 20 difficulty levels
+    // Each category has a background and CONFIG.levelsPerCategory [h, s, l] targets
+    // on its confusion line (see Colorimetry), stepping down
+    // geometrically in CIEDE2000 from CONFIG.levelDeltaE.max to CONFIG.levelDeltaE.min
     // ============================================
+    const toTriplet = color => [color.h, color.s, color.l];
+
+    const buildPalette = (axis, background) => {
+        const pairs = Colorimetry.generateLevels({
+            axis,
+            background: { h: background[0], s: background[1], l: background[2] },
+            count: CONFIG.levelsPerCategory,
+            maxDeltaE: CONFIG.levelDeltaE.max,
+            minDeltaE: CONFIG.levelDeltaE.min
+        });
+        
+        return {
+            axis,
+            background,
+            levels: pairs.map(pair => toTriplet(pair.outlier)),
+            levelDeltaE: pairs.map(pair => pair.deltaE)
+        };
+    };
+
     const PALETTES = {
-        // Gray calibration palette (single level)
+        // Gray calibration palette (single level, lightness contrast only)
         calibration: {
             background: [0, 0, 20],
-            target: [0, 0, 60]
+            target: toTriplet(Colorimetry.generateLightnessPair({
+                background: { h: 0, s: 0, l: 20 },
+                deltaE: CONFIG.calibrationDeltaE,
+                direction: 1
+            }).outlier)
         },
         
-        // Red-Green confusion axis (Deutan/Protan detection)
-        // Progresses from obvious red to subtle brownish-red
-        redGreen: {
-            background: [111, 78, 20],
-            levels: [
-                [0, 100, 28], [6, 98, 28], [11, 95, 28], [15, 93, 28], [19, 90, 27],
-                [27, 87, 26], [34, 84, 25], [40, 82, 26], [46, 80, 26], [59, 79, 26],
-                [72, 77, 25], [72, 76, 24], [72, 75, 22], [78, 76, 23], [83, 76, 23],
-                [89, 76, 23], [95, 76, 22], [99, 77, 21], [103, 77, 19], [106, 78, 20]
-            ]
-        },
+        // Red-Green confusion axis (Deutan/Protan detection), dark green background
+        redGreen: buildPalette('deutan', [111, 78, 20]),
         
-        // Purple-Blue confusion axis
-        purpleBlue: {
-            background: [300, 100, 16],
-            levels: [
-                [240, 100, 29], [243, 100, 29], [246, 100, 28], [249, 100, 27], [252, 100, 26],
-                [255, 100, 26], [258, 100, 25], [261, 100, 25], [264, 100, 24], [267, 100, 24],
-                [270, 100, 23], [273, 100, 22], [276, 100, 21], [279, 100, 21], [282, 100, 20],
-                [285, 100, 20], [288, 100, 19], [291, 100, 18], [294, 100, 17], [297, 100, 17]
-            ]
-        },
+        // Purple-Blue confusion axis (tritan line), dark magenta background
+        purpleBlue: buildPalette('tritan', [300, 100, 16]),
         
-        // Purple-Green confusion axis (Protan indicator)
-        purpleGreen: {
-            background: [323, 87, 34],
-            levels: [
-                [173, 37, 25], [176, 29, 27], [178, 23, 28], [183, 16, 29], [191, 10, 31],
-                [213, 7, 32], [260, 5, 32], [295, 8, 32], [311, 13, 33], [320, 18, 33],
-                [324, 22, 34], [324, 25, 34], [324, 28, 35], [327, 35, 35], [327, 42, 36],
-                [327, 45, 36], [327, 48, 36], [327, 50, 36], [325, 62, 35], [324, 74, 35]
-            ]
-        }
+        // Purple-Green confusion axis (Protan indicator), magenta background
+        purpleGreen: buildPalette('protan', [323, 87, 34])
     };
 
     // Category order and labels
@@ -113,7 +120,7 @@ const ActiveFilterMosaic = (function() {
     // Represents a single tile in the mosaic grid
     // ============================================
     class Particle {
-        constructor(x, y, id, h, s, l) {
+        constructor(x, y, id, h, s, l, rng) {
             this.id = id;
             this.x = x;
             this.y = y;
@@ -125,9 +132,9 @@ const ActiveFilterMosaic = (function() {
             this.l = l;
             
             // Animation parameters
-            this.frequency = 0.1 + Math.random() * 0.1;
-            this.phase = Math.random() * Math.PI * 2;
-            this.sinValue = Math.random() * 10;
+            this.frequency = 0.1 + rng() * 0.1;
+            this.phase = rng() * Math.PI * 2;
+            this.sinValue = rng() * 10;
         }
 
         /**
@@ -135,8 +142,15 @@ const ActiveFilterMosaic = (function() {
          */
         animate() {
             this.sinValue += this.frequency;
+            this.l = this.lightnessAfter(0);
+        }
+
+        /**
+         * Luminance the given number of animation steps ahead, without advancing the animation
+         */
+        lightnessAfter(frames) {
             // Modulate luminance by ±3 units
-            this.l = this.baseL + Math.sin(this.sinValue * Math.PI / 2) * 3;
+            return this.baseL + Math.sin((this.sinValue + this.frequency * frames) * Math.PI / 2) * 3;
         }
 
         /**
@@ -152,20 +166,84 @@ const ActiveFilterMosaic = (function() {
         }
 
         /**
-         * Get HSL color string for rendering
+         * Get display-corrected color string for rendering
          */
         getColorString() {
-            return `hsl(${this.h}, ${this.s}%, ${this.l}%)`;
+            const rgb = DisplayCalibration.correctRgb(Utils.hslToRgb(this.h, this.s, this.l));
+            return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
         }
     }
 
+    // ============================================
+    // Grid and Target Generation
+    // Shared by MosaicTest and generatePlate, so a standalone plate is laid out
+    // the way the test lays out the same seed, category and level
+    // ============================================
+
+    /**
+     * Particle grid in the background color; positions are in tiles unless a tile size is given
+     * Seeded per level so every grid can be regenerated from the test seed
+     */
+    const createParticles = (seed, category, level, backgroundHSL, tileSize = 1, offsetX = 0, offsetY = 0) => {
+        const [h, s, l] = backgroundHSL;
+        const rng = Utils.createRNG(Utils.deriveSeed(seed, `grid-${category}-${level}`));
+        const particles = [];
+        
+        for (let i = 0; i < CONFIG.gridSize * CONFIG.gridSize; i++) {
+            const row = Math.floor(i / CONFIG.gridSize);
+            const col = i % CONFIG.gridSize;
+            const x = col * tileSize + offsetX;
+            const y = row * tileSize + offsetY;
+            
+            particles.push(new Particle(x, y, i, h, s, l, rng));
+        }
+        return particles;
+    };
+
+    /**
+     * Random target centre tile for each level of a category
+     */
+    const createTargetPositions = (seed, category) => {
+        const rng = Utils.createRNG(Utils.deriveSeed(seed, `targets-${category}`));
+        const positions = [];
+        
+        for (let level = 0; level < CONFIG.levelsPerCategory; level++) {
+            // Random position within grid bounds (allowing for 3x3 area)
+            const maxPos = CONFIG.gridSize - CONFIG.targetSize;
+            const row = Math.floor(rng() * maxPos) + 1;
+            const col = Math.floor(rng() * maxPos) + 1;
+            
+            // Calculate center tile index
+            positions.push(row * CONFIG.gridSize + col);
+        }
+        return positions;
+    };
+
+    /**
+     * Tiles of the target area: 3x3 around the centre tile (offset by -1 row)
+     */
+    const getTargetIndices = centerIdx => {
+        const indices = [];
+        for (let dRow = -1; dRow <= 1; dRow++) {
+            for (let dCol = 0; dCol < CONFIG.targetSize; dCol++) {
+                const idx = centerIdx + (dRow * CONFIG.gridSize) + dCol;
+                if (idx >= 0 && idx < CONFIG.gridSize * CONFIG.gridSize) {
+                    indices.push(idx);
+                }
+            }
+        }
+        return indices;
+    };
+
     // ============================================
     // Main Mosaic Test Class
     // ============================================
     class MosaicTest {
         constructor(canvasSelector, options = {}) {
-            // Canvas setup
-            this.canvas = document.querySelector(canvasSelector);
+            // Canvas setup (selector string or canvas element)
+            this.canvas = typeof canvasSelector === 'string'
+                ? document.querySelector(canvasSelector)
+                : canvasSelector;
             if (!this.canvas) {
                 throw new Error(`Canvas not found: ${canvasSelector}`);
             }
@@ -182,8 +260,10 @@ const ActiveFilterMosaic = (function() {
                 onCategoryComplete: options.onCategoryComplete || (() => {}),
                 onTestComplete: options.onTestComplete || (() => {}),
                 onProgress: options.onProgress || (() => {}),
+                onPlateStart: options.onPlateStart || (() => {}),
                 getInstructionElement: options.getInstructionElement || (() => null),
-                getResultElements: options.getResultElements || (() => ({}))
+                getResultElements: options.getResultElements || (() => ({})),
+                overlay: options.overlay || null   // Drawn over every frame as overlay(ctx), e.g. the keyboard cursor
             };
 
             // Test state
@@ -192,6 +272,10 @@ const ActiveFilterMosaic = (function() {
             this.currentCategory = -1;  // -1 = calibration, 0-2 = main tests
             this.currentLevel = 0;
             this.results = [0, 0, 0];
+            this.trials = [[], [], []];  // Per category: { level, intensity, correct } per attempt
+            this.levelsPassed = 0;
+            this.failedLevels = 0;
+            this.seed = null;
             this.isRunning = false;
             this.hasMissed = false;
             this.animationTimer = null;
@@ -209,15 +293,14 @@ const ActiveFilterMosaic = (function() {
         }
 
         /**
-         * Setup canvas dimensions based on viewport
+         * Setup canvas dimensions: tiles at the target visual angle, shrunk to fit the viewport
          */
         setupDimensions() {
-            const isMobile = window.innerWidth < CONFIG.mobileBreakpoint;
-            const dims = isMobile ? CONFIG.mobile : CONFIG.desktop;
+            const maxSize = Math.min(window.innerWidth - CONFIG.canvasMargin, CONFIG.maxCanvasSize);
             
-            this.tileSize = dims.tileSize;
-            this.canvas.width = dims.width;
-            this.canvas.height = dims.height;
+            this.tileSize = ViewingGeometry.tileSizeFor(CONFIG.gridSize, maxSize);
+            this.canvas.width = CONFIG.gridSize * this.tileSize;
+            this.canvas.height = CONFIG.gridSize * this.tileSize;
             
             // Calculate offsets to center the grid
             const totalWidth = CONFIG.gridSize * this.tileSize;
@@ -230,35 +313,16 @@ const ActiveFilterMosaic = (function() {
          * Initialize particle grid with background color
          */
         initGrid(backgroundHSL) {
-            this.particles = [];
-            const [h, s, l] = backgroundHSL;
-            
-            for (let i = 0; i < CONFIG.gridSize * CONFIG.gridSize; i++) {
-                const row = Math.floor(i / CONFIG.gridSize);
-                const col = i % CONFIG.gridSize;
-                const x = col * this.tileSize + this.offsetX;
-                const y = row * this.tileSize + this.offsetY;
-                
-                this.particles.push(new Particle(x, y, i, h, s, l));
-            }
+            this.particles = createParticles(this.seed, this.currentCategory, this.currentLevel,
+                backgroundHSL, this.tileSize, this.offsetX, this.offsetY);
+            this.options.onPlateStart();
         }
 
         /**
          * Generate random target positions for each level
          */
         generateTargetPositions() {
-            this.targetPositions = [];
-            
-            for (let level = 0; level < CONFIG.levelsPerCategory; level++) {
-                // Random position within grid bounds (allowing for 3x3 area)
-                const maxPos = CONFIG.gridSize - CONFIG.targetSize;
-                const row = Math.floor(Math.random() * maxPos) + 1;
-                const col = Math.floor(Math.random() * maxPos) + 1;
-                
-                // Calculate center tile index
-                const centerIndex = row * CONFIG.gridSize + col;
-                this.targetPositions.push(centerIndex);
-            }
+            this.targetPositions = createTargetPositions(this.seed, this.currentCategory);
         }
 
         /**
@@ -266,16 +330,9 @@ const ActiveFilterMosaic = (function() {
          */
         setTargetColor(targetHSL) {
             const [h, s, l] = targetHSL;
-            const centerIdx = this.targetPositions[this.currentLevel];
             
-            // 3x3 grid around center (offset by -1 row and col)
-            for (let dRow = -1; dRow <= 1; dRow++) {
-                for (let dCol = 0; dCol < CONFIG.targetSize; dCol++) {
-                    const idx = centerIdx + (dRow * CONFIG.gridSize) + dCol;
-                    if (idx >= 0 && idx < this.particles.length) {
-                        this.particles[idx].setColor(h, s, l);
-                    }
-                }
+            for (const idx of getTargetIndices(this.targetPositions[this.currentLevel])) {
+                this.particles[idx].setColor(h, s, l);
             }
         }
 
@@ -313,6 +370,64 @@ const ActiveFilterMosaic = (function() {
             }
         }
 
+        /**
+         * Select a tile by grid position (keyboard, switch or a simulated observer)
+         */
+        selectTile(row, col) {
+            if (!this.isRunning) return;
+            
+            const x = col * this.tileSize + this.offsetX + this.tileSize / 2;
+            const y = row * this.tileSize + this.offsetY + this.tileSize / 2;
+            
+            if (this.isClickOnTarget(x, y)) {
+                this.onCorrectResponse();
+            } else {
+                this.onIncorrectResponse();
+            }
+        }
+
+        /**
+         * Get the colors and position of the current target as { h, s, l } objects
+         */
+        getStimulus() {
+            const toHSL = ([h, s, l]) => ({ h, s, l });
+            const centerIdx = this.targetPositions[this.currentLevel];
+            
+            let background, target;
+            if (this.currentCategory === -1) {
+                background = PALETTES.calibration.background;
+                target = PALETTES.calibration.target;
+            } else {
+                const palette = PALETTES[CATEGORIES[this.currentCategory].id];
+                background = palette.background;
+                target = palette.levels[this.currentLevel];
+            }
+            
+            return {
+                category: this.currentCategory,
+                level: this.currentLevel,
+                background: toHSL(background),
+                target: toHSL(target),
+                // Middle tile of the target area (see setTargetColor)
+                row: Math.floor(centerIdx / CONFIG.gridSize),
+                col: centerIdx % CONFIG.gridSize + 1
+            };
+        }
+
+        /**
+         * Record an attempt at the current level for the psychometric fit
+         */
+        recordTrial(correct) {
+            if (this.currentCategory < 0) return;
+            
+            const palette = PALETTES[CATEGORIES[this.currentCategory].id];
+            this.trials[this.currentCategory].push({
+                level: this.currentLevel,
+                intensity: palette.levelDeltaE[this.currentLevel],
+                correct
+            });
+        }
+
         /**
          * Handle correct target click
          */
@@ -325,28 +440,20 @@ const ActiveFilterMosaic = (function() {
                 return;
             }
             
-            this.currentLevel++;
-            
-            // Update UI
-            this.updateInstruction(CONFIG.messages.instruction);
-            this.updateProgress();
-            
-            // Check if category complete
-            if (this.currentLevel >= CONFIG.levelsPerCategory) {
-                this.onCategoryComplete();
-            } else {
-                this.nextLevel();
-            }
+            this.recordTrial(true);
+            this.levelsPassed++;
+            this.advanceLevel();
         }
 
         /**
          * Handle incorrect click
          */
         onIncorrectResponse() {
+            this.recordTrial(false);
+            
             if (this.hasMissed) {
-                // Second miss - move to next category
-                this.updateInstruction(CONFIG.messages.missed);
-                this.onCategoryComplete();
+                // Second miss - the level is failed
+                this.failLevel();
             } else {
                 // First miss - give another chance
                 this.hasMissed = true;
@@ -360,11 +467,41 @@ const ActiveFilterMosaic = (function() {
         skipLevel() {
             if (!this.isRunning) return;
             
-            // If good performance, mark complete
-            if (this.results[0] > 80) {
-                this.completeTest();
+            this.recordTrial(false);
+            this.failLevel();
+        }
+
+        /**
+         * Fail the current level; the category ends after CONFIG.maxFailedLevels
+         */
+        failLevel() {
+            this.hasMissed = false;
+            this.failedLevels++;
+            
+            // Calibration only has one level
+            if (this.currentCategory === -1 || this.failedLevels >= CONFIG.maxFailedLevels) {
+                this.updateInstruction(CONFIG.messages.missed);
+                this.onCategoryComplete();
             } else {
+                this.advanceLevel();
+            }
+        }
+
+        /**
+         * Move on to the next level, or complete the category after the last one
+         */
+        advanceLevel() {
+            this.currentLevel++;
+            
+            // Update UI
+            this.updateInstruction(CONFIG.messages.instruction);
+            this.updateProgress();
+            
+            // Check if category complete
+            if (this.currentLevel >= CONFIG.levelsPerCategory) {
                 this.onCategoryComplete();
+            } else {
+                this.nextLevel();
             }
         }
 
@@ -374,7 +511,7 @@ const ActiveFilterMosaic = (function() {
         onCategoryComplete() {
             // Store result for current category (skip calibration which is -1)
             if (this.currentCategory >= 0 && this.currentCategory < 3) {
-                const percentage = Math.round((this.currentLevel / CONFIG.levelsPerCategory) * 100);
+                const percentage = Math.round((this.levelsPassed / CONFIG.levelsPerCategory) * 100);
                 this.results[this.currentCategory] = percentage;
                 this.updateProgress();
                 
@@ -390,6 +527,8 @@ const ActiveFilterMosaic = (function() {
             // Move to next category
             this.currentCategory++;
             this.currentLevel = 0;
+            this.levelsPassed = 0;
+            this.failedLevels = 0;
             this.hasMissed = false;
             
             if (this.currentCategory >= CATEGORIES.length) {
@@ -498,17 +637,24 @@ const ActiveFilterMosaic = (function() {
                     this.tileSize - CONFIG.tilePadding
                 );
             }
+            
+            if (this.options.overlay) this.options.overlay(this.ctx);
         }
 
         /**
          * Start the test sequence
+         * Grids and target positions are derived from seed, so a run can be regenerated
          */
-        start() {
+        start(seed = Utils.generateSeed('mosaic')) {
             console.log('Starting mosaic test...');
+            this.seed = seed;
             this.isRunning = true;
             this.currentCategory = -1;
             this.currentLevel = 0;
             this.results = [0, 0, 0];
+            this.trials = [[], [], []];
+            this.levelsPassed = 0;
+            this.failedLevels = 0;
             this.hasMissed = false;
             
             // Start with calibration (gray)
@@ -569,9 +715,10 @@ const ActiveFilterMosaic = (function() {
                 200, 201, 202, 204, 208, 210, 211, 212
             ];
             
-            // Reset to background
+            // Reset to background (currentCategory is past the end after the last category)
+            const category = CATEGORIES[Math.min(this.currentCategory, CATEGORIES.length - 1)];
             const bgHSL = this.currentCategory >= 0 
-                ? PALETTES[CATEGORIES[this.currentCategory].id].background 
+                ? PALETTES[category.id].background 
                 : PALETTES.calibration.background;
             this.initGrid(bgHSL);
             
@@ -586,51 +733,110 @@ const ActiveFilterMosaic = (function() {
         }
 
         /**
-         * Generate diagnosis based on results
+         * Fit a psychometric function to each category's trials
+         * Categories that were not reached have no fit (null)
+         */
+        getFits() {
+            const fits = {};
+            CATEGORIES.forEach((cat, idx) => {
+                fits[cat.id] = Psychometric.fit(this.trials[idx]);
+            });
+            return fits;
+        }
+
+        /**
+         * Generate diagnosis from the fitted thresholds
+         * redGreen is the deutan confusion line, purpleGreen the protan one (see PALETTES).
+         * A category that was never reached has no fit and is left out; with neither red-green
+         * category fitted the diagnosis is 'not-tested'. The result is marked uncertain when a
+         * fit it rests on never found a threshold (bounded above) or its 95% interval spans a cutoff
          */
-        getDiagnosis() {
+        getDiagnosis(fits = this.getFits()) {
             const [redGreen, purpleBlue, purpleGreen] = this.results;
+            const cutoffs = CONFIG.diagnosis;
+            const thresholdOf = fit => (fit ? fit.threshold : null);
+            const thresholds = {
+                redGreen: thresholdOf(fits.redGreen),
+                purpleBlue: thresholdOf(fits.purpleBlue),
+                purpleGreen: thresholdOf(fits.purpleGreen)
+            };
+            const scores = { redGreen, purpleBlue, purpleGreen };
+            
+            // The worse of the two red-green axes sets the severity
+            const tested = ['redGreen', 'purpleGreen'].filter(id => fits[id]);
+            if (tested.length === 0) {
+                return {
+                    type: 'not-tested',
+                    severity: 'not-tested',
+                    description: 'The red-green tests were not reached, so no diagnosis could be made.',
+                    scores,
+                    thresholds,
+                    uncertain: false,
+                    uncertainty: []
+                };
+            }
+            const worstId = tested.reduce((a, b) => (thresholds[b] > thresholds[a] ? b : a));
+            const worst = thresholds[worstId];
             
             let type = 'normal';
             let severity = 'none';
             let description = '';
             
-            // Check for normal vision
-            if (redGreen > 80 || (redGreen === 80 && purpleBlue > 75 && purpleGreen > 80)) {
-                type = 'normal';
-                severity = 'none';
+            if (worst <= cutoffs.normal) {
                 description = 'Normal color vision detected. No significant red-green deficiency found.';
             } else {
-                // Determine type based on which axis is weaker
-                if (purpleGreen < purpleBlue) {
-                    type = 'deutan';
-                    description = 'Deutan type color vision deficiency detected (difficulty with green perception).';
-                } else {
+                // Deutans keep a normal threshold on the protan confusion line; protans do not
+                if (!fits.purpleGreen) {
+                    type = 'unclassified';
+                    description = 'Red-green color vision deficiency detected. The Purple-Green test was not reached, so its type could not be told.';
+                } else if (thresholds.purpleGreen > cutoffs.normal) {
                     type = 'protan';
                     description = 'Protan type color vision deficiency detected (difficulty with red perception).';
+                } else {
+                    type = 'deutan';
+                    description = 'Deutan type color vision deficiency detected (difficulty with green perception).';
                 }
                 
                 // Determine severity
-                if (redGreen < 25 && (purpleBlue < 40 || purpleGreen < 40)) {
-                    severity = 'severe';
-                } else if (redGreen >= 25 && redGreen < 60) {
-                    severity = 'moderate';
-                } else if (redGreen >= 60 && redGreen < 80) {
+                if (worst <= cutoffs.veryMild) {
+                    severity = 'very mild';
+                } else if (worst <= cutoffs.mild) {
                     severity = 'mild';
+                } else if (worst <= cutoffs.moderate) {
+                    severity = 'moderate';
                 } else {
-                    severity = 'very mild';
+                    severity = 'severe';
                 }
             }
             
+            // Severity rests on the worst axis, the type on the protan axis against the normal cutoff
+            const labelOf = id => CATEGORIES.find(cat => cat.id === id).label;
+            const spans = (fit, values) => values.some(value => fit.ci[0] <= value && fit.ci[1] > value);
+            const formatCI = fit => `${fit.ci[0].toFixed(1)}–${fit.ci[1].toFixed(1)} ΔE`;
+            const uncertainty = [];
+            
+            if (fits[worstId].bounded === 'above') {
+                uncertainty.push(`${labelOf(worstId)} threshold was not found within the tested range`);
+            } else if (spans(fits[worstId], [cutoffs.normal, cutoffs.veryMild, cutoffs.mild, cutoffs.moderate])) {
+                uncertainty.push(`${labelOf(worstId)} threshold interval (${formatCI(fits[worstId])}) spans a severity cutoff`);
+            }
+            if ((type === 'protan' || type === 'deutan') && worstId !== 'purpleGreen' &&
+                spans(fits.purpleGreen, [cutoffs.normal])) {
+                uncertainty.push(`Purple-Green threshold interval (${formatCI(fits.purpleGreen)}) spans the protan cutoff`);
+            }
+            
+            if (uncertainty.length > 0) {
+                description += ` This result is uncertain (${uncertainty.join('; ')}); consider retaking the test.`;
+            }
+            
             return {
                 type,
                 severity,
                 description,
-                scores: {
-                    redGreen,
-                    purpleBlue,
-                    purpleGreen
-                }
+                scores,
+                thresholds,
+                uncertain: uncertainty.length > 0,
+                uncertainty
             };
         }
 
@@ -638,14 +844,21 @@ const ActiveFilterMosaic = (function() {
          * Get current results
          */
         getResults() {
+            const fits = this.getFits();
+            
             return {
                 scores: [...this.results],
                 categories: CATEGORIES.map((cat, idx) => ({
                     id: cat.id,
                     label: cat.label,
-                    score: this.results[idx]
+                    score: this.results[idx],
+                    // Threshold (CIEDE2000) with 95% CI, slope and lapse; null if not reached
+                    fit: fits[cat.id],
+                    trials: [...this.trials[idx]]
                 })),
-                diagnosis: this.getDiagnosis()
+                diagnosis: this.getDiagnosis(fits),
+                seed: this.seed,
+                viewing: ViewingGeometry.describe(this.tileSize)
             };
         }
     }
@@ -656,11 +869,67 @@ const ActiveFilterMosaic = (function() {
     return {
         /**
          * Create a new mosaic test instance
+         * canvasSelector may also be a canvas element (e.g. an offscreen one)
          */
         create(canvasSelector, options) {
             return new MosaicTest(canvasSelector, options);
         },
         
+        /**
+         * Generate a plate without running the test, laid out as the test shows the given
+         * seed, category ('calibration' or a CATEGORIES id) and level
+         * target is an [h, s, l] triplet; defaults to the palette color of that level
+         * Returns { seed, category, level, gridSize, background, target, targetCells: [{ row, col }], particles }
+         */
+        generatePlate({ seed, category = 'redGreen', level = 0, target = null }) {
+            const index = CATEGORIES.findIndex(cat => cat.id === category);
+            const palette = PALETTES[category];
+            if (!palette) {
+                throw new Error(`Unknown mosaic category: ${category}`);
+            }
+            
+            const targetHSL = target || (index === -1 ? palette.target : palette.levels[level]);
+            const particles = createParticles(seed, index, level, palette.background);
+            const targetIndices = getTargetIndices(createTargetPositions(seed, index)[level]);
+            for (const idx of targetIndices) {
+                particles[idx].setColor(...targetHSL);
+            }
+            
+            return {
+                seed,
+                category,
+                level,
+                gridSize: CONFIG.gridSize,
+                background: [...palette.background],
+                target: [...targetHSL],
+                targetCells: targetIndices.map(idx => ({
+                    row: Math.floor(idx / CONFIG.gridSize),
+                    col: idx % CONFIG.gridSize
+                })),
+                particles
+            };
+        },
+        
+        /**
+         * Draw a generated plate to fill a canvas, `frames` animation steps in
+         */
+        renderPlate(canvas, plate, frames = 0) {
+            const ctx = canvas.getContext('2d');
+            const tileSize = canvas.width / plate.gridSize;
+            
+            for (const particle of plate.particles) {
+                const rgb = DisplayCalibration.correctRgb(
+                    Utils.hslToRgb(particle.baseH, particle.baseS, particle.lightnessAfter(frames)));
+                ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+                ctx.fillRect(
+                    particle.x * tileSize,
+                    particle.y * tileSize,
+                    tileSize - CONFIG.tilePadding,
+                    tileSize - CONFIG.tilePadding
+                );
+            }
+        },
+        
         /**
          * Configuration access
          */
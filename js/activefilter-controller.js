@@ -2,7 +2,8 @@
  * Active Filter Test Controller
  * 
  * Manages the overall test flow, UI updates, and result storage
- * for the deuteranomaly mosaic test.
+ * for the deuteranomaly mosaic test. Keyboard and switch responses
+ * come through InputAccess, as in the main app.
  */
 
 const ActiveFilterController = (function() {
@@ -32,6 +33,7 @@ const ActiveFilterController = (function() {
             // Score display
             scoreDisplay: document.getElementById('score-display'),
             levelDisplay: document.getElementById('level-display'),
+            cursorStatus: document.getElementById('cursor-status'),
             
             // Instruction and results
             instruction: document.getElementById('instruction-text'),
@@ -71,8 +73,12 @@ const ActiveFilterController = (function() {
             initializeMosaic();
         }
         
+        // Every random choice in the run derives from the session seed (?seed= to reproduce a run)
+        const seed = Utils.setSessionSeed(Utils.parseSeed(new URLSearchParams(window.location.search).get('seed')));
+        
         isTestActive = true;
         testSession = {
+            seed,
             startTime: new Date().toISOString(),
             endTime: null,
             results: null
@@ -87,11 +93,13 @@ const ActiveFilterController = (function() {
             elements.btnCantTell.disabled = false;
         }
         
+        attachInput();
         mosaicTest.start();
     }
 
     function restartTest() {
         if (mosaicTest) {
+            attachInput();
             mosaicTest.restart();
         }
         
@@ -114,6 +122,40 @@ const ActiveFilterController = (function() {
         }
     }
 
+    // ============================================
+    // Keyboard and Switch Access
+    // ============================================
+    // Response input: ?input=switch or the choice saved in the main app
+    function initInputAccess() {
+        const settings = Storage.getSettings();
+        const urlMode = new URLSearchParams(window.location.search).get('input');
+        
+        InputAccess.init({
+            mode: InputAccess.config.modes.includes(urlMode) ? urlMode : (settings.inputMode || 'pointer'),
+            scanInterval: settings.scanInterval || InputAccess.config.defaultScanInterval,
+            callbacks: {
+                onChange: (text) => {
+                    if (elements.cursorStatus) elements.cursorStatus.textContent = text;
+                }
+            }
+        });
+    }
+
+    // Keyboard and switch responses go to the same tiles as clicks
+    function attachInput() {
+        InputAccess.attach({
+            getGridSize: () => ActiveFilterMosaic.CONFIG.gridSize,
+            select: (row, col) => mosaicTest.selectTile(row, col),
+            cantTell: () => handleCantTell(),
+            isActive: () => !!mosaicTest && mosaicTest.isRunning
+        });
+    }
+
+    function detachInput() {
+        InputAccess.detach();
+        if (elements.cursorStatus) elements.cursorStatus.textContent = '';
+    }
+
     // ============================================
     // Mosaic Initialization
     // ============================================
@@ -124,6 +166,8 @@ const ActiveFilterController = (function() {
                 onLevelComplete: handleLevelComplete,
                 onTestComplete: handleTestComplete,
                 onProgress: handleProgress,
+                onPlateStart: () => InputAccess.reset(),
+                overlay: (ctx) => InputAccess.drawOverlay(ctx, ActiveFilterMosaic.CONFIG.gridSize),
                 getInstructionElement: () => elements.instruction,
                 getScoreElement: () => elements.scoreDisplay
             });
@@ -156,6 +200,8 @@ const ActiveFilterController = (function() {
     function handleTestComplete(results) {
         isTestActive = false;
         
+        detachInput();
+        
         testSession.endTime = new Date().toISOString();
         testSession.results = results;
         
@@ -287,6 +333,7 @@ const ActiveFilterController = (function() {
     function init() {
         cacheElements();
         bindEvents();
+        initInputAccess();
         
         console.log('Active Filter Test Controller initialized');
     }
@@ -23,18 +23,9 @@ const ActiveFilterMosaic = (function() {
         gridSize: 18,
         tilePadding: 0,
         
-        // Canvas sizes
-        desktop: {
-            tileSize: 30,
-            width: 600,
-            height: 600
-        },
-        mobile: {
-            tileSize: 16,
-            width: 320,
-            height: 330
-        },
-        mobileBreakpoint: 760,
+        // Largest canvas; tiles are sized to a visual angle by ViewingGeometry
+        maxCanvasSize: 600,
+        canvasMargin: 32,
         
         // Animation settings
         animationFrames: 10,
@@ -44,6 +35,10 @@ const ActiveFilterMosaic = (function() {
         // Test settings
         totalLevels: 16,  // 16 difficulty levels
         targetSize: 3,     // 3x3 tile target area
+        levelDeltaE: {     // CIEDE2000 target/background distance of the first and last level
+            max: 30,
+            min: 1.5
+        },
         
         // UI text
         messages: {
@@ -57,42 +52,25 @@ const ActiveFilterMosaic = (function() {
     // ============================================
     // Color Palettes - Deuteranomaly Confusion Axis
     // 
-    // Based on JLTTCK research:
-    // - Background: Greenish-yellow that appears gray to deutans
-    // - Target: Progresses from obvious magenta to subtle confusion
-    // - Designed to test the deuteranomaly confusion line
+    // Targets lie on the deutan confusion line through the background (see
+    // Colorimetry). Level distances step down geometrically in
+    // CIEDE2000 from CONFIG.levelDeltaE.max to CONFIG.levelDeltaE.min.
     // ============================================
+    const toTriplet = color => [color.h, color.s, color.l];
+
+    const BACKGROUND = [65, 25, 50];  // Greenish-yellow
+
     const PALETTES = {
-        // Background color that appears neutral to deutans
-        background: [65, 25, 50],  // Greenish-yellow that looks gray to deutans
+        background: BACKGROUND,
         
-        // 16 progressive difficulty levels
-        // Hue transitions from magenta (300°) toward the confusion point (~65°)
-        levels: [
-            // Easy levels (1-4): Obvious magenta/purple
-            [300, 80, 45],   // Level 1: Strong magenta
-            [305, 75, 47],   // Level 2: 
-            [310, 70, 48],   // Level 3:
-            [315, 65, 49],   // Level 4:
-            
-            // Medium levels (5-8): Moving toward confusion
-            [320, 60, 50],   // Level 5:
-            [330, 55, 50],   // Level 6:
-            [340, 50, 50],   // Level 7:
-            [350, 45, 50],   // Level 8:
-            
-            // Hard levels (9-12): Near confusion line
-            [0, 40, 50],     // Level 9: Red region
-            [10, 38, 50],    // Level 10:
-            [20, 35, 50],    // Level 11:
-            [30, 33, 50],    // Level 12:
-            
-            // Very hard levels (13-16): At confusion boundary
-            [40, 30, 50],    // Level 13:
-            [45, 28, 50],    // Level 14:
-            [50, 27, 50],    // Level 15:
-            [55, 25, 50]     // Level 16: Very close to background hue
-        ]
+        // CONFIG.totalLevels progressive difficulty levels as [h, s, l]
+        levels: Colorimetry.generateLevels({
+            axis: 'deutan',
+            background: { h: BACKGROUND[0], s: BACKGROUND[1], l: BACKGROUND[2] },
+            count: CONFIG.totalLevels,
+            maxDeltaE: CONFIG.levelDeltaE.max,
+            minDeltaE: CONFIG.levelDeltaE.min
+        }).map(pair => toTriplet(pair.outlier))
     };
 
     // ============================================
@@ -100,7 +78,7 @@ const ActiveFilterMosaic = (function() {
     // Represents a single tile in the mosaic grid
     // ============================================
     class Particle {
-        constructor(x, y, id, h, s, l) {
+        constructor(x, y, id, h, s, l, rng) {
             this.id = id;
             this.x = x;
             this.y = y;
@@ -112,9 +90,9 @@ const ActiveFilterMosaic = (function() {
             this.l = l;
             
             // Animation parameters
-            this.frequency = 0.1 + Math.random() * 0.1;
-            this.phase = Math.random() * Math.PI * 2;
-            this.sinValue = Math.random() * 10;
+            this.frequency = 0.1 + rng() * 0.1;
+            this.phase = rng() * Math.PI * 2;
+            this.sinValue = rng() * 10;
         }
 
         /**
@@ -122,8 +100,15 @@ const ActiveFilterMosaic = (function() {
          */
         animate() {
             this.sinValue += this.frequency;
+            this.l = this.lightnessAfter(0);
+        }
+
+        /**
+         * Luminance the given number of animation steps ahead, without advancing the animation
+         */
+        lightnessAfter(frames) {
             // Modulate luminance by ±3 units
-            this.l = this.baseL + Math.sin(this.sinValue * Math.PI / 2) * 3;
+            return this.baseL + Math.sin((this.sinValue + this.frequency * frames) * Math.PI / 2) * 3;
         }
 
         /**
@@ -139,13 +124,75 @@ const ActiveFilterMosaic = (function() {
         }
 
         /**
-         * Get HSL color string for rendering
+         * Get display-corrected color string for rendering
          */
         getColorString() {
-            return `hsl(${this.h}, ${this.s}%, ${this.l}%)`;
+            const rgb = DisplayCalibration.correctRgb(Utils.hslToRgb(this.h, this.s, this.l));
+            return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
         }
     }
 
+    // ============================================
+    // Grid and Target Generation
+    // Shared by MosaicTest and generatePlate, so a standalone plate is laid out
+    // the way the test lays out the same seed and level
+    // ============================================
+
+    /**
+     * Particle grid in the background color; positions are in tiles unless a tile size is given
+     * Seeded per level so every grid can be regenerated from the test seed
+     */
+    const createParticles = (seed, level, backgroundHSL, tileSize = 1, offsetX = 0, offsetY = 0) => {
+        const [h, s, l] = backgroundHSL;
+        const rng = Utils.createRNG(Utils.deriveSeed(seed, `grid-${level}`));
+        const particles = [];
+        
+        for (let i = 0; i < CONFIG.gridSize * CONFIG.gridSize; i++) {
+            const row = Math.floor(i / CONFIG.gridSize);
+            const col = i % CONFIG.gridSize;
+            const x = col * tileSize + offsetX;
+            const y = row * tileSize + offsetY;
+            
+            particles.push(new Particle(x, y, i, h, s, l, rng));
+        }
+        return particles;
+    };
+
+    /**
+     * Random target centre tile for each level
+     */
+    const createTargetPositions = seed => {
+        const rng = Utils.createRNG(Utils.deriveSeed(seed, 'targets'));
+        const positions = [];
+        
+        for (let level = 0; level < CONFIG.totalLevels; level++) {
+            // Random position within grid bounds (allowing for 3x3 area)
+            const maxPos = CONFIG.gridSize - CONFIG.targetSize;
+            const row = Math.floor(rng() * maxPos) + 1;
+            const col = Math.floor(rng() * maxPos) + 1;
+            
+            // Calculate center tile index
+            positions.push(row * CONFIG.gridSize + col);
+        }
+        return positions;
+    };
+
+    /**
+     * Tiles of the target area: 3x3 around the centre tile (offset by -1 row)
+     */
+    const getTargetIndices = centerIdx => {
+        const indices = [];
+        for (let dRow = -1; dRow <= 1; dRow++) {
+            for (let dCol = 0; dCol < CONFIG.targetSize; dCol++) {
+                const idx = centerIdx + (dRow * CONFIG.gridSize) + dCol;
+                if (idx >= 0 && idx < CONFIG.gridSize * CONFIG.gridSize) {
+                    indices.push(idx);
+                }
+            }
+        }
+        return indices;
+    };
+
     // ============================================
     // Main Mosaic Test Class
     // ============================================
@@ -168,8 +215,10 @@ const ActiveFilterMosaic = (function() {
                 onLevelComplete: options.onLevelComplete || (() => {}),
                 onTestComplete: options.onTestComplete || (() => {}),
                 onProgress: options.onProgress || (() => {}),
+                onPlateStart: options.onPlateStart || (() => {}),
                 getInstructionElement: options.getInstructionElement || (() => null),
-                getScoreElement: options.getScoreElement || (() => null)
+                getScoreElement: options.getScoreElement || (() => null),
+                overlay: options.overlay || null   // Drawn over every frame as overlay(ctx), e.g. the keyboard cursor
             };
 
             // Test state
@@ -177,6 +226,7 @@ const ActiveFilterMosaic = (function() {
             this.targetPositions = [];
             this.currentLevel = 0;
             this.correctAnswers = 0;
+            this.seed = null;
             this.isRunning = false;
             this.hasMissed = false;
             this.animationTimer = null;
@@ -196,15 +246,14 @@ const ActiveFilterMosaic = (function() {
         }
 
         /**
-         * Setup canvas dimensions based on viewport
+         * Setup canvas dimensions: tiles at the target visual angle, shrunk to fit the viewport
          */
         setupDimensions() {
-            const isMobile = window.innerWidth < CONFIG.mobileBreakpoint;
-            const dims = isMobile ? CONFIG.mobile : CONFIG.desktop;
+            const maxSize = Math.min(window.innerWidth - CONFIG.canvasMargin, CONFIG.maxCanvasSize);
             
-            this.tileSize = dims.tileSize;
-            this.canvas.width = dims.width;
-            this.canvas.height = dims.height;
+            this.tileSize = ViewingGeometry.tileSizeFor(CONFIG.gridSize, maxSize);
+            this.canvas.width = CONFIG.gridSize * this.tileSize;
+            this.canvas.height = CONFIG.gridSize * this.tileSize;
             
             // Calculate offsets to center the grid
             const totalWidth = CONFIG.gridSize * this.tileSize;
@@ -217,35 +266,16 @@ const ActiveFilterMosaic = (function() {
          * Initialize particle grid with background color
          */
         initGrid(backgroundHSL) {
-            this.particles = [];
-            const [h, s, l] = backgroundHSL;
-            
-            for (let i = 0; i < CONFIG.gridSize * CONFIG.gridSize; i++) {
-                const row = Math.floor(i / CONFIG.gridSize);
-                const col = i % CONFIG.gridSize;
-                const x = col * this.tileSize + this.offsetX;
-                const y = row * this.tileSize + this.offsetY;
-                
-                this.particles.push(new Particle(x, y, i, h, s, l));
-            }
+            this.particles = createParticles(this.seed, this.currentLevel,
+                backgroundHSL, this.tileSize, this.offsetX, this.offsetY);
+            this.options.onPlateStart();
         }
 
         /**
          * Generate random target positions for each level
          */
         generateTargetPositions() {
-            this.targetPositions = [];
-            
-            for (let level = 0; level < CONFIG.totalLevels; level++) {
-                // Random position within grid bounds (allowing for 3x3 area)
-                const maxPos = CONFIG.gridSize - CONFIG.targetSize;
-                const row = Math.floor(Math.random() * maxPos) + 1;
-                const col = Math.floor(Math.random() * maxPos) + 1;
-                
-                // Calculate center tile index
-                const centerIndex = row * CONFIG.gridSize + col;
-                this.targetPositions.push(centerIndex);
-            }
+            this.targetPositions = createTargetPositions(this.seed);
         }
 
         /**
@@ -253,16 +283,9 @@ const ActiveFilterMosaic = (function() {
          */
         setTargetColor(targetHSL) {
             const [h, s, l] = targetHSL;
-            const centerIdx = this.targetPositions[this.currentLevel];
             
-            // 3x3 grid around center (offset by -1 row and col)
-            for (let dRow = -1; dRow <= 1; dRow++) {
-                for (let dCol = 0; dCol < CONFIG.targetSize; dCol++) {
-                    const idx = centerIdx + (dRow * CONFIG.gridSize) + dCol;
-                    if (idx >= 0 && idx < this.particles.length) {
-                        this.particles[idx].setColor(h, s, l);
-                    }
-                }
+            for (const idx of getTargetIndices(this.targetPositions[this.currentLevel])) {
+                this.particles[idx].setColor(h, s, l);
             }
         }
 
@@ -312,7 +335,19 @@ const ActiveFilterMosaic = (function() {
         }
 
         /**
-         * Process user input (click or touch)
+         * Select a tile by grid position (keyboard or switch)
+         */
+        selectTile(row, col) {
+            if (!this.isRunning) return;
+            
+            const x = col * this.tileSize + this.offsetX + this.tileSize / 2;
+            const y = row * this.tileSize + this.offsetY + this.tileSize / 2;
+            
+            this.processInput(x, y);
+        }
+
+        /**
+         * Process user input (click, touch or grid position)
          */
         processInput(x, y) {
             if (this.isClickOnTarget(x, y)) {
@@ -453,13 +488,17 @@ const ActiveFilterMosaic = (function() {
                     this.tileSize - CONFIG.tilePadding
                 );
             }
+            
+            if (this.options.overlay) this.options.overlay(this.ctx);
         }
 
         /**
          * Start the test sequence
+         * Grids and target positions are derived from seed, so a run can be regenerated
          */
-        start() {
+        start(seed = Utils.generateSeed('mosaic')) {
             console.log('Starting mosaic test...');
+            this.seed = seed;
             this.isRunning = true;
             this.currentLevel = 0;
             this.correctAnswers = 0;
@@ -568,7 +607,9 @@ const ActiveFilterMosaic = (function() {
                 correct: this.correctAnswers,
                 total: CONFIG.totalLevels,
                 percentage: percentage,
-                severity: this.calculateSeverity(percentage)
+                severity: this.calculateSeverity(percentage),
+                seed: this.seed,
+                viewing: ViewingGeometry.describe(this.tileSize)
             };
         }
     }
@@ -584,6 +625,53 @@ const ActiveFilterMosaic = (function() {
             return new MosaicTest(canvasSelector, options);
         },
         
+        /**
+         * Generate a plate without running the test, laid out as the test shows the given seed and level
+         * target is an [h, s, l] triplet; defaults to the palette color of that level
+         * Returns { seed, level, gridSize, background, target, targetCells: [{ row, col }], particles }
+         */
+        generatePlate({ seed, level = 0, target = null }) {
+            const targetHSL = target || PALETTES.levels[level];
+            const particles = createParticles(seed, level, PALETTES.background);
+            const targetIndices = getTargetIndices(createTargetPositions(seed)[level]);
+            for (const idx of targetIndices) {
+                particles[idx].setColor(...targetHSL);
+            }
+            
+            return {
+                seed,
+                level,
+                gridSize: CONFIG.gridSize,
+                background: [...PALETTES.background],
+                target: [...targetHSL],
+                targetCells: targetIndices.map(idx => ({
+                    row: Math.floor(idx / CONFIG.gridSize),
+                    col: idx % CONFIG.gridSize
+                })),
+                particles
+            };
+        },
+        
+        /**
+         * Draw a generated plate to fill a canvas, `frames` animation steps in
+         */
+        renderPlate(canvas, plate, frames = 0) {
+            const ctx = canvas.getContext('2d');
+            const tileSize = canvas.width / plate.gridSize;
+            
+            for (const particle of plate.particles) {
+                const rgb = DisplayCalibration.correctRgb(
+                    Utils.hslToRgb(particle.baseH, particle.baseS, particle.lightnessAfter(frames)));
+                ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+                ctx.fillRect(
+                    particle.x * tileSize,
+                    particle.y * tileSize,
+                    tileSize - CONFIG.tilePadding,
+                    tileSize - CONFIG.tilePadding
+                );
+            }
+        },
+        
         /**
          * Configuration access
          */
@@ -14,6 +14,7 @@ const AdaptiveCameraFilter = {
         stream: null,
         filterEnabled: true,
         filterIntensity: 1.0,
+        simulationType: null,   // 'protan', 'deutan', 'tritan' or null for the correction filter
         animationFrame: null
     },
 
@@ -96,6 +97,40 @@ const AdaptiveCameraFilter = {
         }
     },
 
+    /**
+     * Protan presets (reduced red sensitivity)
+     * Mirror of the deutan gains: red carries the boost, green and blue stay balanced
+     */
+    protanPresets: {
+        mild: {
+            hueShift: 0,
+            redGreenEnhance: 0,
+            saturationBoost: 5,
+            contrastBoost: 3,
+            redGain: 1.17,
+            greenGain: 1.07,
+            blueGain: 1.07
+        },
+        moderate: {
+            hueShift: 0,
+            redGreenEnhance: 0,
+            saturationBoost: 8,
+            contrastBoost: 5,
+            redGain: 1.43,
+            greenGain: 1.17,
+            blueGain: 1.17
+        },
+        strong: {
+            hueShift: 0,
+            redGreenEnhance: 0,
+            saturationBoost: 10,
+            contrastBoost: 8,
+            redGain: 1.69,
+            greenGain: 1.27,
+            blueGain: 1.27
+        }
+    },
+
     /**
      * DOM elements
      */
@@ -146,22 +181,55 @@ const AdaptiveCameraFilter = {
     },
 
     /**
-     * Apply a preset based on severity
+     * Apply a preset based on severity and deficiency type
      */
-    applyPreset(severity) {
-        const preset = this.presets[severity] || this.presets.none;
+    applyPreset(severity, type = 'deutan') {
+        const typePreset = type === 'protan' ? this.protanPresets[severity] : null;
+        const preset = typePreset || this.presets[severity] || this.presets.none;
         this.filterParams = { ...preset };
     },
 
+    /**
+     * Interpolate the presets for a continuous anomaly severity (0-1)
+     * Bucket presets sit at their CVDSimulation.bucketSeverity values
+     */
+    interpolatePresets(anomalySeverity, type = 'deutan') {
+        const presetFor = bucket =>
+            (type === 'protan' ? this.protanPresets[bucket] : null) || this.presets[bucket];
+        const anchors = Object.entries(CVDSimulation.bucketSeverity).sort((a, b) => a[1] - b[1]);
+        const value = Math.min(Math.max(anomalySeverity, 0), anchors[anchors.length - 1][1]);
+
+        let i = 1;
+        while (i < anchors.length - 1 && value > anchors[i][1]) i++;
+
+        const [lowBucket, low] = anchors[i - 1];
+        const [highBucket, high] = anchors[i];
+        const t = high > low ? (value - low) / (high - low) : 0;
+        const from = presetFor(lowBucket);
+        const to = presetFor(highBucket);
+
+        return Object.fromEntries(Object.keys(from).map(key => [key, from[key] + (to[key] - from[key]) * t]));
+    },
+
     /**
      * Tune filter based on test results
-     * Uses calibrated gain values to normalize color perception
+     * Uses calibrated gain values to normalize color perception. Results with a direct
+     * anomaly estimate (anomalySeverity, 0-1, from the Rayleigh match) are interpolated
+     * between the presets instead of using the severity bucket's preset.
      */
     tuneFromResults(results) {
-        const { severity } = results;
+        const { severity, deficiencyType } = results;
+
+        if (typeof results.anomalySeverity === 'number') {
+            this.filterParams = this.interpolatePresets(
+                results.anomalySeverity,
+                deficiencyType ? deficiencyType.type : 'deutan'
+            );
+            return this.filterParams;
+        }
         
-        // Start from the preset for this severity
-        this.applyPreset(severity.bucket);
+        // Start from the preset for this severity and type
+        this.applyPreset(severity.bucket, deficiencyType ? deficiencyType.type : 'deutan');
         
         // Fine-tune saturation based on the performance gap for better distinction
         if (severity.performanceGap !== undefined) {
@@ -329,12 +397,26 @@ const AdaptiveCameraFilter = {
         // Draw video frame
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
 
-        // Apply filter if enabled
+        // Apply simulation or correction filter if enabled
         if (this.state.filterEnabled && this.state.filterIntensity > 0) {
-            this.applyFilter(ctx, canvas.width, canvas.height);
+            if (this.state.simulationType) {
+                this.applySimulation(ctx, canvas.width, canvas.height);
+            } else {
+                this.applyFilter(ctx, canvas.width, canvas.height);
+            }
         }
     },
 
+    /**
+     * Show the camera feed as a color-deficient observer would see it
+     * Intensity is used as the simulated severity
+     */
+    applySimulation(ctx, width, height) {
+        const imageData = ctx.getImageData(0, 0, width, height);
+        CVDSimulation.applyToImageData(imageData, this.state.simulationType, this.state.filterIntensity);
+        ctx.putImageData(imageData, 0, 0);
+    },
+
     /**
      * Apply the color correction filter
      */
@@ -438,6 +520,13 @@ const AdaptiveCameraFilter = {
         this.state.filterEnabled = enabled !== undefined ? enabled : !this.state.filterEnabled;
     },
 
+    /**
+     * Switch between the correction filter (null) and a deficiency simulation
+     */
+    setSimulation(type) {
+        this.state.simulationType = CVDSimulation.matrices[type] ? type : null;
+    },
+
     /**
      * Take a snapshot
      */
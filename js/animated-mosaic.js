@@ -18,6 +18,26 @@ const AnimatedMosaic = {
             colorCycleSpeed: 0.0003,
             flowSpeed: 0.0005
         },
+        // Outlier/background CIEDE2000 distance by difficulty; separation 1 = max.
+        // Anomalous trichromats keep much of the difference on anchors that tell protan
+        // from deutan, so the hard distance sits just above the normal threshold
+        deltaE: {
+            max: 30,
+            easy: 16,
+            medium: 9,
+            hard: 5
+        },
+        // Luminance-masked plates (CAD style): every tile's luminance is redrawn each
+        // noise frame from one distribution, so only chromaticity separates the outlier
+        luminanceMasking: {
+            frameDuration: 125,     // ms per noise frame
+            spread: 0.6             // Luminance factor is 2^u, u uniform in [-spread, spread]
+        },
+        // Timed presentation: the post-stimulus noise mask is drawn from these ranges
+        noiseMask: {
+            saturation: [20, 70],
+            lightness: [25, 70]
+        },
         // Timing
         maxResponseTime: 3600000,     // 1 hour - effectively no limit
         // Reduced motion check
@@ -33,7 +53,8 @@ const AnimatedMosaic = {
         currentPlate: null,
         animationFrame: null,
         startTime: 0,
-        lastFrameTime: 0
+        lastFrameTime: 0,
+        presentation: null
     },
 
     /**
@@ -42,6 +63,11 @@ const AnimatedMosaic = {
     canvas: null,
     ctx: null,
 
+    /**
+     * Drawn over every frame, as overlay(ctx, plate) (e.g. the keyboard cursor)
+     */
+    overlay: null,
+
     /**
      * Simplex noise implementation for smooth animation
      */
@@ -132,73 +158,79 @@ const AnimatedMosaic = {
     },
 
     /**
-     * Color palettes for deuteranomaly detection
-     * Background colors and outlier colors that are difficult to distinguish with red-green deficiency
+     * Background anchors for each confusion axis
+     * Outlier colors are generated by Colorimetry on the axis's confusion line through the
+     * background, at a CIEDE2000 distance set by difficulty/separation. Each anchor is checked
+     * against the Machado simulation before use (see checkedPalettes)
      */
     palettes: {
-        // Deuteranomaly-targeted palettes (red-green confusion axis)
+        // Deuteranomaly-targeted backgrounds. Near the red-green axis itself the protan and
+        // deutan confusion lines nearly coincide; these are where they diverge enough that a
+        // protan still sees the deutan outlier
         deutan: [
-            {
-                name: 'green-red',
-                background: { h: 120, s: 45, l: 45 },  // Green base
-                outlier: { h: 0, s: 50, l: 45 },       // Red outlier
-                variance: { h: 15, s: 10, l: 8 }
-            },
-            {
-                name: 'olive-lime',
-                background: { h: 50, s: 40, l: 42 },   // Olive/brown base
-                outlier: { h: 85, s: 45, l: 42 },      // Yellow-green outlier
-                variance: { h: 12, s: 8, l: 6 }
-            },
-            {
-                name: 'brown-green',
-                background: { h: 20, s: 42, l: 44 },   // Brownish-red base
-                outlier: { h: 140, s: 48, l: 42 },     // Green outlier
-                variance: { h: 10, s: 8, l: 7 }
-            },
-            {
-                name: 'teal-pink',
-                background: { h: 165, s: 38, l: 46 },  // Teal base
-                outlier: { h: 340, s: 45, l: 50 },     // Pink outlier
-                variance: { h: 14, s: 10, l: 8 }
-            },
-            {
-                name: 'cyan-orange',
-                background: { h: 155, s: 42, l: 48 },  // Cyan-green base
-                outlier: { h: 25, s: 55, l: 50 },      // Orange outlier
-                variance: { h: 12, s: 10, l: 7 }
-            },
-            {
-                name: 'sage-coral',
-                background: { h: 100, s: 35, l: 50 },  // Sage green base
-                outlier: { h: 10, s: 60, l: 52 },      // Coral outlier
-                variance: { h: 15, s: 10, l: 8 }
-            }
+            { name: 'red', background: { h: 10, s: 70, l: 50 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'scarlet', background: { h: 355, s: 80, l: 40 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'violet', background: { h: 295, s: 50, l: 50 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'purple', background: { h: 305, s: 40, l: 50 }, variance: { h: 10, s: 8, l: 6 } }
         ],
-        
-        // Control palettes (should be equally visible to all)
+
+        // Protanomaly-targeted backgrounds (a deutan still sees the outlier)
+        protan: [
+            { name: 'turquoise', background: { h: 170, s: 60, l: 50 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'red', background: { h: 10, s: 70, l: 50 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'plum', background: { h: 300, s: 50, l: 40 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'lilac', background: { h: 285, s: 90, l: 65 }, variance: { h: 10, s: 8, l: 6 } }
+        ],
+
+        // Tritan-targeted backgrounds (blue-yellow confusion axis; protans and deutans still see the outlier)
+        tritan: [
+            { name: 'orange', background: { h: 25, s: 90, l: 45 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'vermilion', background: { h: 15, s: 80, l: 50 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'green', background: { h: 120, s: 90, l: 35 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'teal', background: { h: 170, s: 80, l: 30 }, variance: { h: 10, s: 8, l: 6 } },
+            { name: 'sky', background: { h: 185, s: 80, l: 65 }, variance: { h: 10, s: 8, l: 6 } }
+        ],
+
+        // Control backgrounds (outlier differs in lightness only, should be equally visible to all)
         control: [
-            {
-                name: 'blue-yellow',
-                background: { h: 220, s: 55, l: 48 },  // Blue base
-                outlier: { h: 55, s: 75, l: 55 },      // Yellow outlier
-                variance: { h: 12, s: 10, l: 8 }
-            },
-            {
-                name: 'purple-yellow',
-                background: { h: 275, s: 50, l: 45 },  // Purple base
-                outlier: { h: 50, s: 70, l: 55 },      // Yellow outlier
-                variance: { h: 14, s: 10, l: 7 }
-            },
-            {
-                name: 'navy-orange',
-                background: { h: 235, s: 55, l: 35 },  // Dark blue base
-                outlier: { h: 35, s: 80, l: 60 },      // Light orange outlier
-                variance: { h: 10, s: 10, l: 8 }
-            }
+            { name: 'gray', background: { h: 0, s: 0, l: 45 }, variance: { h: 0, s: 0, l: 4 } },
+            { name: 'slate', background: { h: 215, s: 25, l: 45 }, variance: { h: 8, s: 6, l: 4 } },
+            { name: 'amber', background: { h: 35, s: 35, l: 45 }, variance: { h: 8, s: 6, l: 4 } }
         ]
     },
 
+    // Palettes with failing anchors removed; built by checkedPalettes
+    validPalettes: null,
+
+    /**
+     * Palettes whose confusion anchors pass CVDSimulation.checkAnchor at every plate distance,
+     * built once on first use. Failing anchors are dropped with a warning; a family left with
+     * none cannot make plates that tell the types apart, so that throws
+     */
+    checkedPalettes() {
+        if (this.validPalettes) return this.validPalettes;
+
+        const distances = ['easy', 'medium', 'hard'].map(difficulty => this.config.deltaE[difficulty]);
+        const checked = {};
+        Object.keys(this.palettes).forEach(family => {
+            if (!CVDSimulation.rivals[family]) {
+                checked[family] = this.palettes[family];
+                return;
+            }
+            checked[family] = this.palettes[family].filter(anchor => {
+                const { passed, failures } = CVDSimulation.checkAnchor(anchor.background, family, distances);
+                if (!passed) console.warn(`AnimatedMosaic: dropping ${family} anchor '${anchor.name}': ${failures.join('; ')}`);
+                return passed;
+            });
+            if (checked[family].length === 0) {
+                throw new Error(`AnimatedMosaic: no ${family} anchor collapses for ${family} and stays visible to ${CVDSimulation.rivals[family].join(', ')}`);
+            }
+        });
+
+        this.validPalettes = checked;
+        return checked;
+    },
+
     /**
      * Initialize the mosaic generator
      */
@@ -225,15 +257,35 @@ const AnimatedMosaic = {
         return this;
     },
 
+    /**
+     * Size the canvas so each tile subtends the target visual angle (ViewingGeometry),
+     * or as close to it as fits in maxSize pixels
+     */
+    sizeCanvas(maxSize = Infinity) {
+        const size = ViewingGeometry.tileSizeFor(this.config.gridSize, maxSize) * this.config.gridSize;
+        this.canvas.width = size;
+        this.canvas.height = size;
+        return size;
+    },
+
+    /**
+     * Viewing geometry of the tiles as currently drawn
+     */
+    getTileGeometry() {
+        return ViewingGeometry.describe(this.canvas.width / this.config.gridSize);
+    },
+
     /**
      * Generate a new plate configuration
      */
     generatePlate(options = {}) {
         const {
             difficulty = 'medium',
-            type = 'deutan',  // 'deutan' or 'control'
+            type = 'deutan',  // 'deutan', 'protan', 'tritan', 'control' or 'catch'
             seed = Utils.generateSeed(),
-            subtlety = 1.0    // 1.0 = normal, higher = more subtle
+            subtlety = 1.0,   // 1.0 = normal, higher = more subtle
+            separation = null, // Fraction of config.deltaE.max; null uses the difficulty's distance
+            masking = null    // 'luminance' for luminance-noise masked tiles (not applied to control or catch plates)
         } = options;
         
         const rng = Utils.createRNG(seed);
@@ -245,9 +297,29 @@ const AnimatedMosaic = {
         const gridSize = this.config.gridSize;
         const outlierSize = this.config.outlierSize;
         
+        // Catch plates are control plates at the largest distance: trivially visible to anyone
+        const isCatch = type === 'catch';
+        const lightnessOnly = type === 'control' || isCatch;
+
         // Select palette
-        const paletteList = type === 'control' ? this.palettes.control : this.palettes.deutan;
-        const palette = Utils.randomPick(paletteList, rng);
+        const palettes = this.checkedPalettes();
+        const paletteList = palettes[isCatch ? 'control' : type] || palettes.deutan;
+        const basePalette = Utils.randomPick(paletteList, rng);
+        
+        // Generate the outlier at the requested perceptual distance
+        let deltaE = separation !== null
+            ? separation * this.config.deltaE.max
+            : (this.config.deltaE[difficulty] || this.config.deltaE.medium);
+        if (isCatch) deltaE = this.config.deltaE.max;
+        const pair = lightnessOnly
+            ? Colorimetry.generateLightnessPair({ background: basePalette.background, deltaE, rng })
+            : Colorimetry.generateConfusionPair({ axis: type, background: basePalette.background, deltaE, rng });
+        const palette = { ...basePalette, outlier: pair.outlier };
+
+        // Control and catch plates differ only in lightness, so masking would hide their target
+        const luminanceMask = masking === 'luminance' && !lightnessOnly
+            ? this.createLuminanceMask(palette.background, palette.outlier)
+            : null;
         
         // Determine outlier position (3x3 region within 18x18 grid)
         // Ensure the 3x3 outlier doesn't go off edges
@@ -289,11 +361,17 @@ const AnimatedMosaic = {
             difficulty,
             type,
             subtlety,
+            // Achieved distance (may fall short of the target at the sRGB gamut edge)
+            deltaE: pair.deltaE,
+            separation: pair.deltaE / this.config.deltaE.max,
+            // Requested separation (null = the difficulty's distance), to regenerate the plate
+            targetSeparation: separation,
             gridSize,
             outlierSize,
             outlierRow,
             outlierCol,
             palette,
+            masking: luminanceMask,
             tiles,
             startTime: 0
         };
@@ -301,15 +379,66 @@ const AnimatedMosaic = {
         return plate;
     },
 
+    /**
+     * Chromaticities and shared luminance for a luminance-masked plate
+     * The mean luminance is the background's (confusion-line outliers share it); maxFactor
+     * keeps the brightest draw inside the sRGB gamut for both chromaticities
+     */
+    createLuminanceMask(background, outlier) {
+        const backgroundXyY = Colorimetry.xyzToXyY(Colorimetry.hslToXyz(background));
+        const outlierXyY = Colorimetry.xyzToXyY(Colorimetry.hslToXyz(outlier));
+        const luminance = backgroundXyY.Y;
+
+        const inGamut = Y => [backgroundXyY, outlierXyY].every(({ x, y }) =>
+            Colorimetry.isInGamut(Colorimetry.xyYToXyz({ x, y, Y })));
+        let lo = luminance;
+        let hi = 1;
+        for (let i = 0; i < 20; i++) {
+            const mid = (lo + hi) / 2;
+            if (inGamut(mid)) lo = mid; else hi = mid;
+        }
+
+        return {
+            type: 'luminance',
+            background: { x: backgroundXyY.x, y: backgroundXyY.y },
+            outlier: { x: outlierXyY.x, y: outlierXyY.y },
+            luminance,
+            maxFactor: luminance > 0 ? lo / luminance : 1
+        };
+    },
+
+    /**
+     * Luminance factor of every tile (in tile order) for one noise frame of a masked plate
+     * Seeded from the plate seed and frame number, so any frame can be reproduced
+     */
+    getLuminanceFactors(plate, frame) {
+        const { spread } = this.config.luminanceMasking;
+        const rng = Utils.createRNG((plate.seed ^ Math.imul(frame + 1, 0x9E3779B1)) >>> 0);
+
+        return plate.tiles.map(() =>
+            Math.min(Math.pow(2, (rng() * 2 - 1) * spread), plate.masking.maxFactor));
+    },
+
+    /**
+     * Noise frame shown at a given time (frame 0 throughout with reduced motion)
+     */
+    getLuminanceFrame(plate, time) {
+        if (this.config.reducedMotion) return 0;
+        return Math.max(0, Math.floor((time - plate.startTime) / this.config.luminanceMasking.frameDuration));
+    },
+
     /**
      * Start rendering a plate
+     * presentation: null shows the plate until a response; { stimulusDuration, maskDuration }
+     * shows it for stimulusDuration ms, then a noise mask, then a blank grid to respond on
      */
-    startPlate(plate, onTimeout = null) {
+    startPlate(plate, onTimeout = null, presentation = null) {
         this.state.currentPlate = plate;
         this.state.isRunning = true;
         this.state.isPaused = false;
         this.state.startTime = performance.now();
         this.state.lastFrameTime = this.state.startTime;
+        this.state.presentation = presentation;
         plate.startTime = this.state.startTime;
         
         this.onTimeout = onTimeout;
@@ -324,6 +453,9 @@ const AnimatedMosaic = {
     animate() {
         if (!this.state.isRunning || this.state.isPaused) return;
         
+        // Headless (never initialized with a canvas): plates are tracked but not drawn
+        if (!this.ctx) return;
+        
         const currentTime = performance.now();
         const elapsed = currentTime - this.state.startTime;
         
@@ -336,8 +468,19 @@ const AnimatedMosaic = {
         //     return;
         // }
         
-        // Render frame
-        this.renderFrame(currentTime);
+        // Render frame (timed presentation moves on to the mask and the response grid)
+        switch (this.getPhase(elapsed)) {
+            case 'mask':
+                this.renderNoiseMask(this.state.currentPlate);
+                break;
+            case 'response':
+                this.renderResponseGrid(this.state.currentPlate);
+                break;
+            default:
+                this.renderFrame(currentTime);
+        }
+        if (this.overlay) this.overlay(this.ctx, this.state.currentPlate);
+        this.state.lastFrameTime = currentTime;
         
         // Continue animation
         this.state.animationFrame = requestAnimationFrame(() => this.animate());
@@ -345,32 +488,114 @@ const AnimatedMosaic = {
 
     /**
      * Render a single frame
+     * Colors are corrected for displayProfile, the active DisplayCalibration profile by default
      */
-    renderFrame(time) {
-        const plate = this.state.currentPlate;
+    renderFrame(time, plate = this.state.currentPlate, ctx = this.ctx, displayProfile) {
         if (!plate) return;
         
         const { gridSize, tiles } = plate;
-        const canvasSize = this.canvas.width;
+        const canvasSize = ctx.canvas.width;
         const tileSize = canvasSize / gridSize;
         
         // Clear canvas
-        this.ctx.fillStyle = '#1a1a2e';
-        this.ctx.fillRect(0, 0, canvasSize, canvasSize);
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, canvasSize, canvasSize);
+        
+        // Luminance-masked plates draw this frame's luminance noise instead of the flowing field
+        const factors = plate.masking
+            ? this.getLuminanceFactors(plate, this.getLuminanceFrame(plate, time))
+            : null;
         
         // Render all tiles
-        tiles.forEach(tile => {
+        tiles.forEach((tile, i) => {
             const tileX = tile.col * tileSize;
             const tileY = tile.row * tileSize;
             
-            this.renderTile(tile, tileX, tileY, tileSize, time);
+            if (factors) {
+                this.renderMaskedTile(tile, tileX, tileY, tileSize, plate.masking, factors[i], ctx, displayProfile);
+            } else {
+                this.renderTile(tile, tileX, tileY, tileSize, time, ctx, displayProfile);
+            }
+        });
+    },
+
+    /**
+     * Presentation phase at a time since plate onset: 'stimulus', 'mask' or 'response'
+     * Untimed plates stay in the stimulus phase
+     */
+    getPhase(elapsed) {
+        const presentation = this.state.presentation;
+        if (!presentation) return 'stimulus';
+        if (elapsed < presentation.stimulusDuration) return 'stimulus';
+        if (elapsed < presentation.stimulusDuration + presentation.maskDuration) return 'mask';
+        return 'response';
+    },
+
+    /**
+     * Render the post-stimulus noise mask: every tile a random color, seeded from the
+     * plate seed so the mask can be reproduced
+     */
+    renderNoiseMask(plate, ctx = this.ctx) {
+        if (!plate) return;
+        
+        const { saturation, lightness } = this.config.noiseMask;
+        const rng = Utils.createRNG((plate.seed ^ 0x5BD1E995) >>> 0);
+        const tileSize = ctx.canvas.width / plate.gridSize;
+        const padding = 0.5;
+        
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        
+        plate.tiles.forEach(tile => {
+            const h = rng() * 360;
+            const s = saturation[0] + rng() * (saturation[1] - saturation[0]);
+            const l = lightness[0] + rng() * (lightness[1] - lightness[0]);
+            const rgb = DisplayCalibration.correctRgb(Utils.hslToRgb(h, s, l));
+            
+            ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+            ctx.fillRect(
+                tile.col * tileSize + padding,
+                tile.row * tileSize + padding,
+                tileSize - padding * 2,
+                tileSize - padding * 2
+            );
         });
     },
 
+    /**
+     * Render the empty grid the user picks the remembered location on
+     */
+    renderResponseGrid(plate, ctx = this.ctx) {
+        if (!plate) return;
+        
+        const tileSize = ctx.canvas.width / plate.gridSize;
+        const padding = 0.5;
+        
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.fillStyle = '#3a3a4e';
+        plate.tiles.forEach(tile => {
+            ctx.fillRect(
+                tile.col * tileSize + padding,
+                tile.row * tileSize + padding,
+                tileSize - padding * 2,
+                tileSize - padding * 2
+            );
+        });
+    },
+
+    /**
+     * Render a still frame of a plate onto another canvas (e.g. for explanations)
+     * The noise field must match the plate, so call this right after generatePlate
+     */
+    renderPlateTo(canvas, plate, time = 0, displayProfile) {
+        this.renderFrame(time, plate, canvas.getContext('2d'), displayProfile);
+    },
+
     /**
      * Render a single tile with animation
      */
-    renderTile(tile, x, y, size, time) {
+    renderTile(tile, x, y, size, time, ctx = this.ctx, displayProfile) {
         const { baseColor, variance, animPhase, animSpeed, flowDirection } = tile;
         
         // Time factor for animation
@@ -396,15 +621,34 @@ const AnimatedMosaic = {
         
         // Calculate color with variation
         const h = baseColor.h + noiseVal * variance.h;
-        const s = Utils.clamp(baseColor.s + noiseVal2 * variance.s, 20, 80);
-        const l = Utils.clamp(baseColor.l + noiseVal * variance.l, 30, 70);
+        const s = Utils.clamp(baseColor.s + noiseVal2 * variance.s, 0, 100);
+        const l = Utils.clamp(baseColor.l + noiseVal * variance.l, 0, 100);
+        
+        const rgb = DisplayCalibration.correctRgb(Utils.hslToRgb(h, s, l), displayProfile);
         
-        const rgb = Utils.hslToRgb(h, s, l);
+        // Draw tile with slight padding
+        const padding = 0.5;
+        ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+        ctx.fillRect(
+            x + padding,
+            y + padding,
+            size - padding * 2,
+            size - padding * 2
+        );
+    },
+
+    /**
+     * Render a luminance-masked tile: fixed chromaticity, luminance scaled by this frame's factor
+     */
+    renderMaskedTile(tile, x, y, size, mask, factor, ctx = this.ctx, displayProfile) {
+        const { x: cx, y: cy } = tile.isOutlier ? mask.outlier : mask.background;
+        const rgb = DisplayCalibration.correctRgb(
+            Colorimetry.xyzToRgb(Colorimetry.xyYToXyz({ x: cx, y: cy, Y: mask.luminance * factor })), displayProfile);
         
         // Draw tile with slight padding
         const padding = 0.5;
-        this.ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
-        this.ctx.fillRect(
+        ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+        ctx.fillRect(
             x + padding,
             y + padding,
             size - padding * 2,
@@ -427,23 +671,35 @@ const AnimatedMosaic = {
         const y = (clientY - rect.top) * (this.canvas.height / rect.height);
         
         // Determine which tile was clicked
-        const { gridSize, outlierRow, outlierCol, outlierSize } = plate;
-        const tileSize = this.canvas.width / gridSize;
+        const tileSize = this.canvas.width / plate.gridSize;
         
-        const col = Math.floor(x / tileSize);
-        const row = Math.floor(y / tileSize);
+        return this.selectTile(Math.floor(y / tileSize), Math.floor(x / tileSize));
+    },
+
+    /**
+     * Select a tile by grid position (clicks, or programmatic responses)
+     * responseTime defaults to the time since the plate started
+     */
+    selectTile(row, col, responseTime = null) {
+        if (!this.state.isRunning || this.state.isPaused) return null;
+        
+        const plate = this.state.currentPlate;
+        if (!plate) return null;
+        
+        const { gridSize, outlierRow, outlierCol, outlierSize } = plate;
         
         if (col < 0 || col >= gridSize || row < 0 || row >= gridSize) {
             return null;
         }
         
-        // Check if click was in the 3x3 outlier region
-        const clickedInOutlier = (
-            row >= outlierRow && row < outlierRow + outlierSize &&
-            col >= outlierCol && col < outlierCol + outlierSize
-        );
+        // Check if click was in the 3x3 outlier region, and how far outside it
+        const distance = this.getOutlierDistance(plate, row, col);
+        const clickedInOutlier = distance === 0;
         
-        const responseTime = performance.now() - this.state.startTime;
+        if (responseTime === null) {
+            responseTime = performance.now() - this.state.startTime;
+        }
+        const phase = this.getPhase(responseTime);
         
         // Stop animation
         this.pause();
@@ -452,16 +708,29 @@ const AnimatedMosaic = {
             selectedRow: row,
             selectedCol: col,
             clickedInOutlier,
+            distance,
             outlierRow,
             outlierCol,
             outlierSize,
             isCorrect: clickedInOutlier,
             responseTime,
+            phase,
             plateType: plate.type,
             difficulty: plate.difficulty
         };
     },
 
+    /**
+     * Tiles between a grid position and the outlier region
+     * (0 inside it, 1 on the ring of tiles around it, and so on)
+     */
+    getOutlierDistance(plate, row, col) {
+        const { outlierRow, outlierCol, outlierSize } = plate;
+        const rowGap = Math.max(outlierRow - row, row - (outlierRow + outlierSize - 1), 0);
+        const colGap = Math.max(outlierCol - col, col - (outlierCol + outlierSize - 1), 0);
+        return Math.max(rowGap, colGap);
+    },
+
     /**
      * Pause animation (freezes current frame)
      */
@@ -544,8 +813,11 @@ const AnimatedMosaic = {
         const {
             totalPlates = 16,
             deutanRatio = 0.625,  // 10/16 deutan, 6/16 control
+            protanRatio = 0,
+            tritanRatio = 0,
             baseSeed = Utils.generateSeed(),
-            progressiveDifficulty = true
+            progressiveDifficulty = true,
+            masking = null
         } = options;
         
         const plates = [];
@@ -553,11 +825,15 @@ const AnimatedMosaic = {
         
         // Calculate plate distribution
         const deutanCount = Math.round(totalPlates * deutanRatio);
-        const controlCount = totalPlates - deutanCount;
+        const protanCount = Math.min(Math.round(totalPlates * protanRatio), totalPlates - deutanCount);
+        const tritanCount = Math.min(Math.round(totalPlates * tritanRatio), totalPlates - deutanCount - protanCount);
+        const controlCount = totalPlates - deutanCount - protanCount - tritanCount;
         
         // Create plate type sequence
         const types = [
             ...Array(deutanCount).fill('deutan'),
+            ...Array(protanCount).fill('protan'),
+            ...Array(tritanCount).fill('tritan'),
             ...Array(controlCount).fill('control')
         ];
         const shuffledTypes = Utils.shuffleArray(types, rng);
@@ -579,12 +855,13 @@ const AnimatedMosaic = {
         
         // Generate plates
         shuffledTypes.forEach((type, index) => {
-            const plateSeed = Utils.generateSeed(`${baseSeed}-plate-${index}`);
+            const plateSeed = Utils.deriveSeed(baseSeed, `plate-${index}`);
             plates.push(this.generatePlate({
                 type,
                 seed: plateSeed,
                 difficulty: getDifficulty(index),
-                subtlety: getSubtlety(index)
+                subtlety: getSubtlety(index),
+                masking
             }));
         });
         
@@ -86,6 +86,9 @@ const App = {
         this.elements.overallScore = document.getElementById('overall-score');
         this.elements.rgScoreBar = document.getElementById('rg-score-bar');
         this.elements.rgScoreText = document.getElementById('rg-score-text');
+        this.elements.tritanScoreBar = document.getElementById('tritan-score-bar');
+        this.elements.tritanScoreText = document.getElementById('tritan-score-text');
+        this.elements.tritanDescription = document.getElementById('tritan-description');
         this.elements.controlScoreBar = document.getElementById('control-score-bar');
         this.elements.controlScoreText = document.getElementById('control-score-text');
         this.elements.severityMeterFill = document.getElementById('severity-meter-fill');
@@ -311,9 +314,10 @@ const App = {
         // Create new session
         this.state.session = Storage.createSession();
 
-        // Initialize test engine
+        // Initialize test engine (?early stops once the severity result is settled)
         TestEngine.init({
             mode: 'baseline',
+            earlyStopping: new URLSearchParams(window.location.search).has('early'),
             callbacks: {
                 onPlateReady: (plate, index, total) => this.onPlateReady(plate, index, total),
                 onPlateComplete: (response) => this.onPlateComplete(response),
@@ -416,8 +420,13 @@ const App = {
         scoreValue.textContent = results.overall.score;
 
         // Red-green score
-        this.elements.rgScoreBar.style.width = `${results.deutan.score}%`;
-        this.elements.rgScoreText.textContent = `${results.deutan.correct}/${results.deutan.total}`;
+        this.elements.rgScoreBar.style.width = `${results.redGreen.score}%`;
+        this.elements.rgScoreText.textContent = `${results.redGreen.correct}/${results.redGreen.total}`;
+
+        // Blue-yellow (tritan) score
+        this.elements.tritanScoreBar.style.width = `${results.tritan.score}%`;
+        this.elements.tritanScoreText.textContent = `${results.tritan.correct}/${results.tritan.total}`;
+        this.elements.tritanDescription.textContent = results.tritan.description;
 
         // Control score
         this.elements.controlScoreBar.style.width = `${results.control.score}%`;
@@ -536,11 +545,11 @@ const App = {
         if (!baseline || !validation) return;
 
         // Comparison scores
-        this.elements.baselineCompareScore.textContent = `${baseline.deutan.score}%`;
-        this.elements.posttuneCompareScore.textContent = `${validation.deutan.score}%`;
+        this.elements.baselineCompareScore.textContent = `${baseline.redGreen.score}%`;
+        this.elements.posttuneCompareScore.textContent = `${validation.redGreen.score}%`;
 
         // Improvement
-        const improvement = validation.deutan.score - baseline.deutan.score;
+        const improvement = validation.redGreen.score - baseline.redGreen.score;
         this.elements.improvementValue.textContent = 
             `${improvement >= 0 ? '+' : ''}${improvement}%`;
         
@@ -0,0 +1,656 @@
+/**
+ * ColorVision Pro - Arrangement Test Engine
+ * Cap arrangement tests: the user drags colored caps into hue order next to fixed caps.
+ *
+ * - 'd15': Farnsworth D-15 style; 15 caps after a fixed pilot cap. Scored with the
+ *   Vingrys & King-Smith (1988) moment-of-inertia method (confusion angle, C-index,
+ *   S-index, TES).
+ * - 'fm100': Farnsworth-Munsell 100 hue style; 85 caps in four trays, each between two
+ *   fixed caps. Scored with per-cap error scores and their total error score.
+ *
+ * Renders to its own canvas; caps are drawn through Utils.hslToRgb and DisplayCalibration.
+ */
+
+const ArrangementTestEngine = {
+    /**
+     * Test state
+     */
+    state: {
+        isRunning: false,
+        test: 'd15',
+        tray: [],           // Cap ids waiting to be placed (null = empty spot)
+        arrangement: [],    // The user's order; fixed caps sit in fixedSlots
+        fixedSlots: [],
+        columns: 8,
+        trayIndex: 0,
+        trayOrders: [],     // Completed FM-100 trays
+        dragging: null,
+        moves: 0,
+        testStartTime: null
+    },
+
+    /**
+     * Configuration
+     */
+    config: {
+        // CIELUV u*, v* of the pilot (id 0) and caps 1-15 (Vingrys & King-Smith, 1988)
+        caps: [
+            [-21.54, -38.39],
+            [-23.26, -25.56], [-22.41, -15.53], [-23.11, -7.45], [-22.45, 1.10], [-21.67, 7.35],
+            [-14.08, 18.74], [-2.72, 28.13], [14.84, 31.13], [23.87, 26.35], [31.82, 14.76],
+            [31.42, 6.70], [29.79, 0.10], [26.64, -9.38], [22.92, -18.65], [11.20, -24.61]
+        ],
+        // The caps are Munsell value 5 (L* ~51); tabulated for illuminant C, displayed against D65
+        capLightness: 51,
+        // Major radius of the correct order, used for the C-index
+        normalMajorRadius: 9.234669,
+        // Classification cutoffs (Vingrys & King-Smith, 1988)
+        cIndexThreshold: 1.6,   // Below: no significant confusion
+        sIndexThreshold: 1.8,   // Below: errors without a selective axis
+        protanAngle: 0.7,       // Confusion angle above: protan
+        tritanAngle: -65,       // Confusion angle below: tritan (deutan in between)
+        // Layout, in cap cells
+        columns: 8,
+        dragThreshold: 4,       // Pointer travel (px) that turns a tap into a drag
+
+        // FM-100 caps are numbered 1-85 and evenly spaced in CIELUV hue at constant chroma
+        fm100: {
+            capCount: 85,
+            lightness: 61,      // Munsell value 6
+            chroma: 30,
+            startHue: 8,        // CIELUV hue angle (degrees) of cap 1
+            // First and last cap of each tray; both are fixed in place
+            trays: [[85, 21], [22, 42], [43, 63], [64, 84]],
+            columns: 11
+        }
+    },
+
+    /**
+     * Callbacks
+     */
+    callbacks: {
+        onChange: null,
+        onTrayStart: null,
+        onTestComplete: null
+    },
+
+    /**
+     * Canvas and context
+     */
+    canvas: null,
+    ctx: null,
+
+    /**
+     * Cap display colors (HSL) by cap id, built on start
+     */
+    capColors: null,
+
+    /**
+     * Initialize the engine
+     */
+    init(canvasElement, options = {}) {
+        const { callbacks = {} } = options;
+
+        this.canvas = canvasElement;
+        this.ctx = canvasElement ? canvasElement.getContext('2d') : null;
+        this.callbacks = { ...this.callbacks, ...callbacks };
+
+        return this;
+    },
+
+    /**
+     * Display colors (HSL) of a test's caps, indexed by cap id
+     * D-15 ids run 0 (pilot) to 15; FM-100 ids are the cap numbers 1-85 (index 0 unused)
+     */
+    buildCapColors(test) {
+        const toHsl = (L, u, v) => Colorimetry.xyzToHsl(Colorimetry.luvToXyz({ L, u, v }));
+
+        if (test === 'fm100') {
+            const { capCount, lightness, chroma, startHue } = this.config.fm100;
+            return Array.from({ length: capCount + 1 }, (_, cap) => {
+                if (cap === 0) return null;
+                const hue = (startHue + 360 * (cap - 1) / capCount) * Math.PI / 180;
+                return toHsl(lightness, chroma * Math.cos(hue), chroma * Math.sin(hue));
+            });
+        }
+
+        return this.config.caps.map(([u, v]) => toHsl(this.config.capLightness, u, v));
+    },
+
+    /**
+     * Start a test ('d15' or 'fm100') with the caps shuffled in the tray
+     */
+    start(seed = Utils.generateSeed(), test = 'd15') {
+        this.capColors = this.buildCapColors(test);
+        this.state = {
+            isRunning: true,
+            test,
+            tray: [],
+            arrangement: [],
+            fixedSlots: [],
+            columns: test === 'fm100' ? this.config.fm100.columns : this.config.columns,
+            trayIndex: 0,
+            trayOrders: [],
+            dragging: null,
+            moves: 0,
+            testStartTime: Date.now(),
+            seed,
+            rng: Utils.createRNG(seed)
+        };
+
+        if (test === 'fm100') {
+            this.loadTray(0);
+        } else {
+            const capIds = Array.from({ length: this.config.caps.length }, (_, i) => i);
+            this.setBoard(capIds, [0]);
+        }
+    },
+
+    /**
+     * Load one FM-100 tray: the caps from its first to its last number, ends fixed
+     */
+    loadTray(index) {
+        const { capCount, trays } = this.config.fm100;
+        const [first, last] = trays[index];
+        const capIds = [first];
+        while (capIds[capIds.length - 1] !== last) {
+            capIds.push(capIds[capIds.length - 1] % capCount + 1);
+        }
+
+        this.state.trayIndex = index;
+        this.setBoard(capIds, [0, capIds.length - 1]);
+
+        if (this.callbacks.onTrayStart) {
+            this.callbacks.onTrayStart(index, trays.length);
+        }
+    },
+
+    /**
+     * Lay out caps (in correct order) with the given slots fixed and the rest shuffled in the tray
+     */
+    setBoard(capIds, fixedSlots) {
+        const movable = capIds.filter((_, slot) => !fixedSlots.includes(slot));
+
+        this.state.tray = Utils.shuffleArray(movable, this.state.rng);
+        this.state.arrangement = capIds.map((cap, slot) => fixedSlots.includes(slot) ? cap : null);
+        this.state.fixedSlots = fixedSlots;
+        this.state.dragging = null;
+
+        this.resize();
+        this.notifyChange();
+    },
+
+    /**
+     * Whether every cap has been placed
+     */
+    isArrangementComplete() {
+        return this.state.arrangement.every(cap => cap !== null);
+    },
+
+    isFixedSlot(slot) {
+        return this.state.fixedSlots.includes(slot);
+    },
+
+    /**
+     * Move a cap to an arrangement slot, or back to the tray when slot is null
+     * A cap already in the target slot swaps into the moved cap's old place
+     */
+    moveCap(capId, slot) {
+        const { tray, arrangement } = this.state;
+        const fromTray = tray.indexOf(capId);
+        const fromSlot = arrangement.indexOf(capId);
+
+        if (!this.state.isRunning || (fromTray < 0 && fromSlot < 0) || this.isFixedSlot(fromSlot)) return;
+
+        if (slot === null) {
+            if (fromSlot < 0) return;
+            arrangement[fromSlot] = null;
+            tray[tray.indexOf(null)] = capId;
+        } else {
+            if (slot < 0 || slot >= arrangement.length || slot === fromSlot || this.isFixedSlot(slot)) return;
+            const displaced = arrangement[slot];
+            arrangement[slot] = capId;
+            if (fromSlot >= 0) {
+                arrangement[fromSlot] = displaced;
+            } else {
+                tray[fromTray] = displaced;
+            }
+        }
+
+        this.state.moves++;
+        this.render();
+        this.notifyChange();
+    },
+
+    // ========== Pointer Input ==========
+
+    /**
+     * Canvas-relative coordinates of a pointer event position
+     */
+    toCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    },
+
+    handlePointerDown(clientX, clientY) {
+        if (!this.state.isRunning) return;
+
+        const point = this.toCanvasPoint(clientX, clientY);
+        const hit = this.hitTest(point.x, point.y);
+        if (!hit || hit.cap === null || (hit.area === 'arrangement' && this.isFixedSlot(hit.index))) return;
+
+        this.state.dragging = { cap: hit.cap, start: point, x: point.x, y: point.y, moved: false };
+    },
+
+    handlePointerMove(clientX, clientY) {
+        const drag = this.state.dragging;
+        if (!drag) return;
+
+        const point = this.toCanvasPoint(clientX, clientY);
+        drag.x = point.x;
+        drag.y = point.y;
+        if (Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > this.config.dragThreshold) {
+            drag.moved = true;
+        }
+
+        this.render();
+    },
+
+    handlePointerUp(clientX, clientY) {
+        const drag = this.state.dragging;
+        if (!drag) return;
+        this.state.dragging = null;
+
+        const inTray = this.state.tray.includes(drag.cap);
+
+        if (!drag.moved) {
+            // Tap: place a tray cap in the next free slot, or send a placed cap back
+            this.moveCap(drag.cap, inTray ? this.state.arrangement.indexOf(null) : null);
+        } else {
+            const point = this.toCanvasPoint(clientX, clientY);
+            const hit = this.hitTest(point.x, point.y);
+
+            if (hit && hit.area === 'arrangement') {
+                this.moveCap(drag.cap, hit.index);
+            } else if (hit && hit.area === 'tray' && !inTray) {
+                this.moveCap(drag.cap, null);
+            }
+        }
+
+        // Redraw even when the drop was rejected (e.g. onto a fixed cap)
+        this.render();
+    },
+
+    // ========== Rendering ==========
+
+    /**
+     * Size the canvas for a given width (the layout is 4.5 cap cells tall)
+     */
+    resize(width = this.canvas && this.canvas.width) {
+        if (!this.canvas) return;
+        this.canvas.width = width;
+        this.canvas.height = Math.round(width * 4.5 / this.state.columns);
+        this.render();
+    },
+
+    /**
+     * Cell size and row positions; the tray takes two rows and the arrangement two more
+     */
+    getLayout() {
+        const cell = this.canvas.width / this.state.columns;
+        return {
+            cell,
+            radius: cell * 0.38,
+            trayTop: 0,
+            arrangementTop: cell * 2.5
+        };
+    },
+
+    /**
+     * Center of a tray spot or arrangement slot
+     */
+    getPosition(area, index) {
+        const { cell, trayTop, arrangementTop } = this.getLayout();
+        const columns = this.state.columns;
+        const top = area === 'tray' ? trayTop : arrangementTop;
+
+        return {
+            x: (index % columns + 0.5) * cell,
+            y: top + (Math.floor(index / columns) + 0.5) * cell
+        };
+    },
+
+    /**
+     * Find the tray spot or arrangement slot under a canvas point
+     */
+    hitTest(x, y) {
+        const { radius } = this.getLayout();
+        const areas = [['tray', this.state.tray], ['arrangement', this.state.arrangement]];
+
+        for (const [area, caps] of areas) {
+            for (let index = 0; index < caps.length; index++) {
+                const pos = this.getPosition(area, index);
+                if (Math.hypot(x - pos.x, y - pos.y) <= radius * 1.2) {
+                    return { area, index, cap: caps[index] };
+                }
+            }
+        }
+
+        return null;
+    },
+
+    render() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const { cell, radius, arrangementTop } = this.getLayout();
+        const drag = this.state.dragging;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Divider between tray and arrangement
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(cell * 0.25, arrangementTop - cell * 0.25);
+        ctx.lineTo(this.canvas.width - cell * 0.25, arrangementTop - cell * 0.25);
+        ctx.stroke();
+
+        const drawCap = (capId, x, y) => {
+            const { h, s, l } = this.capColors[capId];
+            const rgb = DisplayCalibration.correctRgb(Utils.hslToRgb(h, s, l));
+            ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        };
+
+        const drawSpot = (x, y) => {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+
+        [['tray', this.state.tray], ['arrangement', this.state.arrangement]].forEach(([area, caps]) => {
+            caps.forEach((capId, index) => {
+                const { x, y } = this.getPosition(area, index);
+                if (capId === null || (drag && drag.moved && drag.cap === capId)) {
+                    drawSpot(x, y);
+                } else {
+                    drawCap(capId, x, y);
+                }
+            });
+        });
+
+        // Mark the fixed caps
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        this.state.fixedSlots.forEach(slot => {
+            const { x, y } = this.getPosition('arrangement', slot);
+            ctx.beginPath();
+            ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        if (drag && drag.moved) {
+            drawCap(drag.cap, drag.x, drag.y);
+        }
+    },
+
+    notifyChange() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.isArrangementComplete(), this.state.moves);
+        }
+    },
+
+    // ========== Scoring ==========
+
+    /**
+     * Complete the current tray (all caps must be placed)
+     * Moves on to the next FM-100 tray, or finishes the test and returns its results
+     */
+    complete() {
+        if (!this.state.isRunning || !this.isArrangementComplete()) return null;
+
+        if (this.state.test === 'fm100') {
+            this.state.trayOrders.push(this.state.arrangement.slice());
+            if (this.state.trayOrders.length < this.config.fm100.trays.length) {
+                this.loadTray(this.state.trayIndex + 1);
+                return null;
+            }
+        }
+
+        this.state.isRunning = false;
+        const results = this.calculateResults();
+
+        if (this.callbacks.onTestComplete) {
+            this.callbacks.onTestComplete(results);
+        }
+
+        return results;
+    },
+
+    /**
+     * Calculate results for the finished arrangement
+     */
+    calculateResults() {
+        const base = {
+            mode: 'arrangement',
+            seed: this.state.seed,
+            timestamp: new Date().toISOString()
+        };
+        const summary = {
+            moves: this.state.moves,
+            timing: {
+                totalTestTime: Math.round((Date.now() - this.state.testStartTime) / 1000)
+            }
+        };
+
+        if (this.state.test === 'fm100') {
+            // The trays join up into one circle of caps, starting at the first tray's first cap
+            const order = this.state.trayOrders.flat();
+            return { ...base, test: 'FM-100', order, ...this.scoreHueOrder(order), ...summary };
+        }
+
+        const order = this.state.arrangement.slice(1);
+        const score = this.scoreArrangement(order);
+
+        return {
+            ...base,
+            test: 'D-15',
+            order,
+            ...score,
+            deficiencyType: this.classifyArrangement(score),
+            ...summary
+        };
+    },
+
+    /**
+     * Vingrys & King-Smith moment-of-inertia analysis of a cap order (ids 1-15)
+     * The confusion angle is the direction of the color difference vectors between
+     * successive caps (starting at the pilot); C-index is the major radius relative to
+     * the correct order, S-index the major/minor radius ratio, TES the total error
+     */
+    scoreArrangement(order) {
+        const caps = this.config.caps;
+        const sequence = [0, ...order];
+        let U2 = 0;
+        let V2 = 0;
+        let UV = 0;
+
+        for (let i = 1; i < sequence.length; i++) {
+            const du = caps[sequence[i]][0] - caps[sequence[i - 1]][0];
+            const dv = caps[sequence[i]][1] - caps[sequence[i - 1]][1];
+            U2 += du * du;
+            V2 += dv * dv;
+            UV += du * dv;
+        }
+
+        // Moment of inertia about an axis at angle a
+        const inertia = a => U2 * Math.sin(a) ** 2 + V2 * Math.cos(a) ** 2 - 2 * UV * Math.sin(a) * Math.cos(a);
+
+        let a0 = U2 === V2 ? Math.PI / 4 : Math.atan(2 * UV / (U2 - V2)) / 2;
+        let a1 = a0 < 0 ? a0 + Math.PI / 2 : a0 - Math.PI / 2;
+        let i0 = inertia(a0);
+        let i1 = inertia(a1);
+
+        // The major radius lies along the axis with the smaller moment
+        if (i1 > i0) {
+            [a0, a1] = [a1, a0];
+            [i0, i1] = [i1, i0];
+        }
+
+        const n = order.length;
+        const majorRadius = Math.sqrt(i0 / n);
+        const minorRadius = Math.sqrt(i1 / n);
+        const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+        return {
+            angle: round(a1 * 180 / Math.PI, 1),
+            majorRadius: round(majorRadius),
+            minorRadius: round(minorRadius),
+            cIndex: round(majorRadius / this.config.normalMajorRadius),
+            sIndex: round(minorRadius > 0 ? majorRadius / minorRadius : 0),
+            tes: round(Math.sqrt(majorRadius ** 2 + minorRadius ** 2)),
+            // Transitions between caps that are not neighbours in the correct order
+            crossings: order.filter((cap, i) => Math.abs(cap - (i === 0 ? 0 : order[i - 1])) > 2).length
+        };
+    },
+
+    /**
+     * Classify the deficiency type from the confusion angle
+     */
+    classifyArrangement(score) {
+        const { cIndexThreshold, sIndexThreshold, protanAngle, tritanAngle } = this.config;
+        let type, description;
+
+        if (score.cIndex < cIndexThreshold) {
+            type = 'none';
+            description = 'Caps arranged in hue order with no significant confusion';
+        } else if (score.sIndex < sIndexThreshold) {
+            type = 'unclassified';
+            description = 'Arrangement errors without a consistent confusion axis';
+        } else if (score.angle > protanAngle) {
+            type = 'protan';
+            description = 'Errors follow the protan (red) confusion axis';
+        } else if (score.angle < tritanAngle) {
+            type = 'tritan';
+            description = 'Errors follow the tritan (blue-yellow) confusion axis';
+        } else {
+            type = 'deutan';
+            description = 'Errors follow the deutan (green) confusion axis';
+        }
+
+        return { type, description, angle: score.angle };
+    },
+
+    /**
+     * FM-100 error scores of a circular cap order (cap numbers 1-85)
+     * A cap's error score is the hue distance to both of its neighbours minus 2, so a
+     * correctly placed cap scores 0; the total error score (TES) is their sum
+     */
+    scoreHueOrder(order) {
+        const { capCount, trays } = this.config.fm100;
+        const distance = (a, b) => {
+            const d = Math.abs(a - b) % capCount;
+            return Math.min(d, capCount - d);
+        };
+
+        const capErrors = Array(capCount).fill(0);
+        order.forEach((cap, i) => {
+            const prev = order[(i - 1 + order.length) % order.length];
+            const next = order[(i + 1) % order.length];
+            capErrors[cap - 1] = distance(cap, prev) + distance(cap, next) - 2;
+        });
+
+        const tes = capErrors.reduce((sum, error) => sum + error, 0);
+
+        return {
+            capErrors,          // Indexed by cap number - 1
+            tes,
+            sqrtTes: Math.round(Math.sqrt(tes) * 100) / 100,
+            // Error score of the caps each tray holds
+            trayErrors: trays.map(([first, last]) => capErrors
+                .filter((_, i) => {
+                    const cap = i + 1;
+                    return first <= last ? cap >= first && cap <= last : cap >= first || cap <= last;
+                })
+                .reduce((sum, error) => sum + error, 0))
+        };
+    },
+
+    /**
+     * Draw the FM-100 polar error plot onto a canvas
+     * Caps run clockwise from the top; the inner circle is a perfect score (2) and
+     * each ring marks 2 more error points. Cap colors are shown around the inside.
+     */
+    renderErrorPlotTo(canvas, results) {
+        const ctx = canvas.getContext('2d');
+        const { capCount } = this.config.fm100;
+        const colors = this.buildCapColors('fm100');
+        const scores = results.capErrors.map(error => error + 2);
+        const maxScore = Math.max(10, Math.ceil(Math.max(...scores) / 2) * 2);
+
+        const cx = canvas.width / 2;
+        const cy = canvas.height / 2;
+        const outer = Math.min(cx, cy) * 0.92;
+        const inner = outer * 0.3;
+        const radiusOf = score => inner + (outer - inner) * (score - 2) / (maxScore - 2);
+        const angleOf = cap => -Math.PI / 2 + 2 * Math.PI * (cap % capCount) / capCount;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Rings every 2 error points
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        for (let score = 2; score <= maxScore; score += 2) {
+            ctx.beginPath();
+            ctx.arc(cx, cy, radiusOf(score), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Cap colors inside the perfect-score circle
+        for (let cap = 1; cap <= capCount; cap++) {
+            const rgb = DisplayCalibration.correctRgb(Utils.hslToRgb(colors[cap].h, colors[cap].s, colors[cap].l));
+            ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+            ctx.beginPath();
+            ctx.arc(cx + Math.cos(angleOf(cap)) * inner * 0.8, cy + Math.sin(angleOf(cap)) * inner * 0.8,
+                inner * 0.06, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Error score of each cap
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        scores.forEach((score, i) => {
+            const angle = angleOf(i + 1);
+            const r = radiusOf(score);
+            const x = cx + Math.cos(angle) * r;
+            const y = cy + Math.sin(angle) * r;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+    },
+
+    /**
+     * Stop the test
+     */
+    stop() {
+        this.state.isRunning = false;
+        this.state.dragging = null;
+    }
+};
+
+// Export
+window.ArrangementTestEngine = ArrangementTestEngine;
@@ -0,0 +1,596 @@
+/**
+ * ColorVision Pro - Colorimetry
+ * Color space conversions (sRGB, linear RGB, CIE XYZ, xyY, CIELAB, CIELUV, LMS) and
+ * CIEDE2000 color difference, plus generators for plate color pairs.
+ *
+ * Confusion pairs add light of the copunctal chromaticity of the chosen deficiency to
+ * the background (or take it away). That is the one color change the missing cone
+ * class cannot see, so the outlier lies on the background's confusion line and looks
+ * the same to a dichromat, luminance included. The distance along the line is solved
+ * for a requested CIEDE2000 difference.
+ *
+ * Conventions: RGB is [r, g, b] in 0-255 (unrounded), HSL is { h, s, l } in
+ * degrees/percent as used by the plate generators, XYZ is { X, Y, Z } with the
+ * D65 white at Y = 1.
+ */
+
+const Colorimetry = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    // D65 reference white
+    const WHITE = { X: 0.95047, Y: 1.0, Z: 1.08883 };
+
+    // Linear sRGB <-> XYZ (D65)
+    const RGB_TO_XYZ = [
+        [0.4124564, 0.3575761, 0.1804375],
+        [0.2126729, 0.7151522, 0.0721750],
+        [0.0193339, 0.1191920, 0.9503041]
+    ];
+    const XYZ_TO_RGB = [
+        [3.2404542, -1.5371385, -0.4985314],
+        [-0.9692660, 1.8760108, 0.0415560],
+        [0.0556434, -0.2040259, 1.0572252]
+    ];
+
+    // XYZ -> LMS cone space (Hunt-Pointer-Estevez, D65 normalized)
+    const XYZ_TO_LMS = [
+        [0.4002, 0.7076, -0.0808],
+        [-0.2263, 1.1653, 0.0457],
+        [0, 0, 0.9182]
+    ];
+
+    // Copunctal points in CIE 1931 xy, from the Machado et al. (2009) dichromat matrices
+    // (see CVDSimulation): the chromaticity of the linear RGB direction each matrix removes.
+    // Protan and deutan matrices remove it entirely. The tritan one has no null direction;
+    // its point is the direction it shrinks most, to about a sixth
+    const CONFUSION_POINTS = {
+        protan: { x: 0.7696, y: 0.2321 },
+        deutan: { x: 1.4705, y: -0.4632 },
+        tritan: { x: 0.1428, y: -0.0875 }
+    };
+
+    // CIELAB constants
+    const LAB_EPSILON = 216 / 24389;
+    const LAB_KAPPA = 24389 / 27;
+
+    // Solver settings
+    const GAMUT_TOLERANCE = 1e-6;
+    const XYZ_STEP = 0.002;        // Scan step along a confusion line (XYZ units of copunctal light)
+    const LIGHTNESS_STEP = 0.5;    // Scan step along the lightness axis (L* units)
+    const SEARCH_ITERATIONS = 40;
+
+    // ============================================
+    // Matrix Helpers
+    // ============================================
+    function multiply(matrix, vector) {
+        return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+    }
+
+    function invert(m) {
+        const [a, b, c] = m[0];
+        const [d, e, f] = m[1];
+        const [g, h, i] = m[2];
+        const A = e * i - f * h;
+        const B = -(d * i - f * g);
+        const C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+
+        return [
+            [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+            [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    const LMS_TO_XYZ = invert(XYZ_TO_LMS);
+
+    // ============================================
+    // Transfer Functions
+    // ============================================
+
+    /**
+     * sRGB companding: encoded channel (0-1) to linear light (0-1)
+     */
+    function srgbToLinear(c) {
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Inverse sRGB companding: linear light (0-1) to encoded channel (0-1)
+     */
+    function linearToSrgb(c) {
+        return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    }
+
+    // ============================================
+    // Conversions
+    // ============================================
+
+    /**
+     * [r, g, b] (0-255) to linear RGB (0-1)
+     */
+    function rgbToLinear(rgb) {
+        return rgb.map(c => srgbToLinear(c / 255));
+    }
+
+    /**
+     * Linear RGB (0-1) to [r, g, b] (0-255, unclamped)
+     */
+    function linearToRgb(linear) {
+        return linear.map(c => linearToSrgb(c) * 255);
+    }
+
+    function rgbToXyz(rgb) {
+        const [X, Y, Z] = multiply(RGB_TO_XYZ, rgbToLinear(rgb));
+        return { X, Y, Z };
+    }
+
+    function xyzToLinear(xyz) {
+        return multiply(XYZ_TO_RGB, [xyz.X, xyz.Y, xyz.Z]);
+    }
+
+    function xyzToRgb(xyz) {
+        return linearToRgb(xyzToLinear(xyz));
+    }
+
+    function xyzToLab(xyz) {
+        const f = t => t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+        const fx = f(xyz.X / WHITE.X);
+        const fy = f(xyz.Y / WHITE.Y);
+        const fz = f(xyz.Z / WHITE.Z);
+
+        return {
+            L: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    function labToXyz(lab) {
+        const fy = (lab.L + 16) / 116;
+        const fx = fy + lab.a / 500;
+        const fz = fy - lab.b / 200;
+        const finv = t => Math.pow(t, 3) > LAB_EPSILON ? Math.pow(t, 3) : (116 * t - 16) / LAB_KAPPA;
+
+        return {
+            X: finv(fx) * WHITE.X,
+            Y: (lab.L > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : lab.L / LAB_KAPPA) * WHITE.Y,
+            Z: finv(fz) * WHITE.Z
+        };
+    }
+
+    /**
+     * CIE 1976 u'v' chromaticity of an XYZ color
+     */
+    function uvPrime(xyz) {
+        const denominator = xyz.X + 15 * xyz.Y + 3 * xyz.Z;
+        if (denominator === 0) return uvPrime(WHITE);
+        return { u: 4 * xyz.X / denominator, v: 9 * xyz.Y / denominator };
+    }
+
+    function xyzToLuv(xyz) {
+        const L = xyzToLab({ X: WHITE.X, Y: xyz.Y, Z: WHITE.Z }).L;
+        const white = uvPrime(WHITE);
+        const { u, v } = uvPrime(xyz);
+
+        return {
+            L,
+            u: 13 * L * (u - white.u),
+            v: 13 * L * (v - white.v)
+        };
+    }
+
+    function luvToXyz(luv) {
+        if (luv.L <= 0) return { X: 0, Y: 0, Z: 0 };
+
+        const white = uvPrime(WHITE);
+        const u = luv.u / (13 * luv.L) + white.u;
+        const v = luv.v / (13 * luv.L) + white.v;
+        const Y = labToXyz({ L: luv.L, a: 0, b: 0 }).Y;
+
+        return {
+            X: Y * 9 * u / (4 * v),
+            Y,
+            Z: Y * (12 - 3 * u - 20 * v) / (4 * v)
+        };
+    }
+
+    function xyzToLms(xyz) {
+        const [L, M, S] = multiply(XYZ_TO_LMS, [xyz.X, xyz.Y, xyz.Z]);
+        return { L, M, S };
+    }
+
+    function lmsToXyz(lms) {
+        const [X, Y, Z] = multiply(LMS_TO_XYZ, [lms.L, lms.M, lms.S]);
+        return { X, Y, Z };
+    }
+
+    function xyzToXyY(xyz) {
+        const sum = xyz.X + xyz.Y + xyz.Z;
+        if (sum === 0) {
+            // Black: use the white point chromaticity
+            const whiteSum = WHITE.X + WHITE.Y + WHITE.Z;
+            return { x: WHITE.X / whiteSum, y: WHITE.Y / whiteSum, Y: 0 };
+        }
+        return { x: xyz.X / sum, y: xyz.Y / sum, Y: xyz.Y };
+    }
+
+    function xyYToXyz(xyY) {
+        if (xyY.y === 0) return { X: 0, Y: 0, Z: 0 };
+        return {
+            X: (xyY.x * xyY.Y) / xyY.y,
+            Y: xyY.Y,
+            Z: ((1 - xyY.x - xyY.y) * xyY.Y) / xyY.y
+        };
+    }
+
+    /**
+     * HSL to [r, g, b] (0-255) without rounding
+     */
+    function hslToRgb(hsl) {
+        const h = (((hsl.h % 360) + 360) % 360) / 360;
+        const s = Utils.clamp(hsl.s, 0, 100) / 100;
+        const l = Utils.clamp(hsl.l, 0, 100) / 100;
+
+        if (s === 0) return [l * 255, l * 255, l * 255];
+
+        const hue2rgb = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1/6) return p + (q - p) * 6 * t;
+            if (t < 1/2) return q;
+            if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+            return p;
+        };
+
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+
+        return [
+            hue2rgb(p, q, h + 1/3) * 255,
+            hue2rgb(p, q, h) * 255,
+            hue2rgb(p, q, h - 1/3) * 255
+        ];
+    }
+
+    /**
+     * [r, g, b] (0-255) to HSL without rounding
+     */
+    function rgbToHsl(rgb) {
+        const [r, g, b] = rgb.map(c => Utils.clamp(c, 0, 255) / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+
+        if (max === min) return { h: 0, s: 0, l: l * 100 };
+
+        const d = max - min;
+        const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        let h;
+        if (max === r) {
+            h = ((g - b) / d + (g < b ? 6 : 0)) / 6;
+        } else if (max === g) {
+            h = ((b - r) / d + 2) / 6;
+        } else {
+            h = ((r - g) / d + 4) / 6;
+        }
+
+        return { h: h * 360, s: s * 100, l: l * 100 };
+    }
+
+    function hslToXyz(hsl) {
+        return rgbToXyz(hslToRgb(hsl));
+    }
+
+    function xyzToHsl(xyz) {
+        return rgbToHsl(xyzToRgb(xyz));
+    }
+
+    function hslToLab(hsl) {
+        return xyzToLab(hslToXyz(hsl));
+    }
+
+    /**
+     * Whether an XYZ color is displayable in sRGB
+     */
+    function isInGamut(xyz) {
+        return xyzToLinear(xyz).every(c => c >= -GAMUT_TOLERANCE && c <= 1 + GAMUT_TOLERANCE);
+    }
+
+    // ============================================
+    // Color Difference
+    // ============================================
+
+    /**
+     * CIEDE2000 color difference between two CIELAB colors (Sharma et al., 2005)
+     */
+    function deltaE2000(lab1, lab2) {
+        const rad = Math.PI / 180;
+        const deg = 180 / Math.PI;
+
+        const C1 = Math.hypot(lab1.a, lab1.b);
+        const C2 = Math.hypot(lab2.a, lab2.b);
+        const Cbar = (C1 + C2) / 2;
+        const Cbar7 = Math.pow(Cbar, 7);
+        const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+        const a1 = (1 + G) * lab1.a;
+        const a2 = (1 + G) * lab2.a;
+        const C1p = Math.hypot(a1, lab1.b);
+        const C2p = Math.hypot(a2, lab2.b);
+        const h1p = C1p === 0 ? 0 : (Math.atan2(lab1.b, a1) * deg + 360) % 360;
+        const h2p = C2p === 0 ? 0 : (Math.atan2(lab2.b, a2) * deg + 360) % 360;
+
+        const dLp = lab2.L - lab1.L;
+        const dCp = C2p - C1p;
+
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+        const Lbarp = (lab1.L + lab2.L) / 2;
+        const Cbarp = (C1p + C2p) / 2;
+
+        let hbarp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) > 180) {
+                hbarp = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+            } else {
+                hbarp = (h1p + h2p) / 2;
+            }
+        }
+
+        const T = 1
+            - 0.17 * Math.cos((hbarp - 30) * rad)
+            + 0.24 * Math.cos(2 * hbarp * rad)
+            + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+            - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+        const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+        const Cbarp7 = Math.pow(Cbarp, 7);
+        const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+        const Lterm = Math.pow(Lbarp - 50, 2);
+        const Sl = 1 + (0.015 * Lterm) / Math.sqrt(20 + Lterm);
+        const Sc = 1 + 0.045 * Cbarp;
+        const Sh = 1 + 0.015 * Cbarp * T;
+        const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+        return Math.sqrt(
+            Math.pow(dLp / Sl, 2) +
+            Math.pow(dCp / Sc, 2) +
+            Math.pow(dHp / Sh, 2) +
+            Rt * (dCp / Sc) * (dHp / Sh)
+        );
+    }
+
+    // ============================================
+    // Pair Generation
+    // ============================================
+
+    /**
+     * Solve for a color at the requested CIEDE2000 distance along a one-parameter path.
+     * pointAt(t) returns an XYZ color for t >= 0 (t = 0 is the background).
+     * Returns { t, xyz, deltaE, maxDeltaE }, clamped to the sRGB gamut.
+     */
+    function solveAlongPath(pointAt, backgroundLab, targetDeltaE, maxT, step) {
+        const distance = t => deltaE2000(backgroundLab, xyzToLab(pointAt(t)));
+
+        // Scan outwards for the gamut edge
+        let edge = 0;
+        while (edge + step <= maxT && isInGamut(pointAt(edge + step))) {
+            edge += step;
+        }
+
+        // Refine the edge
+        let lo = edge;
+        let hi = Math.min(edge + step, maxT);
+        for (let i = 0; i < SEARCH_ITERATIONS && hi > lo; i++) {
+            const mid = (lo + hi) / 2;
+            if (isInGamut(pointAt(mid))) lo = mid; else hi = mid;
+        }
+        edge = lo;
+
+        const maxDeltaE = distance(edge);
+        if (maxDeltaE <= targetDeltaE) {
+            return { t: edge, xyz: pointAt(edge), deltaE: maxDeltaE, maxDeltaE };
+        }
+
+        // Binary search for the target distance within the gamut
+        lo = 0;
+        hi = edge;
+        for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+            const mid = (lo + hi) / 2;
+            if (distance(mid) < targetDeltaE) lo = mid; else hi = mid;
+        }
+
+        const t = (lo + hi) / 2;
+        return { t, xyz: pointAt(t), deltaE: distance(t), maxDeltaE };
+    }
+
+    /**
+     * Pick the solution for the requested direction.
+     * direction 0 picks the side with more gamut room (randomly if both reach the target and rng is given).
+     */
+    function pickDirection(solutions, targetDeltaE, direction, rng) {
+        if (direction > 0) return solutions[0];
+        if (direction < 0) return solutions[1];
+
+        const reachable = solutions.filter(s => s.maxDeltaE >= targetDeltaE);
+        if (reachable.length === 2 && rng) {
+            return rng() < 0.5 ? reachable[0] : reachable[1];
+        }
+        return solutions[0].maxDeltaE >= solutions[1].maxDeltaE ? solutions[0] : solutions[1];
+    }
+
+    /**
+     * Generate a background/outlier pair on a confusion line through the background.
+     * The outlier adds (or removes) light of the copunctal chromaticity, so it differs from the
+     * background for a normal observer, by the requested CIEDE2000, but not for the dichromat.
+     * Its luminance shifts with the protan and deutan points, as those observers don't see it.
+     *
+     * @param {Object} options
+     * @param {string} options.axis - 'protan', 'deutan' or 'tritan'
+     * @param {Object} options.background - HSL color the confusion line passes through
+     * @param {number} options.deltaE - Target CIEDE2000 distance
+     * @param {number} [options.direction=0] - +1 toward the copunctal point, -1 away, 0 for the roomier side
+     * @param {Function} [options.rng=null] - Seeded RNG used to pick a side when both fit
+     * @returns {Object} { axis, background, outlier, deltaE, targetDeltaE, inGamut, direction, luminance }
+     */
+    function generateConfusionPair(options) {
+        const { axis, background, deltaE, direction = 0, rng = null } = options;
+        const point = CONFUSION_POINTS[axis];
+        if (!point) {
+            throw new Error(`Unknown confusion axis: ${axis}`);
+        }
+
+        const backgroundXyz = hslToXyz(background);
+        const backgroundLab = xyzToLab(backgroundXyz);
+
+        // Light of the copunctal chromaticity, one unit of X + Y + Z per unit of t
+        const along = { X: point.x, Y: point.y, Z: 1 - point.x - point.y };
+
+        // Both ways are bounded by the sRGB gamut
+        const solutions = [1, -1].map(sign => ({
+            direction: sign,
+            ...solveAlongPath(
+                t => ({
+                    X: backgroundXyz.X + sign * along.X * t,
+                    Y: backgroundXyz.Y + sign * along.Y * t,
+                    Z: backgroundXyz.Z + sign * along.Z * t
+                }),
+                backgroundLab,
+                deltaE,
+                2,
+                XYZ_STEP
+            )
+        }));
+
+        const solution = pickDirection(solutions, deltaE, direction, rng);
+
+        return {
+            axis,
+            background: { ...background },
+            outlier: xyzToHsl(solution.xyz),
+            deltaE: solution.deltaE,
+            targetDeltaE: deltaE,
+            inGamut: solution.deltaE >= deltaE - 0.01,
+            direction: solution.direction,
+            luminance: backgroundXyz.Y
+        };
+    }
+
+    /**
+     * Generate a background/outlier pair that differs only in CIELAB lightness.
+     * Used for control plates, which should be equally visible to everyone.
+     *
+     * @param {Object} options
+     * @param {Object} options.background - HSL background color
+     * @param {number} options.deltaE - Target CIEDE2000 distance
+     * @param {number} [options.direction=0] - +1 lighter, -1 darker, 0 for the roomier side
+     * @param {Function} [options.rng=null] - Seeded RNG used to pick a side when both fit
+     * @returns {Object} { axis, background, outlier, deltaE, targetDeltaE, inGamut, direction, luminance }
+     */
+    function generateLightnessPair(options) {
+        const { background, deltaE, direction = 0, rng = null } = options;
+
+        const backgroundXyz = hslToXyz(background);
+        const backgroundLab = xyzToLab(backgroundXyz);
+
+        const solutions = [1, -1].map(sign => ({
+            direction: sign,
+            ...solveAlongPath(
+                t => labToXyz({ L: backgroundLab.L + sign * t, a: backgroundLab.a, b: backgroundLab.b }),
+                backgroundLab,
+                deltaE,
+                sign > 0 ? 100 - backgroundLab.L : backgroundLab.L,
+                LIGHTNESS_STEP
+            )
+        }));
+
+        const solution = pickDirection(solutions, deltaE, direction, rng);
+
+        return {
+            axis: 'lightness',
+            background: { ...background },
+            outlier: xyzToHsl(solution.xyz),
+            deltaE: solution.deltaE,
+            targetDeltaE: deltaE,
+            inGamut: solution.deltaE >= deltaE - 0.01,
+            direction: solution.direction,
+            luminance: backgroundXyz.Y
+        };
+    }
+
+    /**
+     * Generate a ladder of outliers on one confusion line, from easiest to hardest.
+     * Distances step geometrically from maxDeltaE down to minDeltaE; every level uses
+     * the same side of the line so the ladder moves monotonically toward the background.
+     *
+     * @param {Object} options
+     * @param {string} options.axis - 'protan', 'deutan', 'tritan' or 'lightness'
+     * @param {Object} options.background - HSL background color
+     * @param {number} options.count - Number of levels
+     * @param {number} options.maxDeltaE - Distance of the first (easiest) level
+     * @param {number} options.minDeltaE - Distance of the last (hardest) level
+     * @returns {Object[]} Pairs as returned by generateConfusionPair
+     */
+    function generateLevels(options) {
+        const { axis, background, count, maxDeltaE, minDeltaE } = options;
+        const generate = axis === 'lightness' ? generateLightnessPair : generateConfusionPair;
+
+        // Side with the most room for the easiest level
+        const { direction } = generate({ axis, background, deltaE: maxDeltaE });
+
+        const ratio = count > 1 ? Math.pow(minDeltaE / maxDeltaE, 1 / (count - 1)) : 1;
+
+        return Array.from({ length: count }, (_, i) => generate({
+            axis,
+            background,
+            deltaE: maxDeltaE * Math.pow(ratio, i),
+            direction
+        }));
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        srgbToLinear,
+        linearToSrgb,
+        rgbToLinear,
+        linearToRgb,
+        rgbToXyz,
+        xyzToRgb,
+        xyzToLab,
+        labToXyz,
+        xyzToLuv,
+        luvToXyz,
+        xyzToLms,
+        lmsToXyz,
+        xyzToXyY,
+        xyYToXyz,
+        hslToRgb,
+        rgbToHsl,
+        hslToXyz,
+        xyzToHsl,
+        hslToLab,
+        isInGamut,
+        deltaE2000,
+        generateConfusionPair,
+        generateLightnessPair,
+        generateLevels,
+        CONFUSION_POINTS,
+        WHITE
+    };
+})();
+
+// Export
+window.Colorimetry = Colorimetry;
@@ -17,27 +17,21 @@ const Constants = {
     },
 
     /**
-     * Canvas size presets for responsive layout
+     * Viewing geometry: stimulus tiles are sized to a visual angle (see ViewingGeometry)
      */
-    canvas: {
-        desktop: {
-            /** @type {number} Tile size on desktop in pixels */
-            tileSize: 30,
-            /** @type {number} Canvas width on desktop in pixels */
-            width: 600,
-            /** @type {number} Canvas height on desktop in pixels */
-            height: 600
-        },
-        mobile: {
-            /** @type {number} Tile size on mobile in pixels */
-            tileSize: 16,
-            /** @type {number} Canvas width on mobile in pixels */
-            width: 320,
-            /** @type {number} Canvas height on mobile in pixels */
-            height: 330
-        },
-        /** @type {number} Breakpoint width in pixels below which mobile layout is used */
-        mobileBreakpoint: 760
+    viewing: {
+        /** @type {number} ID-1 (credit card) width in mm, used for the card-matching step */
+        cardWidthMm: 85.6,
+        /** @type {number} ID-1 (credit card) height in mm */
+        cardHeightMm: 53.98,
+        /** @type {number} Viewing distance the user is asked to sit at, in mm */
+        defaultDistanceMm: 500,
+        /** @type {number} Target visual angle of one mosaic tile in degrees */
+        tileAngle: 0.9,
+        /** @type {number} CSS reference pixels per mm, assumed until the card is matched */
+        referencePxPerMm: 96 / 25.4,
+        /** @type {number} Smallest tile size in pixels when the grid must shrink to fit */
+        minTileSize: 8
     },
 
     /**
@@ -104,6 +98,16 @@ const Constants = {
         buckets: ['none', 'mild', 'moderate', 'strong']
     },
 
+    /**
+     * Tritan (blue-yellow) screening thresholds (percentage score boundaries)
+     */
+    tritan: {
+        /** @type {number} Score at or above this value passes screening */
+        passThreshold: 75,
+        /** @type {number} Score at or above this value is borderline */
+        borderlineThreshold: 50
+    },
+
     /**
      * Storage configuration
      */
@@ -146,13 +150,12 @@ const Constants = {
 // Freeze to prevent accidental mutation
 Object.freeze(Constants);
 Object.freeze(Constants.grid);
-Object.freeze(Constants.canvas);
-Object.freeze(Constants.canvas.desktop);
-Object.freeze(Constants.canvas.mobile);
+Object.freeze(Constants.viewing);
 Object.freeze(Constants.camera);
 Object.freeze(Constants.animation);
 Object.freeze(Constants.test);
 Object.freeze(Constants.severity);
+Object.freeze(Constants.tritan);
 Object.freeze(Constants.storage);
 Object.freeze(Constants.hueRanges);
 Object.freeze(Constants.export);
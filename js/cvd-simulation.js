@@ -0,0 +1,412 @@
+/**
+ * ColorVision Pro - Color Vision Deficiency Simulation
+ * Simulates how protan, deutan and tritan observers perceive colors (Machado et al., 2009).
+ */
+
+const CVDSimulation = {
+    /**
+     * Machado et al. (2009) simulation matrices, as published by the authors for severities
+     * 0 to 1 in steps of 0.1 (index i is severity i / 10; the last is dichromacy).
+     * Applied to linear RGB; severities between steps interpolate the two adjacent matrices.
+     * @type {Object.<string, number[][][]>}
+     */
+    matrices: {
+        protan: [
+            [[ 1.000000,  0.000000,  0.000000],    // 0.0
+             [ 0.000000,  1.000000,  0.000000],
+             [ 0.000000,  0.000000,  1.000000]],
+            [[ 0.856167,  0.182038, -0.038205],    // 0.1
+             [ 0.029342,  0.955115,  0.015544],
+             [-0.002880, -0.001563,  1.004443]],
+            [[ 0.734766,  0.334872, -0.069637],    // 0.2
+             [ 0.051840,  0.919198,  0.028963],
+             [-0.004928, -0.004209,  1.009137]],
+            [[ 0.630323,  0.465641, -0.095964],    // 0.3
+             [ 0.069181,  0.890046,  0.040773],
+             [-0.006308, -0.007724,  1.014032]],
+            [[ 0.539009,  0.579343, -0.118352],    // 0.4
+             [ 0.082546,  0.866121,  0.051332],
+             [-0.007136, -0.011959,  1.019095]],
+            [[ 0.458064,  0.679578, -0.137642],    // 0.5
+             [ 0.092785,  0.846313,  0.060902],
+             [-0.007494, -0.016807,  1.024301]],
+            [[ 0.385450,  0.769005, -0.154455],    // 0.6
+             [ 0.100526,  0.829802,  0.069673],
+             [-0.007442, -0.022190,  1.029632]],
+            [[ 0.319627,  0.849633, -0.169261],    // 0.7
+             [ 0.106241,  0.815969,  0.077790],
+             [-0.007025, -0.028051,  1.035076]],
+            [[ 0.259411,  0.923008, -0.182420],    // 0.8
+             [ 0.110296,  0.804340,  0.085364],
+             [-0.006276, -0.034346,  1.040622]],
+            [[ 0.203876,  0.990338, -0.194214],    // 0.9
+             [ 0.112975,  0.794542,  0.092483],
+             [-0.005222, -0.041043,  1.046265]],
+            [[ 0.152286,  1.052583, -0.204868],    // 1.0
+             [ 0.114503,  0.786281,  0.099216],
+             [-0.003882, -0.048116,  1.051998]]
+        ],
+        deutan: [
+            [[ 1.000000,  0.000000,  0.000000],    // 0.0
+             [ 0.000000,  1.000000,  0.000000],
+             [ 0.000000,  0.000000,  1.000000]],
+            [[ 0.866435,  0.177704, -0.044139],    // 0.1
+             [ 0.049567,  0.939063,  0.011370],
+             [-0.003453,  0.007233,  0.996220]],
+            [[ 0.760729,  0.319078, -0.079807],    // 0.2
+             [ 0.090568,  0.889315,  0.020117],
+             [-0.006027,  0.013325,  0.992702]],
+            [[ 0.675425,  0.433850, -0.109275],    // 0.3
+             [ 0.125303,  0.847755,  0.026942],
+             [-0.007950,  0.018572,  0.989378]],
+            [[ 0.605511,  0.528560, -0.134071],    // 0.4
+             [ 0.155318,  0.812366,  0.032316],
+             [-0.009376,  0.023176,  0.986200]],
+            [[ 0.547494,  0.607765, -0.155259],    // 0.5
+             [ 0.181692,  0.781742,  0.036566],
+             [-0.010410,  0.027275,  0.983136]],
+            [[ 0.498864,  0.674741, -0.173604],    // 0.6
+             [ 0.205199,  0.754872,  0.039929],
+             [-0.011131,  0.030969,  0.980162]],
+            [[ 0.457771,  0.731899, -0.189670],    // 0.7
+             [ 0.226409,  0.731012,  0.042579],
+             [-0.011595,  0.034333,  0.977261]],
+            [[ 0.422823,  0.781057, -0.203881],    // 0.8
+             [ 0.245752,  0.709602,  0.044646],
+             [-0.011843,  0.037423,  0.974421]],
+            [[ 0.392952,  0.823610, -0.216562],    // 0.9
+             [ 0.263559,  0.690210,  0.046232],
+             [-0.011910,  0.040281,  0.971630]],
+            [[ 0.367322,  0.860646, -0.227968],    // 1.0
+             [ 0.280085,  0.672501,  0.047413],
+             [-0.011820,  0.042940,  0.968881]]
+        ],
+        tritan: [
+            [[ 1.000000,  0.000000,  0.000000],    // 0.0
+             [ 0.000000,  1.000000,  0.000000],
+             [ 0.000000,  0.000000,  1.000000]],
+            [[ 0.926670,  0.092514, -0.019184],    // 0.1
+             [ 0.021191,  0.964503,  0.014306],
+             [ 0.008437,  0.054813,  0.936750]],
+            [[ 0.895720,  0.133330, -0.029050],    // 0.2
+             [ 0.029997,  0.945400,  0.024603],
+             [ 0.013027,  0.104707,  0.882266]],
+            [[ 0.905871,  0.127791, -0.033662],    // 0.3
+             [ 0.026856,  0.941251,  0.031893],
+             [ 0.013410,  0.148296,  0.838294]],
+            [[ 0.948035,  0.089490, -0.037526],    // 0.4
+             [ 0.014364,  0.946792,  0.038844],
+             [ 0.010853,  0.193991,  0.795156]],
+            [[ 1.017277,  0.027029, -0.044306],    // 0.5
+             [-0.006113,  0.958479,  0.047634],
+             [ 0.006379,  0.248708,  0.744913]],
+            [[ 1.104996, -0.046633, -0.058363],    // 0.6
+             [-0.032137,  0.971635,  0.060503],
+             [ 0.001336,  0.317922,  0.680742]],
+            [[ 1.193214, -0.109812, -0.083402],    // 0.7
+             [-0.058496,  0.979410,  0.079086],
+             [-0.002346,  0.403492,  0.598854]],
+            [[ 1.257728, -0.139648, -0.118081],    // 0.8
+             [-0.078003,  0.975409,  0.102594],
+             [-0.003316,  0.501214,  0.502102]],
+            [[ 1.278864, -0.125333, -0.153531],    // 0.9
+             [-0.084748,  0.957674,  0.127074],
+             [-0.000989,  0.601151,  0.399838]],
+            [[ 1.255528, -0.076749, -0.178779],    // 1.0
+             [-0.078411,  0.930809,  0.147602],
+             [ 0.004733,  0.691367,  0.303900]]
+        ]
+    },
+
+    /**
+     * Simulation severity used for each result bucket.
+     * @type {Object.<string, number>}
+     */
+    bucketSeverity: {
+        none: 0,
+        mild: 0.3,
+        moderate: 0.6,
+        strong: 1.0
+    },
+
+    /**
+     * CIEDE2000 distance below which a simulated plate is treated as collapsed.
+     * @type {number}
+     */
+    collapseThreshold: 2.3,
+
+    /**
+     * Share of a confusion plate's color difference each dichromat may keep: at most `collapsed`
+     * for the plate's own type, at least `visible` for the types it must tell apart from it.
+     * Machado's tritan matrix keeps about a fifth of any difference, hence `collapsed` above zero.
+     * @type {Object}
+     */
+    separation: {
+        collapsed: 0.25,
+        visible: 0.35
+    },
+
+    /**
+     * Types a plate of each family must stay visible to.
+     * @type {Object.<string, string[]>}
+     */
+    rivals: {
+        protan: ['deutan'],
+        deutan: ['protan'],
+        tritan: ['protan', 'deutan']
+    },
+
+    /**
+     * Lookup tables for sRGB companding, built on first use.
+     * @type {Object|null}
+     */
+    lookup: null,
+
+    /**
+     * Build the sRGB <-> linear lookup tables used for ImageData processing.
+     * @returns {Object} Tables { toLinear: Float32Array(256), toSrgb: Uint8ClampedArray(4096) }.
+     */
+    getLookup() {
+        if (!this.lookup) {
+            const toLinear = new Float32Array(256);
+            for (let i = 0; i < 256; i++) {
+                toLinear[i] = Colorimetry.srgbToLinear(i / 255);
+            }
+
+            const toSrgb = new Uint8ClampedArray(4096);
+            for (let i = 0; i < 4096; i++) {
+                toSrgb[i] = Math.round(Colorimetry.linearToSrgb(i / 4095) * 255);
+            }
+
+            this.lookup = { toLinear, toSrgb };
+        }
+        return this.lookup;
+    },
+
+    /**
+     * Get the simulation matrix for a deficiency type and severity.
+     * @param {string} type - One of 'protan', 'deutan', 'tritan'.
+     * @param {number} severity - 0 (normal vision) to 1 (dichromacy).
+     * @returns {number[][]} A 3x3 matrix for linear RGB.
+     */
+    getMatrix(type, severity) {
+        const steps = this.matrices[type];
+        if (!steps) {
+            return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+        }
+
+        const position = Utils.clamp(severity, 0, 1) * (steps.length - 1);
+        const lower = Math.min(Math.floor(position), steps.length - 2);
+        const amount = position - lower;
+
+        return [0, 1, 2].map(row => [0, 1, 2].map(col =>
+            Utils.lerp(steps[lower][row][col], steps[lower + 1][row][col], amount)));
+    },
+
+    /**
+     * Simulate a single RGB color.
+     * @param {number[]} rgb - The [r, g, b] input color (0–255 each).
+     * @param {string} type - One of 'protan', 'deutan', 'tritan'.
+     * @param {number} severity - 0 (normal vision) to 1 (dichromacy).
+     * @returns {number[]} The perceived [r, g, b] color (0–255, unrounded).
+     */
+    simulateRGB(rgb, type, severity) {
+        if (!Array.isArray(rgb) || rgb.length < 3) {
+            return [0, 0, 0];
+        }
+
+        const m = this.getMatrix(type, severity);
+        const linear = Colorimetry.rgbToLinear(rgb.slice(0, 3));
+        const simulated = m.map(row => Utils.clamp(
+            row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2], 0, 1
+        ));
+
+        return Colorimetry.linearToRgb(simulated);
+    },
+
+    /**
+     * Simulate a single HSL color as used by the plate generators.
+     * @param {Object} hsl - Color as { h, s, l }.
+     * @param {string} type - One of 'protan', 'deutan', 'tritan'.
+     * @param {number} severity - 0 (normal vision) to 1 (dichromacy).
+     * @returns {Object} The perceived color as { h, s, l }.
+     */
+    simulateHSL(hsl, type, severity) {
+        return Colorimetry.rgbToHsl(this.simulateRGB(Colorimetry.hslToRgb(hsl), type, severity));
+    },
+
+    /**
+     * Simulate an entire ImageData buffer in place.
+     * @param {ImageData} imageData - The canvas ImageData to process in-place.
+     * @param {string} type - One of 'protan', 'deutan', 'tritan'.
+     * @param {number} severity - 0 (normal vision) to 1 (dichromacy).
+     * @returns {ImageData} The modified ImageData.
+     */
+    applyToImageData(imageData, type, severity) {
+        if (!imageData || !imageData.data || severity <= 0) {
+            return imageData;
+        }
+
+        const data = imageData.data;
+        const m = this.getMatrix(type, severity);
+        const { toLinear, toSrgb } = this.getLookup();
+        const encode = v => toSrgb[Math.round(Utils.clamp(v, 0, 1) * 4095)];
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = toLinear[data[i]];
+            const g = toLinear[data[i + 1]];
+            const b = toLinear[data[i + 2]];
+
+            data[i] = encode(m[0][0] * r + m[0][1] * g + m[0][2] * b);
+            data[i + 1] = encode(m[1][0] * r + m[1][1] * g + m[1][2] * b);
+            data[i + 2] = encode(m[2][0] * r + m[2][1] * g + m[2][2] * b);
+            // Alpha stays the same
+        }
+
+        return imageData;
+    },
+
+    /**
+     * Check whether a background/outlier pair collapses for a simulated observer.
+     * @param {Object} background - Background color as { h, s, l }.
+     * @param {Object} outlier - Outlier/target color as { h, s, l }.
+     * @param {string} type - One of 'protan', 'deutan', 'tritan'.
+     * @param {number} [severity=1] - 0 (normal vision) to 1 (dichromacy).
+     * @returns {Object} { originalDeltaE, simulatedDeltaE, ratio, collapsed }.
+     */
+    checkCollapse(background, outlier, type, severity = 1) {
+        const originalDeltaE = Colorimetry.deltaE2000(
+            Colorimetry.hslToLab(background),
+            Colorimetry.hslToLab(outlier)
+        );
+        const simulatedDeltaE = Colorimetry.deltaE2000(
+            Colorimetry.hslToLab(this.simulateHSL(background, type, severity)),
+            Colorimetry.hslToLab(this.simulateHSL(outlier, type, severity))
+        );
+
+        return {
+            originalDeltaE,
+            simulatedDeltaE,
+            ratio: originalDeltaE > 0 ? simulatedDeltaE / originalDeltaE : 0,
+            collapsed: simulatedDeltaE < this.collapseThreshold
+        };
+    },
+
+    /**
+     * Check whether a generated plate collapses for a simulated observer.
+     * Accepts AnimatedMosaic plates (palette.outlier) and MosaicGenerator plates (palette.target).
+     * @param {Object} plate - A generated plate.
+     * @param {string} type - One of 'protan', 'deutan', 'tritan'.
+     * @param {number} [severity=1] - 0 (normal vision) to 1 (dichromacy).
+     * @returns {Object} { originalDeltaE, simulatedDeltaE, ratio, collapsed }.
+     */
+    checkPlate(plate, type, severity = 1) {
+        const { palette } = plate;
+        const background = Array.isArray(palette.background) ? palette.background[0] : palette.background;
+        const outlier = palette.outlier || palette.target[0];
+        return this.checkCollapse(background, outlier, type, severity);
+    },
+
+    /**
+     * Check that a confusion pair collapses for its own dichromat and stays visible to its rivals.
+     * @param {Object} background - Background color as { h, s, l }.
+     * @param {Object} outlier - Outlier/target color as { h, s, l }.
+     * @param {string} family - One of 'protan', 'deutan', 'tritan'.
+     * @returns {Object} { family, passed, ratios: { protan, deutan, tritan }, failures: string[] }.
+     */
+    checkSeparation(background, outlier, family) {
+        const ratios = {};
+        Object.keys(this.matrices).forEach(type => {
+            ratios[type] = this.checkCollapse(background, outlier, type).ratio;
+        });
+
+        const failures = [];
+        if (ratios[family] > this.separation.collapsed) {
+            failures.push(`${family} keeps ${Math.round(ratios[family] * 100)}% of the difference`);
+        }
+        (this.rivals[family] || []).forEach(type => {
+            if (ratios[type] < this.separation.visible) {
+                failures.push(`${type} keeps only ${Math.round(ratios[type] * 100)}% of the difference`);
+            }
+        });
+
+        return { family, passed: failures.length === 0, ratios, failures };
+    },
+
+    /**
+     * Check a plate background for a family: each distance must be reachable in gamut, and the
+     * confusion pairs Colorimetry generates from it on either side that reaches must all pass
+     * checkSeparation.
+     * @param {Object} background - Background color as { h, s, l }.
+     * @param {string} family - One of 'protan', 'deutan', 'tritan'.
+     * @param {number[]} distances - CIEDE2000 distances the plates are drawn at.
+     * @returns {Object} { passed, failures: string[] }.
+     */
+    checkAnchor(background, family, distances) {
+        const failures = [];
+
+        distances.forEach(deltaE => {
+            const pairs = [1, -1]
+                .map(direction => Colorimetry.generateConfusionPair({ axis: family, background, deltaE, direction }));
+            const reachable = pairs.filter(pair => pair.inGamut);
+            if (reachable.length === 0) {
+                failures.push(`ΔE ${deltaE}: out of gamut on both sides`);
+            }
+
+            reachable.forEach(pair => {
+                this.checkSeparation(background, pair.outlier, family).failures
+                    .forEach(failure => failures.push(`ΔE ${deltaE}, direction ${pair.direction}: ${failure}`));
+            });
+        });
+
+        return { passed: failures.length === 0, failures };
+    },
+
+    /**
+     * Result bucket for a simulation severity: the nearest bucketSeverity entry.
+     * @param {number} severity - 0 (normal vision) to 1 (dichromacy).
+     * @returns {string} One of the bucketSeverity keys.
+     */
+    bucketForSeverity(severity) {
+        const entries = Object.entries(this.bucketSeverity).sort((a, b) => a[1] - b[1]);
+        let bucket = entries[0][0];
+
+        for (let i = 1; i < entries.length; i++) {
+            if (severity >= (entries[i - 1][1] + entries[i][1]) / 2) {
+                bucket = entries[i][0];
+            }
+        }
+
+        return bucket;
+    },
+
+    /**
+     * Pick the simulation matching a set of test results.
+     * Red-green results take priority; tritan is used when only the blue-yellow screening failed.
+     * @param {Object} results - Results from OutlierTestEngine.
+     * @returns {Object|null} { type, severity }, or null when nothing was detected.
+     */
+    fromResults(results) {
+        if (!results || !results.severity) return null;
+
+        // An inconclusive or untested result has no severity to show
+        if (results.severity.bucket === 'inconclusive' || results.severity.bucket === 'not-tested') return null;
+
+        if (results.severity.bucket !== 'none') {
+            const diagnosed = results.deficiencyType ? results.deficiencyType.type : null;
+            return {
+                type: diagnosed === 'protan' ? 'protan' : 'deutan',
+                severity: this.bucketSeverity[results.severity.bucket] ?? 1
+            };
+        }
+
+        if (results.tritan && results.tritan.status === 'fail') {
+            return { type: 'tritan', severity: this.bucketSeverity.moderate };
+        }
+
+        return null;
+    }
+};
+
+// Export for use in other modules
+window.CVDSimulation = CVDSimulation;
@@ -0,0 +1,346 @@
+/**
+ * ColorVision Pro - Display Calibration
+ * Estimates the display's gamma with a gray-step matching task and its white balance
+ * with a tint adjustment, stores the result as a display profile via Storage, and
+ * corrects stimulus colors before they are drawn.
+ *
+ * Stimuli are specified in sRGB. With a profile, each channel is linearized with the
+ * sRGB curve, scaled by the white-balance gain and re-encoded with the measured gamma,
+ * so the display emits the light the sRGB value describes.
+ */
+
+const DisplayCalibration = {
+    /**
+     * Wizard state
+     */
+    state: {
+        isRunning: false,
+        stepIndex: 0,
+        level: 128,
+        temperature: 0,
+        tint: 0,
+        matches: []
+    },
+
+    /**
+     * Configuration
+     */
+    config: {
+        // Share of white lines in each dithered patch (its luminance relative to white)
+        gammaFractions: [0.25, 0.5, 0.75],
+        linePeriod: 4,          // Device pixels per dither cycle
+        gammaRange: [1.4, 3.2],
+        defaultGamma: 2.2,
+        // Largest channel change (linear) at the ends of the temperature and tint sliders
+        whiteBalanceRange: 0.15,
+        whiteGray: 160          // Gray shown for the white-balance step
+    },
+
+    /**
+     * Instructions for each wizard step
+     */
+    instructions: {
+        gamma: 'Step back or squint until the stripes on the left blur into gray, then move the slider until the right half looks equally bright',
+        white: 'Adjust the sliders until the gray square looks neutral, with no warm, cool, green or pink tint'
+    },
+
+    /**
+     * Callbacks
+     */
+    callbacks: {
+        onStepStart: null,
+        onComplete: null
+    },
+
+    /**
+     * Canvas and context for the wizard
+     */
+    canvas: null,
+    ctx: null,
+
+    /**
+     * Active profile and its per-channel lookup tables (null = uncorrected)
+     */
+    profile: null,
+    lookup: null,
+    loaded: false,
+
+    /**
+     * Lookup tables of the last other profile corrected for (e.g. a replayed session's)
+     */
+    otherLookup: { profile: null, lookup: null },
+
+    // ========== Correction ==========
+
+    /**
+     * Active display profile, loaded from Storage on first use
+     */
+    getProfile() {
+        if (!this.loaded) {
+            this.loaded = true;
+            this.applyProfile(Storage.getDisplayProfile());
+        }
+        return this.profile;
+    },
+
+    /**
+     * Use a profile for correction without saving it
+     */
+    applyProfile(profile) {
+        this.profile = profile || null;
+        this.lookup = profile ? this.buildLookup(profile) : null;
+        this.loaded = true;
+    },
+
+    /**
+     * Save a profile via Storage and use it from now on
+     */
+    saveProfile(profile) {
+        Storage.saveDisplayProfile(profile);
+        this.applyProfile(profile);
+    },
+
+    /**
+     * Remove the saved profile and draw uncorrected sRGB again
+     */
+    clearProfile() {
+        Storage.clearDisplayProfile();
+        this.applyProfile(null);
+    },
+
+    /**
+     * Per-channel tables from sRGB channel values (0-255) to corrected display values
+     */
+    buildLookup(profile) {
+        const { gamma, gains } = profile;
+
+        return ['r', 'g', 'b'].map(channel => {
+            const table = new Uint8ClampedArray(256);
+            for (let i = 0; i < 256; i++) {
+                const linear = Colorimetry.srgbToLinear(i / 255) * gains[channel];
+                table[i] = Math.round(Math.pow(linear, 1 / gamma) * 255);
+            }
+            return table;
+        });
+    },
+
+    /**
+     * Lookup tables for a profile (null when uncorrected)
+     */
+    lookupFor(profile) {
+        if (!profile) return null;
+        if (profile === this.profile) return this.lookup;
+
+        if (this.otherLookup.profile !== profile) {
+            this.otherLookup = { profile, lookup: this.buildLookup(profile) };
+        }
+        return this.otherLookup.lookup;
+    },
+
+    /**
+     * Correct an [r, g, b] sRGB color (0-255) for a profile, the active one by default
+     * (null draws uncorrected sRGB)
+     */
+    correctRgb(rgb, profile = this.getProfile()) {
+        const channels = rgb.map(c => Math.round(Utils.clamp(c, 0, 255)));
+        const lookup = this.lookupFor(profile);
+        if (!lookup) return channels;
+
+        return channels.map((c, i) => lookup[i][c]);
+    },
+
+    // ========== Profile ==========
+
+    /**
+     * Gamma from gray-step matches: a patch with fraction p of white lines matches the
+     * solid level v when (v / 255)^gamma = p
+     */
+    estimateGamma(matches) {
+        const [min, max] = this.config.gammaRange;
+        const estimates = matches
+            .filter(m => m.level > 0 && m.level < 255)
+            .map(m => Math.log(m.fraction) / Math.log(m.level / 255));
+
+        if (estimates.length === 0) return this.config.defaultGamma;
+        return Utils.clamp(Utils.average(estimates), min, max);
+    },
+
+    /**
+     * Channel gains for a temperature (-1 cool to 1 warm) and tint (-1 green to 1 magenta)
+     * Normalized so the largest gain is 1 and no channel is pushed past full output
+     */
+    whiteBalanceGains(temperature, tint) {
+        const k = this.config.whiteBalanceRange;
+        const gains = {
+            r: 1 + k * temperature,
+            g: 1 - k * tint,
+            b: 1 - k * temperature
+        };
+        const max = Math.max(gains.r, gains.g, gains.b);
+
+        return { r: gains.r / max, g: gains.g / max, b: gains.b / max };
+    },
+
+    /**
+     * Build a profile from gamma matches and the white-balance setting
+     */
+    createProfile(matches, temperature, tint) {
+        const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const gains = this.whiteBalanceGains(temperature, tint);
+
+        return {
+            id: Utils.generateId(),
+            createdAt: new Date().toISOString(),
+            gamma: round(this.estimateGamma(matches)),
+            gammaMatches: matches.map(m => ({ ...m })),
+            whiteBalance: { temperature: round(temperature, 2), tint: round(tint, 2) },
+            gains: { r: round(gains.r), g: round(gains.g), b: round(gains.b) }
+        };
+    },
+
+    // ========== Wizard ==========
+
+    /**
+     * Initialize the wizard on a canvas
+     */
+    init(canvasElement, options = {}) {
+        const { callbacks = {} } = options;
+
+        this.canvas = canvasElement;
+        this.ctx = canvasElement ? canvasElement.getContext('2d') : null;
+        this.callbacks = { ...this.callbacks, ...callbacks };
+
+        return this;
+    },
+
+    /**
+     * Start the wizard: one gray-step match per fraction, then white balance
+     */
+    start() {
+        const previous = this.getProfile();
+
+        this.state = {
+            isRunning: true,
+            stepIndex: 0,
+            level: 128,
+            temperature: previous ? previous.whiteBalance.temperature : 0,
+            tint: previous ? previous.whiteBalance.tint : 0,
+            matches: []
+        };
+
+        this.startStep();
+    },
+
+    getStepCount() {
+        return this.config.gammaFractions.length + 1;
+    },
+
+    isWhiteStep() {
+        return this.state.stepIndex >= this.config.gammaFractions.length;
+    },
+
+    startStep() {
+        // Each gray step starts from mid-gray so the previous match isn't carried over
+        this.state.level = 128;
+        this.render();
+
+        if (this.callbacks.onStepStart) {
+            const kind = this.isWhiteStep() ? 'white' : 'gamma';
+            this.callbacks.onStepStart({
+                kind,
+                instruction: this.instructions[kind],
+                level: this.state.level,
+                temperature: this.state.temperature,
+                tint: this.state.tint
+            }, this.state.stepIndex, this.getStepCount());
+        }
+    },
+
+    setLevel(value) {
+        this.state.level = Utils.clamp(Math.round(Number(value)), 0, 255);
+        this.render();
+    },
+
+    setWhiteBalance(temperature, tint) {
+        this.state.temperature = Utils.clamp(Number(temperature), -1, 1);
+        this.state.tint = Utils.clamp(Number(tint), -1, 1);
+        this.render();
+    },
+
+    /**
+     * Accept the current step and move on; the last step saves the profile
+     */
+    next() {
+        if (!this.state.isRunning) return null;
+
+        if (!this.isWhiteStep()) {
+            this.state.matches.push({
+                fraction: this.config.gammaFractions[this.state.stepIndex],
+                level: this.state.level
+            });
+            this.state.stepIndex++;
+            this.startStep();
+            return null;
+        }
+
+        this.state.isRunning = false;
+        const profile = this.createProfile(this.state.matches, this.state.temperature, this.state.tint);
+        this.saveProfile(profile);
+
+        if (this.callbacks.onComplete) {
+            this.callbacks.onComplete(profile);
+        }
+
+        return profile;
+    },
+
+    /**
+     * Stop the wizard without saving
+     */
+    stop() {
+        this.state.isRunning = false;
+    },
+
+    render() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, width, height);
+
+        if (this.isWhiteStep()) {
+            // Gray patch drawn through the candidate profile
+            const gamma = this.estimateGamma(this.state.matches);
+            const gains = this.whiteBalanceGains(this.state.temperature, this.state.tint);
+            const lookup = this.buildLookup({ gamma, gains });
+            const gray = this.config.whiteGray;
+            const size = Math.min(width, height) * 0.7;
+
+            ctx.fillStyle = `rgb(${lookup[0][gray]}, ${lookup[1][gray]}, ${lookup[2][gray]})`;
+            ctx.fillRect((width - size) / 2, (height - size) / 2, size, size);
+            return;
+        }
+
+        // Left: black and white lines (one device pixel each); right: solid gray
+        const fraction = this.config.gammaFractions[this.state.stepIndex];
+        const period = this.config.linePeriod;
+        const whiteLines = Math.round(fraction * period);
+        const half = Math.floor(width / 2);
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, half, height);
+        ctx.fillStyle = '#ffffff';
+        for (let y = 0; y < height; y += period) {
+            ctx.fillRect(0, y, half, Math.min(whiteLines, height - y));
+        }
+
+        const level = this.state.level;
+        ctx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+        ctx.fillRect(half, 0, width - half, height);
+    }
+};
+
+// Export
+window.DisplayCalibration = DisplayCalibration;
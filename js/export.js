@@ -71,20 +71,58 @@ const Export = {
             },
             session: {
                 id: session.id,
+                seed: session.seed ?? null,
                 createdAt: session.createdAt,
                 updatedAt: session.updatedAt,
                 completed: session.completed
             },
             deviceInfo: session.deviceInfo,
+            displayProfile: session.displayProfile ?? null,
             baseline: session.baseline ? {
                 timestamp: session.baseline.timestamp,
+                seed: session.baseline.seed ?? null,
+                protocol: session.baseline.protocol ?? null,
                 overall: session.baseline.overall,
                 deutan: session.baseline.deutan,
+                protan: session.baseline.protan,
+                tritan: session.baseline.tritan,
                 control: session.baseline.control,
+                catch: session.baseline.catch ?? null,
                 timing: session.baseline.timing,
                 severity: session.baseline.severity,
+                deficiencyType: session.baseline.deficiencyType,
                 plateCount: session.baseline.plateCount,
-                responses: session.baseline.responses
+                viewing: session.baseline.viewing ?? null,
+                presentation: session.baseline.presentation ?? null,
+                interTrialInterval: session.baseline.interTrialInterval ?? 0,
+                adaptive: session.baseline.adaptive ?? false,
+                masking: session.baseline.masking ?? null,
+                spatial: session.baseline.spatial ?? null,
+                clickPattern: session.baseline.clickPattern ?? null,
+                reliability: session.baseline.reliability ?? null,
+                stopping: session.baseline.stopping ?? null,
+                // Outlier tests keep per-plate responses (with plate seeds) in rawResponses
+                responses: session.baseline.responses ?? session.baseline.rawResponses
+            } : null,
+            monocular: session.monocular ? {
+                comparison: session.monocular.comparison,
+                ...Object.fromEntries(['right', 'left'].map(eye => {
+                    const results = session.monocular[eye];
+                    return [eye, {
+                        timestamp: results.timestamp,
+                        overall: results.overall,
+                        redGreen: results.redGreen,
+                        tritan: results.tritan,
+                        severity: results.severity,
+                        deficiencyType: results.deficiencyType,
+                        threshold: results.threshold,
+                        timing: results.timing,
+                        viewing: results.viewing ?? null,
+                        adaptive: results.adaptive ?? false,
+                        masking: results.masking ?? null,
+                        responses: results.rawResponses ?? []
+                    }];
+                }))
             } : null,
             tuning: session.tuning ? {
                 rounds: session.tuning.rounds,
@@ -98,9 +136,55 @@ const Export = {
                 overall: session.validation.overall,
                 deutan: session.validation.deutan,
                 control: session.validation.control,
+                catch: session.validation.catch ?? null,
                 timing: session.validation.timing,
                 severity: session.validation.severity,
-                responses: session.validation.responses
+                viewing: session.validation.viewing ?? null,
+                protocol: session.validation.protocol ?? null,
+                adaptive: session.validation.adaptive ?? false,
+                masking: session.validation.masking ?? null,
+                spatial: session.validation.spatial ?? null,
+                clickPattern: session.validation.clickPattern ?? null,
+                reliability: session.validation.reliability ?? null,
+                stopping: session.validation.stopping ?? null,
+                responses: session.validation.responses ?? session.validation.rawResponses
+            } : null,
+            arrangement: session.arrangement ? {
+                timestamp: session.arrangement.timestamp,
+                test: session.arrangement.test,
+                order: session.arrangement.order,
+                angle: session.arrangement.angle,
+                majorRadius: session.arrangement.majorRadius,
+                minorRadius: session.arrangement.minorRadius,
+                cIndex: session.arrangement.cIndex,
+                sIndex: session.arrangement.sIndex,
+                tes: session.arrangement.tes,
+                crossings: session.arrangement.crossings,
+                deficiencyType: session.arrangement.deficiencyType,
+                moves: session.arrangement.moves,
+                timing: session.arrangement.timing
+            } : null,
+            rayleigh: session.rayleigh ? {
+                timestamp: session.rayleigh.timestamp,
+                midpoint: session.rayleigh.midpoint,
+                range: session.rayleigh.range,
+                anomalousQuotient: session.rayleigh.anomalousQuotient,
+                anomalySeverity: session.rayleigh.anomalySeverity,
+                severity: session.rayleigh.severity,
+                deficiencyType: session.rayleigh.deficiencyType,
+                settings: session.rayleigh.settings,
+                timing: session.rayleigh.timing
+            } : null,
+            hueDiscrimination: session.hueDiscrimination ? {
+                timestamp: session.hueDiscrimination.timestamp,
+                test: session.hueDiscrimination.test,
+                tes: session.hueDiscrimination.tes,
+                sqrtTes: session.hueDiscrimination.sqrtTes,
+                trayErrors: session.hueDiscrimination.trayErrors,
+                capErrors: session.hueDiscrimination.capErrors,
+                order: session.hueDiscrimination.order,
+                moves: session.hueDiscrimination.moves,
+                timing: session.hueDiscrimination.timing
             } : null,
             filterParams: session.filterParams
         };
@@ -117,6 +201,7 @@ const Export = {
         // Session info header
         lines.push('# ColorVision Pro Session Export');
         lines.push(`# Session ID: ${session.id}`);
+        lines.push(`# Seed: ${session.seed ?? 'N/A'}`);
         lines.push(`# Created: ${session.createdAt}`);
         lines.push(`# Exported: ${new Date().toISOString()}`);
         lines.push('');
@@ -131,6 +216,20 @@ const Export = {
             lines.push('');
         }
 
+        // Display calibration
+        lines.push('## Display Profile');
+        lines.push('Property,Value');
+        if (session.displayProfile) {
+            const profile = session.displayProfile;
+            lines.push(`Profile ID,${profile.id}`);
+            lines.push(`Calibrated,${profile.createdAt}`);
+            lines.push(`Gamma,${profile.gamma}`);
+            lines.push(`White Gains (R/G/B),${profile.gains.r}/${profile.gains.g}/${profile.gains.b}`);
+        } else {
+            lines.push('Profile,None (uncorrected sRGB)');
+        }
+        lines.push('');
+
         // Summary
         lines.push('## Results Summary');
         lines.push('Metric,Baseline,Post-Tune');
@@ -147,11 +246,87 @@ const Export = {
         const postTuneDeutan = session.validation?.deutan?.score ?? 'N/A';
         lines.push(`Deutan Score (%),${baselineDeutan},${postTuneDeutan}`);
 
+        const baselineProtan = session.baseline?.protan?.score ?? 'N/A';
+        const postTuneProtan = session.validation?.protan?.score ?? 'N/A';
+        lines.push(`Protan Score (%),${baselineProtan},${postTuneProtan}`);
+
+        const baselineType = session.baseline?.deficiencyType?.type ?? 'N/A';
+        const postTuneType = session.validation?.deficiencyType?.type ?? 'N/A';
+        lines.push(`Deficiency Type,${baselineType},${postTuneType}`);
+
+        const baselineTritan = session.baseline?.tritan?.score ?? 'N/A';
+        const postTuneTritan = session.validation?.tritan?.score ?? 'N/A';
+        lines.push(`Tritan Score (%),${baselineTritan},${postTuneTritan}`);
+
+        const baselineTritanStatus = session.baseline?.tritan?.status ?? 'N/A';
+        const postTuneTritanStatus = session.validation?.tritan?.status ?? 'N/A';
+        lines.push(`Tritan Screening,${baselineTritanStatus},${postTuneTritanStatus}`);
+
         const baselineControl = session.baseline?.control?.score ?? 'N/A';
         const postTuneControl = session.validation?.control?.score ?? 'N/A';
         lines.push(`Control Score (%),${baselineControl},${postTuneControl}`);
+
+        const baselineCatch = session.baseline?.catch?.score ?? 'N/A';
+        const postTuneCatch = session.validation?.catch?.score ?? 'N/A';
+        lines.push(`Catch Score (%),${baselineCatch},${postTuneCatch}`);
+
+        const baselineAngle = session.baseline?.viewing?.tileAngle ?? 'N/A';
+        const postTuneAngle = session.validation?.viewing?.tileAngle ?? 'N/A';
+        lines.push(`Tile Visual Angle (deg),${baselineAngle},${postTuneAngle}`);
+
+        const baselineDistance = session.baseline?.viewing?.distanceMm ?? 'N/A';
+        const postTuneDistance = session.validation?.viewing?.distanceMm ?? 'N/A';
+        lines.push(`Viewing Distance (mm),${baselineDistance},${postTuneDistance}`);
+
+        const presentationTime = results => {
+            if (!results) return 'N/A';
+            return results.presentation ? results.presentation.stimulusDuration : 'Unlimited';
+        };
+        lines.push(`Stimulus Duration (ms),${presentationTime(session.baseline)},${presentationTime(session.validation)}`);
+
+        const baselineInterval = session.baseline?.interTrialInterval ?? 'N/A';
+        const postTuneInterval = session.validation?.interTrialInterval ?? 'N/A';
+        lines.push(`Inter-Trial Interval (ms),${baselineInterval},${postTuneInterval}`);
+
+        const baselineProtocol = session.baseline?.protocol?.id ?? 'N/A';
+        const postTuneProtocol = session.validation?.protocol?.id ?? 'N/A';
+        lines.push(`Protocol,${baselineProtocol},${postTuneProtocol}`);
+
+        const baselineNearMisses = session.baseline?.spatial?.nearMisses ?? 'N/A';
+        const postTuneNearMisses = session.validation?.spatial?.nearMisses ?? 'N/A';
+        lines.push(`Near Misses,${baselineNearMisses},${postTuneNearMisses}`);
+
+        const baselineSpatial = session.baseline?.spatial?.accuracy ?? 'N/A';
+        const postTuneSpatial = session.validation?.spatial?.accuracy ?? 'N/A';
+        lines.push(`Spatial Accuracy (%),${baselineSpatial},${postTuneSpatial}`);
+
+        const baselineReliability = session.baseline?.reliability?.level ?? 'N/A';
+        const postTuneReliability = session.validation?.reliability?.level ?? 'N/A';
+        lines.push(`Reliability,${baselineReliability},${postTuneReliability}`);
+
+        const baselineStop = session.baseline?.stopping?.reason ?? 'N/A';
+        const postTuneStop = session.validation?.stopping?.reason ?? 'N/A';
+        lines.push(`Stop Reason,${baselineStop},${postTuneStop}`);
         lines.push('');
 
+        // Monocular protocol
+        if (session.monocular) {
+            const { right, left, comparison } = session.monocular;
+            lines.push('## Monocular Comparison');
+            lines.push('Metric,Right Eye,Left Eye');
+            lines.push(`Red-Green Score (%),${right.redGreen.score},${left.redGreen.score}`);
+            lines.push(`Severity,${right.severity.bucket},${left.severity.bucket}`);
+            lines.push(`Deficiency Type,${right.deficiencyType.type},${left.deficiencyType.type}`);
+            lines.push(`Tritan Screening,${right.tritan.status},${left.tritan.status}`);
+            lines.push(`Red-Green Threshold,${right.threshold?.threshold ?? 'N/A'},${left.threshold?.threshold ?? 'N/A'}`);
+            lines.push('');
+            lines.push('Property,Value');
+            lines.push(`Interocular Difference Flagged,${comparison.asymmetric ? 'Yes' : 'No'}`);
+            lines.push(`Worse Eye,${comparison.worseEye}`);
+            lines.push(`Reasons,${this.escapeCSV(comparison.reasons.join('; ') || 'None')}`);
+            lines.push('');
+        }
+
         // Filter parameters
         if (session.filterParams) {
             lines.push('## Filter Parameters');
@@ -162,6 +337,60 @@ const Export = {
             lines.push('');
         }
 
+        // Arrangement (D-15) test
+        if (session.arrangement) {
+            const arrangement = session.arrangement;
+            lines.push('## Arrangement Test (D-15)');
+            lines.push('Metric,Value');
+            lines.push(`Confusion Angle (deg),${arrangement.angle}`);
+            lines.push(`C-index,${arrangement.cIndex}`);
+            lines.push(`S-index,${arrangement.sIndex}`);
+            lines.push(`TES,${arrangement.tes}`);
+            lines.push(`Crossings,${arrangement.crossings}`);
+            lines.push(`Deficiency Type,${arrangement.deficiencyType.type}`);
+            lines.push(`Cap Order,${arrangement.order.join(' ')}`);
+            lines.push('');
+        }
+
+        // Rayleigh match
+        if (session.rayleigh) {
+            const rayleigh = session.rayleigh;
+            lines.push('## Rayleigh Match');
+            lines.push('Metric,Value');
+            lines.push(`Midpoint,${rayleigh.midpoint}`);
+            lines.push(`Range Min,${rayleigh.range.min}`);
+            lines.push(`Range Max,${rayleigh.range.max}`);
+            lines.push(`Range Width,${rayleigh.range.width}`);
+            lines.push(`Anomalous Quotient,${rayleigh.anomalousQuotient ?? 'N/A'}`);
+            lines.push(`Anomaly Severity,${rayleigh.anomalySeverity}`);
+            lines.push(`Severity,${rayleigh.severity.bucket}`);
+            lines.push(`Deficiency Type,${rayleigh.deficiencyType.type}`);
+            lines.push('');
+            lines.push('Setting,Kind,Mixture,Yellow,Response Time (ms)');
+            rayleigh.settings.forEach((s, i) => {
+                lines.push([i + 1, s.kind, s.mixture, s.yellow, s.responseTime].join(','));
+            });
+            lines.push('');
+        }
+
+        // Hue discrimination (FM-100) test
+        if (session.hueDiscrimination) {
+            const hue = session.hueDiscrimination;
+            lines.push('## Hue Discrimination Test (FM-100)');
+            lines.push('Metric,Value');
+            lines.push(`Total Error Score,${hue.tes}`);
+            lines.push(`Square Root TES,${hue.sqrtTes}`);
+            hue.trayErrors.forEach((error, i) => {
+                lines.push(`Tray ${i + 1} Error Score,${error}`);
+            });
+            lines.push('');
+            lines.push('Cap,Error Score');
+            hue.capErrors.forEach((error, i) => {
+                lines.push(`${i + 1},${error}`);
+            });
+            lines.push('');
+        }
+
         // Baseline responses
         if (session.baseline?.responses) {
             lines.push('## Baseline Test Responses');
@@ -0,0 +1,285 @@
+/**
+ * ColorVision Pro - Keyboard and Switch Access
+ * Lets the outlier test be answered without a pointer. Arrow keys move a grid cursor,
+ * Enter or Space selects the square under it and C answers "can't tell". In switch mode
+ * a highlight scans the rows (then a "can't tell" step); one press picks a row, a second
+ * press picks the column. Moving the cursor with the arrow keys ends scanning, and from then
+ * on Enter and Space select under the cursor rather than act as the switch.
+ * Selections go to the attached target by grid position.
+ */
+
+const InputAccess = {
+    /**
+     * Configuration
+     */
+    config: {
+        modes: ['pointer', 'switch'],   // Keyboard works in either mode
+        defaultScanInterval: 1200,      // ms per scan step
+        keys: {
+            select: ['Enter', ' '],
+            cantTell: ['c', 'C'],
+            switch: [' ', 'Enter']
+        },
+        colors: {
+            cursor: 'rgba(255, 255, 255, 0.95)',
+            scan: 'rgba(255, 193, 7, 0.9)'
+        }
+    },
+
+    /**
+     * State
+     */
+    state: {
+        mode: 'pointer',
+        scanInterval: 1200,
+        target: null,
+        cursor: null,           // { row, col } once a key has been pressed
+        scan: null,             // { stage: 'rows' | 'columns', row, index }
+        scanTimer: null
+    },
+
+    /**
+     * Callbacks
+     */
+    callbacks: {
+        onChange: null          // Called with a short description when the cursor or scan moves
+    },
+
+    /**
+     * Initialize; listens for keys on the whole document
+     */
+    init(options = {}) {
+        const {
+            mode = 'pointer',
+            scanInterval = this.config.defaultScanInterval,
+            callbacks = {}
+        } = options;
+
+        this.callbacks = { ...this.callbacks, ...callbacks };
+        this.state.mode = this.config.modes.includes(mode) ? mode : 'pointer';
+        this.state.scanInterval = scanInterval;
+
+        if (!this.keyHandler) {
+            this.keyHandler = (e) => this.handleKey(e);
+            document.addEventListener('keydown', this.keyHandler);
+        }
+
+        return this;
+    },
+
+    /**
+     * Attach a response target:
+     * { getGridSize(), select(row, col, inputMethod), cantTell(inputMethod), isActive() }
+     */
+    attach(target) {
+        this.state.target = target;
+        this.reset();
+    },
+
+    detach() {
+        this.stopScanning();
+        this.state.target = null;
+        this.state.cursor = null;
+        this.state.scan = null;
+    },
+
+    /**
+     * Start over for a new plate: the cursor returns to the centre, scanning to the first row
+     * Scanning only resumes while the keyboard cursor is unused
+     */
+    reset() {
+        const size = this.state.target ? this.state.target.getGridSize() : 0;
+
+        if (this.state.cursor) {
+            const center = Math.floor(size / 2);
+            this.state.cursor = { row: center, col: center };
+        }
+
+        this.stopScanning();
+        if (this.state.mode === 'switch' && this.state.target && !this.state.cursor) {
+            this.state.scan = { stage: 'rows', row: null, index: 0 };
+            this.state.scanTimer = setInterval(() => this.step(), this.state.scanInterval);
+            this.notify();
+        }
+    },
+
+    stopScanning() {
+        if (this.state.scanTimer) {
+            clearInterval(this.state.scanTimer);
+            this.state.scanTimer = null;
+        }
+        this.state.scan = null;
+    },
+
+    isActive() {
+        return !!this.state.target && this.state.target.isActive();
+    },
+
+    handleKey(e) {
+        if (!this.isActive() || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        // Keys on buttons and form controls keep their usual meaning
+        const tag = e.target && e.target.tagName;
+        if (tag === 'BUTTON' || tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        const { keys } = this.config;
+        const moves = {
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0],
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1]
+        };
+
+        // Select keys double as the switch, so they select once the keyboard cursor is in use
+        if (moves[e.key]) {
+            e.preventDefault();
+            this.moveCursor(...moves[e.key]);
+        } else if (keys.select.includes(e.key) && this.state.cursor) {
+            e.preventDefault();
+            if (!e.repeat) this.state.target.select(this.state.cursor.row, this.state.cursor.col, 'keyboard');
+        } else if (this.state.mode === 'switch' && keys.switch.includes(e.key)) {
+            e.preventDefault();
+            if (!e.repeat) this.press();
+        } else if (keys.cantTell.includes(e.key)) {
+            e.preventDefault();
+            if (!e.repeat) this.state.target.cantTell('keyboard');
+        }
+    },
+
+    /**
+     * Move the keyboard cursor; the first key press shows it at the centre and stops scanning
+     */
+    moveCursor(dRow, dCol) {
+        const size = this.state.target.getGridSize();
+        this.stopScanning();
+
+        if (!this.state.cursor) {
+            const center = Math.floor(size / 2);
+            this.state.cursor = { row: center, col: center };
+        } else {
+            this.state.cursor = {
+                row: Utils.clamp(this.state.cursor.row + dRow, 0, size - 1),
+                col: Utils.clamp(this.state.cursor.col + dCol, 0, size - 1)
+            };
+        }
+
+        this.notify();
+    },
+
+    /**
+     * Advance the scan highlight one step
+     * Rows are followed by a "can't tell" step; a column pass without a press returns to the rows
+     */
+    step() {
+        const { scan } = this.state;
+        if (!scan || !this.isActive()) return;
+
+        const size = this.state.target.getGridSize();
+
+        if (scan.stage === 'rows') {
+            scan.index = (scan.index + 1) % (size + 1);
+        } else if (scan.index + 1 < size) {
+            scan.index++;
+        } else {
+            this.state.scan = { stage: 'rows', row: null, index: 0 };
+        }
+
+        this.notify();
+    },
+
+    /**
+     * Switch press: pick the highlighted row, column or "can't tell"
+     */
+    press() {
+        const { scan } = this.state;
+        if (!scan) return;
+
+        const size = this.state.target.getGridSize();
+
+        if (scan.stage === 'rows' && scan.index === size) {
+            this.state.target.cantTell('switch');
+        } else if (scan.stage === 'rows') {
+            this.state.scan = { stage: 'columns', row: scan.index, index: 0 };
+            // Restart the timer so the first column gets a full step
+            clearInterval(this.state.scanTimer);
+            this.state.scanTimer = setInterval(() => this.step(), this.state.scanInterval);
+            this.notify();
+        } else {
+            this.state.target.select(scan.row, scan.index, 'switch');
+        }
+    },
+
+    /**
+     * What to outline: { kind: 'cell' | 'row' | 'cantTell', row, col }, or null
+     */
+    getHighlight() {
+        const { scan, cursor } = this.state;
+
+        if (scan) {
+            const size = this.state.target.getGridSize();
+            if (scan.stage === 'rows') {
+                return scan.index === size
+                    ? { kind: 'cantTell' }
+                    : { kind: 'row', row: scan.index };
+            }
+            return { kind: 'cell', row: scan.row, col: scan.index };
+        }
+
+        return cursor ? { kind: 'cell', ...cursor } : null;
+    },
+
+    /**
+     * Draw the cursor or scan highlight over a plate of gridSize tiles
+     */
+    drawOverlay(ctx, gridSize) {
+        const highlight = this.getHighlight();
+        if (!highlight) return;
+
+        const size = ctx.canvas.width;
+        const tileSize = size / gridSize;
+
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = this.state.scan ? this.config.colors.scan : this.config.colors.cursor;
+
+        switch (highlight.kind) {
+            case 'row':
+                ctx.strokeRect(1.5, highlight.row * tileSize + 1.5, size - 3, tileSize - 3);
+                break;
+            case 'cantTell':
+                // Whole plate outlined: pressing now answers "can't tell"
+                ctx.strokeRect(1.5, 1.5, size - 3, size - 3);
+                break;
+            default:
+                ctx.strokeRect(highlight.col * tileSize + 1.5, highlight.row * tileSize + 1.5, tileSize - 3, tileSize - 3);
+        }
+
+        ctx.restore();
+    },
+
+    /**
+     * Short text for the current highlight (for a live region)
+     */
+    describe() {
+        const highlight = this.getHighlight();
+        if (!highlight) return '';
+
+        switch (highlight.kind) {
+            case 'row':
+                return `Row ${highlight.row + 1}`;
+            case 'cantTell':
+                return "Can't tell";
+            default:
+                return `Row ${highlight.row + 1}, column ${highlight.col + 1}`;
+        }
+    },
+
+    notify() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.describe(), this.getHighlight());
+        }
+    }
+};
+
+// Export
+window.InputAccess = InputAccess;
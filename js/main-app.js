@@ -13,6 +13,12 @@ const App = {
         baselineResults: null,
         tuningRound: 0,
         validationResults: null,
+        arrangementResults: null,
+        hueResults: null,
+        rayleighResults: null,
+        // Monocular protocol: eye order, current block and per-eye results while running
+        monocular: null,
+        monocularResults: null,
         filterParams: null,
         calibrationComplete: {
             brightness: false,
@@ -36,9 +42,14 @@ const App = {
         this.cacheElements();
         this.bindEvents();
         this.checkSystemCapabilities();
+        this.initInputAccess();
 
-        // Auto-start test immediately
-        this.startTest();
+        // Start the test right away once the viewing geometry is known
+        if (ViewingGeometry.isCalibrated()) {
+            this.startTest();
+        } else {
+            this.showViewingSetup();
+        }
 
         // Listen for fullscreen changes
         document.addEventListener('fullscreenchange', () => this.onFullscreenChange());
@@ -54,7 +65,12 @@ const App = {
         this.elements.screens = {
             // landing: document.getElementById('screen-landing'), // Removed
             calibration: document.getElementById('screen-calibration'),
+            eyeInstruction: document.getElementById('screen-eye-instruction'),
             test: document.getElementById('screen-test'),
+            arrangement: document.getElementById('screen-arrangement'),
+            rayleigh: document.getElementById('screen-rayleigh'),
+            displayCalibration: document.getElementById('screen-display-calibration'),
+            replay: document.getElementById('screen-replay'),
             results: document.getElementById('screen-results'),
             camera: document.getElementById('screen-camera'),
             export: document.getElementById('screen-export'),
@@ -67,12 +83,20 @@ const App = {
         this.elements.btnBackLanding = document.getElementById('btn-back-landing');
         this.elements.btnStartTest = document.getElementById('btn-start-test');
         this.elements.stepConfirms = document.querySelectorAll('.step-confirm');
+        this.elements.cardOutline = document.getElementById('card-outline');
+        this.elements.cardWidth = document.getElementById('card-width');
+        this.elements.viewingDistance = document.getElementById('viewing-distance');
         this.elements.systemChecks = {
             canvas: document.getElementById('check-canvas'),
             storage: document.getElementById('check-storage'),
             camera: document.getElementById('check-camera')
         };
 
+        // Monocular protocol
+        this.elements.eyeInstructionTitle = document.getElementById('eye-instruction-title');
+        this.elements.eyeInstructionText = document.getElementById('eye-instruction-text');
+        this.elements.btnEyeContinue = document.getElementById('btn-eye-continue');
+
         // Test
         this.elements.testCanvas = document.getElementById('test-canvas');
         this.elements.progressFill = document.getElementById('test-progress-fill');
@@ -80,20 +104,86 @@ const App = {
         this.elements.testTimer = document.getElementById('test-timer');
         this.elements.testInstruction = document.getElementById('test-instruction');
         this.elements.btnCantTell = document.getElementById('btn-cant-tell');
+        this.elements.testInputHint = document.getElementById('test-input-hint');
+        this.elements.testCursorStatus = document.getElementById('test-cursor-status');
+
+        // Arrangement
+        this.elements.arrangementCanvas = document.getElementById('arrangement-canvas');
+        this.elements.arrangementInstruction = document.getElementById('arrangement-instruction');
+        this.elements.btnArrangementBack = document.getElementById('btn-arrangement-back');
+        this.elements.btnArrangementDone = document.getElementById('btn-arrangement-done');
+
+        // Rayleigh match
+        this.elements.rayleighCanvas = document.getElementById('rayleigh-canvas');
+        this.elements.rayleighInstruction = document.getElementById('rayleigh-instruction');
+        this.elements.rayleighProgressText = document.getElementById('rayleigh-progress-text');
+        this.elements.rayleighMixture = document.getElementById('rayleigh-mixture');
+        this.elements.rayleighYellow = document.getElementById('rayleigh-yellow');
+        this.elements.btnRayleighBack = document.getElementById('btn-rayleigh-back');
+        this.elements.btnRayleighMatch = document.getElementById('btn-rayleigh-match');
+
+        // Display calibration
+        this.elements.displayCalibrationCanvas = document.getElementById('display-calibration-canvas');
+        this.elements.displayCalibrationInstruction = document.getElementById('display-calibration-instruction');
+        this.elements.displayCalibrationProgressText = document.getElementById('display-calibration-progress-text');
+        this.elements.displayGammaControls = document.getElementById('display-gamma-controls');
+        this.elements.displayWhiteControls = document.getElementById('display-white-controls');
+        this.elements.displayLevel = document.getElementById('display-level');
+        this.elements.displayTemperature = document.getElementById('display-temperature');
+        this.elements.displayTint = document.getElementById('display-tint');
+        this.elements.btnDisplayCalibrationBack = document.getElementById('btn-display-calibration-back');
+        this.elements.btnDisplayCalibrationNext = document.getElementById('btn-display-calibration-next');
+
+        // Session replay
+        this.elements.replayCanvas = document.getElementById('replay-canvas');
+        this.elements.replayTest = document.getElementById('replay-test');
+        this.elements.replayProgressText = document.getElementById('replay-progress-text');
+        this.elements.replayDetails = document.getElementById('replay-details');
+        this.elements.btnReplayBack = document.getElementById('btn-replay-back');
+        this.elements.btnReplayPrev = document.getElementById('btn-replay-prev');
+        this.elements.btnReplayNext = document.getElementById('btn-replay-next');
+        this.elements.heatmapCanvas = document.getElementById('heatmap-canvas');
+        this.elements.heatmapSummary = document.getElementById('heatmap-summary');
 
         // Results
         this.elements.overallScore = document.getElementById('overall-score');
         this.elements.deutanScoreBar = document.getElementById('deutan-score-bar');
         this.elements.deutanScoreText = document.getElementById('deutan-score-text');
+        this.elements.protanScoreText = document.getElementById('protan-score-text');
+        this.elements.deficiencyTypeText = document.getElementById('deficiency-type-text');
+        this.elements.spatialAccuracyText = document.getElementById('spatial-accuracy-text');
+        this.elements.tritanScoreText = document.getElementById('tritan-score-text');
+        this.elements.tritanDescription = document.getElementById('tritan-description');
+        this.elements.simulationCard = document.getElementById('simulation-card');
+        this.elements.simulationCaption = document.getElementById('simulation-caption');
+        this.elements.simulationNormal = document.getElementById('simulation-normal');
+        this.elements.simulationSimulated = document.getElementById('simulation-simulated');
+        this.elements.simulationLabel = document.getElementById('simulation-label');
         this.elements.controlScoreBar = document.getElementById('control-score-bar');
         this.elements.controlScoreText = document.getElementById('control-score-text');
+        this.elements.catchScoreText = document.getElementById('catch-score-text');
+        this.elements.platesShownText = document.getElementById('plates-shown-text');
         this.elements.severityMeter = document.getElementById('severity-meter-fill');
         this.elements.severityLabel = document.getElementById('severity-label');
         this.elements.severityDesc = document.getElementById('severity-description');
+        this.elements.reliabilityNote = document.getElementById('reliability-note');
         this.elements.avgTimeText = document.getElementById('avg-time');
         this.elements.totalTimeText = document.getElementById('total-time');
         this.elements.btnSkipCamera = document.getElementById('btn-skip-camera');
         this.elements.btnTryCamera = document.getElementById('btn-try-camera');
+        this.elements.btnArrangementTest = document.getElementById('btn-arrangement-test');
+        this.elements.arrangementResultText = document.getElementById('arrangement-result-text');
+        this.elements.btnHueTest = document.getElementById('btn-hue-test');
+        this.elements.btnRayleighTest = document.getElementById('btn-rayleigh-test');
+        this.elements.rayleighResultText = document.getElementById('rayleigh-result-text');
+        this.elements.hueResultText = document.getElementById('hue-result-text');
+        this.elements.huePlotCard = document.getElementById('hue-plot-card');
+        this.elements.hueErrorPlot = document.getElementById('hue-error-plot');
+        this.elements.huePlotCaption = document.getElementById('hue-plot-caption');
+        this.elements.interocularCard = document.getElementById('interocular-card');
+        this.elements.rightEyeResultText = document.getElementById('right-eye-result-text');
+        this.elements.leftEyeResultText = document.getElementById('left-eye-result-text');
+        this.elements.interocularDescription = document.getElementById('interocular-description');
 
         // Camera
         this.elements.cameraVideo = document.getElementById('camera-video');
@@ -106,6 +196,8 @@ const App = {
         this.elements.filterToggle = document.getElementById('filter-toggle');
         this.elements.filterIntensity = document.getElementById('filter-intensity');
         this.elements.intensityValue = document.getElementById('intensity-value');
+        this.elements.intensityLabel = document.getElementById('intensity-label');
+        this.elements.viewMode = document.getElementById('view-mode');
         this.elements.btnSnapshot = document.getElementById('btn-snapshot');
         this.elements.btnSwitchCamera = document.getElementById('btn-switch-camera');
         this.elements.btnFullscreen = document.getElementById('btn-fullscreen');
@@ -117,7 +209,20 @@ const App = {
         // Export
         this.elements.btnExportJSON = document.getElementById('btn-export-json');
         this.elements.btnExportCSV = document.getElementById('btn-export-csv');
+        this.elements.displayProfileText = document.getElementById('display-profile-text');
+        this.elements.btnCalibrateDisplay = document.getElementById('btn-calibrate-display');
+        this.elements.viewingGeometryText = document.getElementById('viewing-geometry-text');
+        this.elements.btnViewingSetup = document.getElementById('btn-viewing-setup');
+        this.elements.btnClearDisplayProfile = document.getElementById('btn-clear-display-profile');
+        this.elements.inputModeSelect = document.getElementById('input-mode-select');
+        this.elements.scanIntervalSelect = document.getElementById('scan-interval-select');
+        this.elements.protocolSelect = document.getElementById('protocol-select');
+        this.elements.protocolDescription = document.getElementById('protocol-description');
+        this.elements.protocolFile = document.getElementById('protocol-file');
+        this.elements.protocolFileError = document.getElementById('protocol-file-error');
         this.elements.sessionsList = document.getElementById('sessions-list');
+        this.elements.replayFile = document.getElementById('replay-file');
+        this.elements.replayFileError = document.getElementById('replay-file-error');
         this.elements.btnClearData = document.getElementById('btn-clear-data');
         this.elements.btnNewTest = document.getElementById('btn-new-test');
         this.elements.btnAbout = document.getElementById('btn-about');
@@ -144,22 +249,133 @@ const App = {
             this.elements.btnBackLanding.addEventListener('click', () => this.showScreen('landing'));
         }
         if (this.elements.btnStartTest) {
-            this.elements.btnStartTest.addEventListener('click', () => this.startTest());
+            this.elements.btnStartTest.addEventListener('click', () => {
+                this.saveViewingSetup();
+                this.startNewTest();
+            });
+        }
+        if (this.elements.cardWidth) {
+            this.elements.cardWidth.addEventListener('input', () => this.updateCardOutline());
         }
         this.elements.stepConfirms?.forEach(btn => {
             btn.addEventListener('click', (e) => this.onCalibrationStep(e));
         });
 
+        // Monocular protocol
+        if (this.elements.btnEyeContinue) {
+            this.elements.btnEyeContinue.addEventListener('click', () => this.runBaselineTest());
+        }
+
         // Test
         if (this.elements.testCanvas) {
             this.elements.testCanvas.addEventListener('click', (e) => this.onCanvasClick(e));
             this.elements.testCanvas.addEventListener('touchend', (e) => this.onCanvasTouch(e));
         }
         if (this.elements.btnCantTell) {
-            this.elements.btnCantTell.addEventListener('click', () => this.onCantTell());
+            this.elements.btnCantTell.addEventListener('click', (e) => this.onCantTell(e));
+        }
+
+        // Arrangement
+        if (this.elements.arrangementCanvas) {
+            const canvas = this.elements.arrangementCanvas;
+            canvas.addEventListener('pointerdown', (e) => {
+                canvas.setPointerCapture(e.pointerId);
+                ArrangementTestEngine.handlePointerDown(e.clientX, e.clientY);
+            });
+            canvas.addEventListener('pointermove', (e) => ArrangementTestEngine.handlePointerMove(e.clientX, e.clientY));
+            canvas.addEventListener('pointerup', (e) => ArrangementTestEngine.handlePointerUp(e.clientX, e.clientY));
+        }
+        if (this.elements.btnArrangementBack) {
+            this.elements.btnArrangementBack.addEventListener('click', () => {
+                ArrangementTestEngine.stop();
+                this.showScreen('results');
+            });
+        }
+        if (this.elements.btnArrangementDone) {
+            this.elements.btnArrangementDone.addEventListener('click', () => ArrangementTestEngine.complete());
+        }
+
+        // Rayleigh match
+        if (this.elements.rayleighMixture) {
+            this.elements.rayleighMixture.addEventListener('input', (e) => RayleighMatchEngine.setMixture(e.target.value));
+        }
+        if (this.elements.rayleighYellow) {
+            this.elements.rayleighYellow.addEventListener('input', (e) => RayleighMatchEngine.setYellow(e.target.value));
+        }
+        if (this.elements.btnRayleighBack) {
+            this.elements.btnRayleighBack.addEventListener('click', () => {
+                RayleighMatchEngine.stop();
+                this.showScreen('results');
+            });
+        }
+        if (this.elements.btnRayleighMatch) {
+            this.elements.btnRayleighMatch.addEventListener('click', () => RayleighMatchEngine.confirmMatch());
+        }
+
+        // Display calibration
+        if (this.elements.displayLevel) {
+            this.elements.displayLevel.addEventListener('input', (e) => DisplayCalibration.setLevel(e.target.value));
+        }
+        [this.elements.displayTemperature, this.elements.displayTint].forEach(input => {
+            input?.addEventListener('input', () => DisplayCalibration.setWhiteBalance(
+                this.elements.displayTemperature.value, this.elements.displayTint.value));
+        });
+        if (this.elements.btnDisplayCalibrationBack) {
+            this.elements.btnDisplayCalibrationBack.addEventListener('click', () => {
+                DisplayCalibration.stop();
+                this.showExportScreen();
+            });
+        }
+        if (this.elements.btnDisplayCalibrationNext) {
+            this.elements.btnDisplayCalibrationNext.addEventListener('click', () => DisplayCalibration.next());
+        }
+
+        // Response input
+        if (this.elements.inputModeSelect) {
+            this.elements.inputModeSelect.addEventListener('change', () => this.saveInputSettings());
+        }
+        if (this.elements.scanIntervalSelect) {
+            this.elements.scanIntervalSelect.addEventListener('change', () => this.saveInputSettings());
+        }
+
+        // Test protocol
+        if (this.elements.protocolSelect) {
+            this.elements.protocolSelect.addEventListener('change', (e) => this.selectProtocol(e.target.value));
+        }
+        if (this.elements.protocolFile) {
+            this.elements.protocolFile.addEventListener('change', (e) => this.importProtocolFile(e.target.files[0]));
+        }
+
+        // Session replay
+        if (this.elements.replayTest) {
+            this.elements.replayTest.addEventListener('change', (e) => {
+                SessionReplay.selectTest(e.target.value);
+                this.renderClickAnalysis();
+            });
+        }
+        if (this.elements.btnReplayBack) {
+            this.elements.btnReplayBack.addEventListener('click', () => this.showExportScreen());
+        }
+        if (this.elements.btnReplayPrev) {
+            this.elements.btnReplayPrev.addEventListener('click', () => SessionReplay.previous());
+        }
+        if (this.elements.btnReplayNext) {
+            this.elements.btnReplayNext.addEventListener('click', () => SessionReplay.next());
+        }
+        if (this.elements.replayFile) {
+            this.elements.replayFile.addEventListener('change', (e) => this.replayFile(e.target.files[0]));
         }
 
         // Results
+        if (this.elements.btnRayleighTest) {
+            this.elements.btnRayleighTest.addEventListener('click', () => this.startRayleighTest());
+        }
+        if (this.elements.btnArrangementTest) {
+            this.elements.btnArrangementTest.addEventListener('click', () => this.startArrangementTest('d15'));
+        }
+        if (this.elements.btnHueTest) {
+            this.elements.btnHueTest.addEventListener('click', () => this.startArrangementTest('fm100'));
+        }
         if (this.elements.btnSkipCamera) {
             this.elements.btnSkipCamera.addEventListener('click', () => this.showExportScreen());
         }
@@ -180,6 +396,9 @@ const App = {
         if (this.elements.filterIntensity) {
             this.elements.filterIntensity.addEventListener('input', (e) => this.onIntensityChange(e));
         }
+        if (this.elements.viewMode) {
+            this.elements.viewMode.addEventListener('change', (e) => this.onViewModeChange(e));
+        }
         if (this.elements.btnSnapshot) {
             this.elements.btnSnapshot.addEventListener('click', () => this.takeSnapshot());
         }
@@ -206,6 +425,18 @@ const App = {
         if (this.elements.btnExportCSV) {
             this.elements.btnExportCSV.addEventListener('click', () => this.exportCSV());
         }
+        if (this.elements.btnViewingSetup) {
+            this.elements.btnViewingSetup.addEventListener('click', () => this.showViewingSetup());
+        }
+        if (this.elements.btnCalibrateDisplay) {
+            this.elements.btnCalibrateDisplay.addEventListener('click', () => this.startDisplayCalibration());
+        }
+        if (this.elements.btnClearDisplayProfile) {
+            this.elements.btnClearDisplayProfile.addEventListener('click', () => {
+                DisplayCalibration.clearProfile();
+                this.renderDisplayProfile();
+            });
+        }
         if (this.elements.btnClearData) {
             this.elements.btnClearData.addEventListener('click', () => this.confirmClearData());
         }
@@ -321,19 +552,76 @@ const App = {
         }
     },
 
+    // ========== Viewing Setup ==========
+
+    showViewingSetup() {
+        const profile = ViewingGeometry.getProfile();
+        const { cardWidthMm, referencePxPerMm, defaultDistanceMm } = ViewingGeometry.config;
+
+        if (this.elements.cardWidth) {
+            this.elements.cardWidth.value = profile ? profile.cardWidthPx : Math.round(cardWidthMm * referencePxPerMm);
+        }
+        if (this.elements.viewingDistance) {
+            this.elements.viewingDistance.value = (profile ? profile.distanceMm : defaultDistanceMm) / 10;
+        }
+
+        this.showScreen('calibration');
+        this.updateCardOutline();
+    },
+
+    updateCardOutline() {
+        if (!this.elements.cardOutline || !this.elements.cardWidth) return;
+
+        const { cardWidthMm, cardHeightMm } = ViewingGeometry.config;
+        const width = Number(this.elements.cardWidth.value);
+        this.elements.cardOutline.style.width = `${width}px`;
+        this.elements.cardOutline.style.height = `${width * cardHeightMm / cardWidthMm}px`;
+    },
+
+    saveViewingSetup() {
+        if (!this.elements.cardWidth || !this.elements.viewingDistance) return;
+
+        const cardWidthPx = Number(this.elements.cardWidth.value);
+        const distanceCm = Number(this.elements.viewingDistance.value);
+        if (!(cardWidthPx > 0) || !(distanceCm > 0)) return;
+
+        ViewingGeometry.saveProfile(ViewingGeometry.createProfile(cardWidthPx, distanceCm * 10));
+    },
+
     // ========== Test Screen ==========
 
     startTest() {
-        // Create new session
-        this.state.session = Storage.createSession();
+        // Create new session (?seed= reproduces an earlier session)
+        this.state.session = Storage.createSession({ seed: this.getUrlOptions().seed });
+
+        // Monocular protocol: one block per eye, each introduced by a cover-the-other-eye screen
+        if (this.getUrlOptions().monocular) {
+            this.state.monocular = { eyes: ['right', 'left'], index: 0, results: {} };
+            this.showEyeInstruction();
+            return;
+        }
+
+        this.state.monocular = null;
+        this.runBaselineTest();
+    },
 
+    /**
+     * Run one block of the baseline test (both eyes, or the current eye when monocular)
+     */
+    runBaselineTest() {
         // Initialize the animated mosaic
         AnimatedMosaic.init(this.elements.testCanvas);
 
         // Initialize test engine
+        const urlOptions = this.getUrlOptions();
         OutlierTestEngine.init({
             mosaic: AnimatedMosaic,
             mode: 'baseline',
+            protocol: this.getProtocolId(),
+            masking: urlOptions.masked ? 'luminance' : null,
+            presentation: urlOptions.timed,
+            interTrialInterval: urlOptions.interTrialInterval || OutlierTestEngine.config.plateTransitionDelay,
+            earlyStopping: urlOptions.early,
             callbacks: {
                 onPlateStart: (plate, index) => this.onPlateStart(plate, index),
                 onPlateComplete: (response, result) => this.onPlateComplete(response, result),
@@ -343,6 +631,15 @@ const App = {
             }
         });
 
+        // Keyboard and switch responses go to the same grid positions as clicks
+        AnimatedMosaic.overlay = (ctx, plate) => InputAccess.drawOverlay(ctx, plate.gridSize);
+        InputAccess.attach({
+            getGridSize: () => AnimatedMosaic.config.gridSize,
+            select: (row, col, inputMethod) => OutlierTestEngine.handleSelection(row, col, null, inputMethod),
+            cantTell: (inputMethod) => OutlierTestEngine.handleCantTell(null, inputMethod),
+            isActive: () => OutlierTestEngine.state.isRunning && AnimatedMosaic.state.isRunning && !AnimatedMosaic.state.isPaused
+        });
+
         // Show test screen FIRST so container has proper dimensions
         this.showScreen('test');
         this.testStartTime = Date.now();
@@ -350,22 +647,139 @@ const App = {
 
         // Small delay to let screen transition complete and get proper container size
         setTimeout(() => {
-            // Set canvas size AFTER screen is visible
+            // Set canvas size AFTER screen is visible: tiles at the target visual angle, within the container
             const container = this.elements.testCanvas.parentElement;
-            const size = Math.min(container.clientWidth || 400, 500);
-            this.elements.testCanvas.width = size;
-            this.elements.testCanvas.height = size;
+            AnimatedMosaic.sizeCanvas(container.clientWidth || 400);
 
             // Now start the test
             OutlierTestEngine.start();
         }, 300);
     },
 
+    showEyeInstruction() {
+        const { eyes, index } = this.state.monocular;
+        const eye = eyes[index];
+        const other = eyes[1 - index];
+        const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+        if (this.elements.eyeInstructionTitle) {
+            this.elements.eyeInstructionTitle.textContent = `${capitalize(eye)} Eye (${index + 1} of ${eyes.length})`;
+        }
+        if (this.elements.eyeInstructionText) {
+            this.elements.eyeInstructionText.textContent = index === 0
+                ? `Cover your ${other} eye with your palm, without pressing on it, and keep it covered for the whole block. Keep your glasses on if you wear them.`
+                : `Now switch: uncover your ${eye} eye and cover your ${other} eye the same way for the next block.`;
+        }
+
+        this.showScreen('eyeInstruction');
+    },
+
+    /**
+     * Response input: ?input=switch or the saved choice; keyboard works in every mode
+     */
+    getInputSettings() {
+        const settings = Storage.getSettings();
+        const urlMode = new URLSearchParams(window.location.search).get('input');
+
+        return {
+            mode: InputAccess.config.modes.includes(urlMode) ? urlMode : (settings.inputMode || 'pointer'),
+            scanInterval: settings.scanInterval || InputAccess.config.defaultScanInterval
+        };
+    },
+
+    initInputAccess() {
+        const { mode, scanInterval } = this.getInputSettings();
+
+        InputAccess.init({
+            mode,
+            scanInterval,
+            callbacks: {
+                onChange: (text) => {
+                    if (this.elements.testCursorStatus) this.elements.testCursorStatus.textContent = text;
+                }
+            }
+        });
+
+        if (this.elements.testInputHint) {
+            this.elements.testInputHint.textContent = mode === 'switch'
+                ? 'Press Space or Enter on the row with the different square, then on its column. The last step outlines the whole plate for "I can\'t tell".'
+                : 'Keyboard: arrow keys move the cursor, Enter selects, C for "I can\'t tell"';
+        }
+    },
+
+    renderInputSettings() {
+        const { mode, scanInterval } = this.getInputSettings();
+
+        if (this.elements.inputModeSelect) this.elements.inputModeSelect.value = mode;
+        if (this.elements.scanIntervalSelect) {
+            this.elements.scanIntervalSelect.value = String(scanInterval);
+            this.elements.scanIntervalSelect.disabled = mode !== 'switch';
+        }
+    },
+
+    saveInputSettings() {
+        Storage.saveSettings({
+            ...Storage.getSettings(),
+            inputMode: this.elements.inputModeSelect.value,
+            scanInterval: Number(this.elements.scanIntervalSelect.value)
+        });
+        this.initInputAccess();
+        this.renderInputSettings();
+    },
+
+    /**
+     * Protocol for the outlier test: ?protocol=<id>, then ?adaptive, then the saved choice
+     * An unknown id falls back to the standard protocol
+     */
+    getProtocolId() {
+        const urlOptions = this.getUrlOptions();
+        const id = urlOptions.protocol
+            || (urlOptions.adaptive ? 'adaptive' : Storage.getSettings().protocol)
+            || 'standard';
+
+        if (!Protocols.get(id)) {
+            console.warn(`Unknown protocol "${id}", using the standard protocol`);
+            return 'standard';
+        }
+        return id;
+    },
+
+    /**
+     * Read test options from the page URL (e.g. ?adaptive, ?masked, ?monocular)
+     * ?timed shows each plate briefly (?timed=800 sets the duration in ms), ?iti=500
+     * leaves a blank interval between plates, ?seed=123 fixes the session seed,
+     * ?protocol=<id> picks a built-in or imported test protocol, ?early stops as soon as
+     * the severity result is settled
+     */
+    getUrlOptions() {
+        const params = new URLSearchParams(window.location.search);
+        const flag = name => params.has(name) && params.get(name) !== '0';
+        const ms = name => {
+            const value = parseInt(params.get(name), 10);
+            return value > 0 ? value : null;
+        };
+        const stimulusDuration = ms('timed');
+        return {
+            adaptive: flag('adaptive'),
+            masked: flag('masked'),
+            monocular: flag('monocular'),
+            early: flag('early'),
+            timed: flag('timed') ? (stimulusDuration ? { stimulusDuration } : true) : null,
+            interTrialInterval: ms('iti'),
+            seed: Utils.parseSeed(params.get('seed')),
+            protocol: params.get('protocol') || null
+        };
+    },
+
     onPlateStart(plate, index) {
         // Update instruction text based on difficulty
         if (this.elements.testInstruction) {
-            this.elements.testInstruction.textContent = 'Select the square that looks different';
+            this.elements.testInstruction.textContent = OutlierTestEngine.state.presentation
+                ? 'Watch closely, then select where the different square was'
+                : 'Select the square that looks different';
         }
+
+        InputAccess.reset();
     },
 
     onPlateComplete(response, result) {
@@ -418,23 +832,281 @@ const App = {
         }
     },
 
-    onCantTell() {
-        OutlierTestEngine.handleCantTell();
+    onCantTell(e) {
+        // A click without a pointer position came from the keyboard
+        OutlierTestEngine.handleCantTell(null, e && e.detail === 0 ? 'keyboard' : 'pointer');
     },
 
     onTestComplete(results) {
+        InputAccess.detach();
+        AnimatedMosaic.overlay = null;
+        if (this.elements.testCursorStatus) this.elements.testCursorStatus.textContent = '';
+
+        if (this.state.monocular) {
+            const { monocular } = this.state;
+            monocular.results[monocular.eyes[monocular.index]] = { ...results, eye: monocular.eyes[monocular.index] };
+            monocular.index++;
+
+            if (monocular.index < monocular.eyes.length) {
+                this.showEyeInstruction();
+                return;
+            }
+
+            // Both eyes done: the worse eye stands for the session's baseline
+            const { right, left } = monocular.results;
+            const comparison = OutlierTestEngine.compareEyes(right, left);
+            this.state.monocularResults = { right, left, comparison };
+            this.state.monocular = null;
+            Storage.saveMonocularResults(this.state.monocularResults);
+            results = monocular.results[comparison.worseEye];
+        }
+
         this.state.baselineResults = results;
 
         // Save to storage
         Storage.saveBaselineResults(results);
 
-        // Tune filter based on results
-        this.state.filterParams = AdaptiveCameraFilter.tuneFromResults(results);
+        // Tune filter based on results (nothing to tune without red-green plates)
+        this.state.filterParams = results.severity.bucket === 'not-tested'
+            ? null
+            : AdaptiveCameraFilter.tuneFromResults(results);
 
         // Show results
         this.showResultsScreen(results);
     },
 
+    // ========== Arrangement Screen ==========
+
+    /**
+     * Start the D-15 ('d15') or FM-100 ('fm100') arrangement test
+     */
+    startArrangementTest(test) {
+        ArrangementTestEngine.init(this.elements.arrangementCanvas, {
+            callbacks: {
+                onChange: (isComplete) => this.onArrangementChange(isComplete),
+                onTrayStart: (index, count) => this.onArrangementTrayStart(index, count),
+                onTestComplete: (results) => this.onArrangementComplete(results)
+            }
+        });
+
+        if (this.elements.arrangementInstruction) {
+            this.elements.arrangementInstruction.textContent =
+                'Arrange the caps in order of hue, starting from the ringed cap';
+        }
+        if (this.elements.btnArrangementDone) {
+            this.elements.btnArrangementDone.textContent = 'Done';
+        }
+
+        // Show the screen first so the container has its size
+        this.showScreen('arrangement');
+
+        const container = this.elements.arrangementCanvas.parentElement;
+        ArrangementTestEngine.resize(Math.min(container.clientWidth || 400, 500));
+        ArrangementTestEngine.start(Utils.generateSeed(test), test);
+    },
+
+    onArrangementTrayStart(index, count) {
+        if (this.elements.arrangementInstruction) {
+            this.elements.arrangementInstruction.textContent =
+                `Tray ${index + 1} of ${count}: arrange the caps in order of hue between the two ringed caps`;
+        }
+        if (this.elements.btnArrangementDone) {
+            this.elements.btnArrangementDone.textContent = index < count - 1 ? 'Next Tray' : 'Done';
+        }
+    },
+
+    onArrangementChange(isComplete) {
+        if (this.elements.btnArrangementDone) {
+            this.elements.btnArrangementDone.disabled = !isComplete;
+        }
+    },
+
+    onArrangementComplete(results) {
+        this.showScreen('results');
+
+        // Save to storage
+        if (results.test === 'FM-100') {
+            this.state.hueResults = results;
+            Storage.saveHueDiscriminationResults(results);
+            this.renderHueResult(results);
+        } else {
+            this.state.arrangementResults = results;
+            Storage.saveArrangementResults(results);
+            this.renderArrangementResult(results);
+        }
+    },
+
+    renderArrangementResult(results) {
+        if (!this.elements.arrangementResultText) return;
+
+        if (!results) {
+            this.elements.arrangementResultText.textContent = 'Not taken';
+            this.elements.arrangementResultText.title = '';
+            return;
+        }
+
+        const { deficiencyType } = results;
+        this.elements.arrangementResultText.textContent =
+            `${this.formatDeficiencyType(deficiencyType.type)} (${deficiencyType.angle}°, C-index ${results.cIndex})`;
+        this.elements.arrangementResultText.title = deficiencyType.description;
+    },
+
+    renderHueResult(results) {
+        if (this.elements.hueResultText) {
+            this.elements.hueResultText.textContent = results ? `${results.tes} (√TES ${results.sqrtTes})` : 'Not taken';
+        }
+
+        const card = this.elements.huePlotCard;
+        if (!card) return;
+
+        if (!results || !this.elements.hueErrorPlot) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+
+        ArrangementTestEngine.renderErrorPlotTo(this.elements.hueErrorPlot, results);
+
+        if (this.elements.huePlotCaption) {
+            this.elements.huePlotCaption.textContent = results.tes === 0
+                ? 'Every cap was placed in hue order. Caps run clockwise from the top, starting at red.'
+                : `Total error score ${results.tes}. Points further out mark caps that were placed out of order; caps run clockwise from the top, starting at red. Tray error scores: ${results.trayErrors.join(', ')}.`;
+        }
+    },
+
+    // ========== Rayleigh Match Screen ==========
+
+    startRayleighTest() {
+        RayleighMatchEngine.init(this.elements.rayleighCanvas, {
+            callbacks: {
+                onStepStart: (step, index, total) => this.onRayleighStepStart(step, index, total),
+                onTestComplete: (results) => this.onRayleighComplete(results)
+            }
+        });
+
+        // Show the screen first so the container has its size
+        this.showScreen('rayleigh');
+
+        const container = this.elements.rayleighCanvas.parentElement;
+        const size = Math.min(container.clientWidth || 300, 300);
+        this.elements.rayleighCanvas.width = size;
+        this.elements.rayleighCanvas.height = size;
+
+        RayleighMatchEngine.start();
+    },
+
+    onRayleighStepStart(step, index, total) {
+        if (this.elements.rayleighInstruction) {
+            this.elements.rayleighInstruction.textContent = step.instruction;
+        }
+        if (this.elements.rayleighProgressText) {
+            this.elements.rayleighProgressText.textContent = `Setting ${index + 1} of ${total}`;
+        }
+
+        // Each setting starts from the engine's random position
+        if (this.elements.rayleighMixture) this.elements.rayleighMixture.value = step.mixture;
+        if (this.elements.rayleighYellow) this.elements.rayleighYellow.value = step.yellow;
+    },
+
+    onRayleighComplete(results) {
+        this.state.rayleighResults = results;
+
+        // Save to storage
+        Storage.saveRayleighResults(results);
+
+        // The matching range is a direct severity estimate; keep the plate test's type when the match can't tell
+        const type = results.deficiencyType.type === 'unclassified'
+            ? this.state.baselineResults?.deficiencyType
+            : results.deficiencyType;
+        this.state.filterParams = AdaptiveCameraFilter.tuneFromResults({ ...results, deficiencyType: type });
+
+        this.showScreen('results');
+        this.renderRayleighResult(results);
+    },
+
+    renderRayleighResult(results) {
+        if (!this.elements.rayleighResultText) return;
+
+        if (!results) {
+            this.elements.rayleighResultText.textContent = 'Not taken';
+            this.elements.rayleighResultText.title = '';
+            return;
+        }
+
+        const { range } = results;
+        this.elements.rayleighResultText.textContent =
+            `${results.midpoint} (${range.min}–${range.max}), ${this.formatSeverity(results.severity.bucket)}`;
+        this.elements.rayleighResultText.title = results.severity.description;
+    },
+
+    // ========== Display Calibration Screen ==========
+
+    startDisplayCalibration() {
+        DisplayCalibration.init(this.elements.displayCalibrationCanvas, {
+            callbacks: {
+                onStepStart: (step, index, total) => this.onDisplayCalibrationStepStart(step, index, total),
+                onComplete: () => this.showExportScreen()
+            }
+        });
+
+        // Show the screen first so the container has its size
+        this.showScreen('displayCalibration');
+
+        // The stripes must be one device pixel each, so size the backing store in device pixels
+        const canvas = this.elements.displayCalibrationCanvas;
+        const size = Math.min(canvas.parentElement.clientWidth || 300, 300);
+        const ratio = window.devicePixelRatio || 1;
+        canvas.style.width = `${size}px`;
+        canvas.style.height = `${size}px`;
+        canvas.width = Math.round(size * ratio);
+        canvas.height = Math.round(size * ratio);
+
+        DisplayCalibration.start();
+    },
+
+    onDisplayCalibrationStepStart(step, index, total) {
+        const isWhite = step.kind === 'white';
+
+        if (this.elements.displayCalibrationInstruction) {
+            this.elements.displayCalibrationInstruction.textContent = step.instruction;
+        }
+        if (this.elements.displayCalibrationProgressText) {
+            this.elements.displayCalibrationProgressText.textContent = `Step ${index + 1} of ${total}`;
+        }
+        if (this.elements.displayGammaControls) {
+            this.elements.displayGammaControls.style.display = isWhite ? 'none' : '';
+        }
+        if (this.elements.displayWhiteControls) {
+            this.elements.displayWhiteControls.style.display = isWhite ? '' : 'none';
+        }
+        if (this.elements.btnDisplayCalibrationNext) {
+            this.elements.btnDisplayCalibrationNext.textContent = isWhite ? 'Save Profile' : 'Next';
+        }
+
+        if (this.elements.displayLevel) this.elements.displayLevel.value = step.level;
+        if (this.elements.displayTemperature) this.elements.displayTemperature.value = step.temperature;
+        if (this.elements.displayTint) this.elements.displayTint.value = step.tint;
+    },
+
+    renderViewingGeometry() {
+        if (!this.elements.viewingGeometryText) return;
+
+        const profile = ViewingGeometry.getProfile();
+        const tileSize = ViewingGeometry.tileSizeFor(AnimatedMosaic.config.gridSize);
+        this.elements.viewingGeometryText.textContent = profile
+            ? `${profile.distanceMm / 10} cm viewing distance, ${profile.pxPerMm} px/mm; mosaic tiles are ${ViewingGeometry.describe(tileSize).tileAngle}° wide`
+            : `Screen size not set. A standard 96 dpi screen at ${ViewingGeometry.config.defaultDistanceMm / 10} cm is assumed.`;
+    },
+
+    renderDisplayProfile() {
+        if (!this.elements.displayProfileText) return;
+
+        const profile = DisplayCalibration.getProfile();
+        this.elements.displayProfileText.textContent = profile
+            ? `Gamma ${profile.gamma}, white gains R ${profile.gains.r} / G ${profile.gains.g} / B ${profile.gains.b} (calibrated ${new Date(profile.createdAt).toLocaleDateString()})`
+            : 'Not calibrated. Test colors are drawn as standard sRGB.';
+    },
+
     // ========== Results Screen ==========
 
     showResultsScreen(results) {
@@ -454,6 +1126,49 @@ const App = {
             this.elements.deutanScoreText.textContent = `${results.deutan.correct}/${results.deutan.total}`;
         }
 
+        // Protan score and deficiency type
+        if (this.elements.protanScoreText && results.protan) {
+            this.elements.protanScoreText.textContent = `${results.protan.correct}/${results.protan.total}`;
+        }
+        if (this.elements.deficiencyTypeText && results.deficiencyType) {
+            this.elements.deficiencyTypeText.textContent = this.formatDeficiencyType(results.deficiencyType.type);
+            this.elements.deficiencyTypeText.title = results.deficiencyType.description;
+        }
+
+        // Catch plates: trivially visible, so misses point to inattention rather than color vision
+        if (this.elements.catchScoreText) {
+            this.elements.catchScoreText.textContent = results.catch && results.catch.total > 0
+                ? `${results.catch.correct}/${results.catch.total}`
+                : 'None shown';
+        }
+
+        // Plates shown, and why the test ended when that was early
+        if (this.elements.platesShownText && results.stopping) {
+            const { plates, maxPlates, reason, description } = results.stopping;
+            this.elements.platesShownText.textContent = reason === 'complete' || !description
+                ? `${plates}`
+                : `${plates} of ${maxPlates} · ${description}`;
+        }
+
+        // Where clicks landed: near misses are one tile (by default) outside the outlier
+        if (this.elements.spatialAccuracyText && results.spatial) {
+            const { hits, nearMisses, clicks, meanDistance } = results.spatial;
+            this.elements.spatialAccuracyText.textContent = clicks > 0
+                ? `${hits} on target, ${nearMisses} near miss${nearMisses === 1 ? '' : 'es'} of ${clicks} (${meanDistance} tiles off on average)`
+                : 'No clicks';
+            if (results.clickPattern && results.clickPattern.strategy) {
+                this.elements.spatialAccuracyText.textContent += ` · likely guessing: ${results.clickPattern.strategy.label.toLowerCase()}`;
+            }
+        }
+
+        // Tritan (blue-yellow) screening
+        if (this.elements.tritanScoreText && results.tritan) {
+            this.elements.tritanScoreText.textContent = `${results.tritan.correct}/${results.tritan.total}`;
+        }
+        if (this.elements.tritanDescription && results.tritan) {
+            this.elements.tritanDescription.textContent = results.tritan.description;
+        }
+
         // Control score
         if (this.elements.controlScoreBar) {
             this.elements.controlScoreBar.style.width = `${results.control.score}%`;
@@ -464,7 +1179,7 @@ const App = {
 
         // Severity
         if (this.elements.severityMeter) {
-            this.elements.severityMeter.style.left = `${results.severity.value}%`;
+            this.elements.severityMeter.style.left = `${results.severity.value ?? 0}%`;
         }
         if (this.elements.severityLabel) {
             this.elements.severityLabel.textContent = this.formatSeverity(results.severity.bucket);
@@ -473,6 +1188,7 @@ const App = {
         if (this.elements.severityDesc) {
             this.elements.severityDesc.textContent = results.severity.description;
         }
+        this.renderReliability(results.reliability);
 
         // Timing
         if (this.elements.avgTimeText) {
@@ -481,6 +1197,63 @@ const App = {
         if (this.elements.totalTimeText) {
             this.elements.totalTimeText.textContent = results.timing.totalTestTime;
         }
+
+        // Simulated view of a sample plate
+        this.renderSimulationExplanation(results);
+
+        // Per-eye comparison, if the monocular protocol was run
+        this.renderInterocularResult(this.state.monocularResults);
+
+        // Arrangement test results, if taken this session
+        this.renderArrangementResult(this.state.arrangementResults);
+        this.renderHueResult(this.state.hueResults);
+        this.renderRayleighResult(this.state.rayleighResults);
+    },
+
+    renderInterocularResult(monocular) {
+        if (!this.elements.interocularCard) return;
+
+        if (!monocular) {
+            this.elements.interocularCard.style.display = 'none';
+            return;
+        }
+
+        const { comparison } = monocular;
+        const describe = results =>
+            `${results.redGreen.score}% red-green, ${this.formatSeverity(results.severity.bucket)}, blue-yellow ${results.tritan.status}`;
+
+        this.elements.interocularCard.style.display = '';
+        this.elements.interocularCard.classList.toggle('warning-card', comparison.asymmetric);
+        if (this.elements.rightEyeResultText) {
+            this.elements.rightEyeResultText.textContent = describe(monocular.right);
+        }
+        if (this.elements.leftEyeResultText) {
+            this.elements.leftEyeResultText.textContent = describe(monocular.left);
+        }
+        if (this.elements.interocularDescription) {
+            this.elements.interocularDescription.textContent = comparison.asymmetric
+                ? `${comparison.description} (${comparison.reasons.join('; ')}.) The main results above are for the ${comparison.worseEye} eye.`
+                : `${comparison.description} The main results above are for the ${comparison.worseEye} eye.`;
+        }
+    },
+
+    /**
+     * Why the answers are inconclusive or low-reliability, with the retest recommendation
+     */
+    renderReliability(reliability) {
+        const note = this.elements.reliabilityNote;
+        if (!note) return;
+
+        if (!reliability || reliability.level === 'normal') {
+            note.style.display = 'none';
+            return;
+        }
+
+        const reasons = reliability.reasons.map(reason => reason.description).join('; ');
+        note.textContent = reliability.level === 'inconclusive'
+            ? `Inconclusive: ${reasons}. ${reliability.recommendation}.`
+            : `Low reliability: ${reasons}. ${reliability.recommendation}.`;
+        note.style.display = '';
     },
 
     formatSeverity(bucket) {
@@ -489,11 +1262,67 @@ const App = {
             mild: 'Mild',
             moderate: 'Moderate',
             strong: 'Strong',
-            inconclusive: 'Inconclusive'
+            inconclusive: 'Inconclusive',
+            'not-tested': 'Not Tested'
         };
         return labels[bucket] || bucket;
     },
 
+    /**
+     * Show a sample plate next to a simulation of how the diagnosed observer sees it
+     */
+    renderSimulationExplanation(results) {
+        const card = this.elements.simulationCard;
+        if (!card) return;
+
+        const simulation = CVDSimulation.fromResults(results);
+        if (!simulation || !this.elements.simulationNormal || !this.elements.simulationSimulated) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+
+        const { type, severity } = simulation;
+        const plate = AnimatedMosaic.generatePlate({
+            type,
+            difficulty: 'easy',
+            seed: Utils.generateSeed('simulation')
+        });
+
+        AnimatedMosaic.renderPlateTo(this.elements.simulationNormal, plate);
+        AnimatedMosaic.renderPlateTo(this.elements.simulationSimulated, plate);
+
+        const canvas = this.elements.simulationSimulated;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        CVDSimulation.applyToImageData(imageData, type, severity);
+        ctx.putImageData(imageData, 0, 0);
+
+        const label = this.formatDeficiencyType(type);
+        const check = CVDSimulation.checkPlate(plate, type, severity);
+
+        if (this.elements.simulationLabel) {
+            this.elements.simulationLabel.textContent = `Simulated ${label} vision`;
+        }
+        if (this.elements.simulationCaption) {
+            this.elements.simulationCaption.textContent = check.collapsed
+                ? `For ${label.toLowerCase()} vision at your estimated severity, the 3×3 patch that stands out on the left blends into the background.`
+                : `For ${label.toLowerCase()} vision at your estimated severity, the 3×3 patch that stands out on the left becomes much harder to see (${Math.round((1 - check.ratio) * 100)}% less color difference).`;
+        }
+    },
+
+    formatDeficiencyType(type) {
+        const labels = {
+            none: 'None',
+            protan: 'Protan',
+            deutan: 'Deutan',
+            tritan: 'Tritan',
+            unclassified: 'Unclassified',
+            'not-tested': 'Not Tested'
+        };
+        return labels[type] || type;
+    },
+
     // ========== Camera Screen ==========
 
     showCameraScreen() {
@@ -521,6 +1350,16 @@ const App = {
         AdaptiveCameraFilter.toggleFilter(e.target.checked);
     },
 
+    onViewModeChange(e) {
+        const mode = e.target.value;
+        AdaptiveCameraFilter.setSimulation(mode === 'filter' ? null : mode);
+
+        // The intensity slider doubles as simulated severity
+        if (this.elements.intensityLabel) {
+            this.elements.intensityLabel.textContent = mode === 'filter' ? 'Intensity' : 'Severity';
+        }
+    },
+
     onIntensityChange(e) {
         const value = parseInt(e.target.value) / 100;
         AdaptiveCameraFilter.setIntensity(value);
@@ -608,6 +1447,65 @@ const App = {
 
         this.showScreen('export');
         this.loadSessionsList();
+        this.renderDisplayProfile();
+        this.renderViewingGeometry();
+        this.renderInputSettings();
+        this.renderProtocols();
+    },
+
+    renderProtocols() {
+        if (!this.elements.protocolSelect) return;
+
+        const protocols = Protocols.list();
+        const selectedId = this.getProtocolId();
+        const selected = protocols.find(p => p.id === selectedId);
+        const urlOptions = this.getUrlOptions();
+        const fromUrl = urlOptions.protocol || urlOptions.adaptive;
+
+        this.elements.protocolSelect.innerHTML = '';
+        protocols.forEach(protocol => {
+            const option = document.createElement('option');
+            option.value = protocol.id;
+            option.textContent = protocol.name;
+            option.selected = protocol.id === selectedId;
+            this.elements.protocolSelect.appendChild(option);
+        });
+
+        if (this.elements.protocolDescription) {
+            this.elements.protocolDescription.textContent = selected
+                ? `${selected.description || ''}${fromUrl ? ' (set by the page URL)' : ''}`
+                : '';
+        }
+    },
+
+    selectProtocol(id) {
+        Storage.saveSettings({ ...Storage.getSettings(), protocol: id });
+        this.renderProtocols();
+    },
+
+    showProtocolError(message) {
+        if (!this.elements.protocolFileError) return;
+        this.elements.protocolFileError.textContent = message;
+        this.elements.protocolFileError.style.display = message ? '' : 'none';
+    },
+
+    /**
+     * Import a protocol from a JSON file and select it
+     */
+    async importProtocolFile(file) {
+        if (!file) return;
+
+        try {
+            const protocol = Protocols.import(await file.text());
+            this.showProtocolError('');
+            this.selectProtocol(protocol.id);
+        } catch (e) {
+            console.error('Error importing protocol:', e);
+            this.showProtocolError(e.message);
+        } finally {
+            // Allow the same file to be picked again
+            this.elements.protocolFile.value = '';
+        }
     },
 
     loadSessionsList() {
@@ -627,11 +1525,23 @@ const App = {
                     <span class="session-date">${new Date(session.createdAt).toLocaleDateString()}</span>
                     <span class="session-score">${session.baseline?.overall?.score ?? '--'}%</span>
                     <span class="session-severity ${session.baseline?.severity?.bucket || ''}">${session.baseline?.severity?.bucket || 'N/A'}</span>
+                    ${session.hueDiscrimination ? `<span class="session-tes">TES ${session.hueDiscrimination.tes}</span>` : ''}
                 </div>
+                <button class="btn btn-small btn-secondary" data-action="replay" data-id="${session.id}">Replay</button>
                 <button class="btn btn-small btn-secondary" data-action="export" data-id="${session.id}">Export</button>
             </div>
         `).join('');
 
+        // Bind replay buttons
+        container.querySelectorAll('[data-action="replay"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const session = Storage.getSession(e.target.dataset.id);
+                if (session && !this.startReplay(session)) {
+                    this.showReplayError('This session has no plates that can be replayed.');
+                }
+            });
+        });
+
         // Bind export buttons
         container.querySelectorAll('[data-action="export"]').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -642,6 +1552,95 @@ const App = {
         });
     },
 
+    // ========== Session Replay ==========
+
+    /**
+     * Replay a stored session or an exported JSON session; returns false if it has no plates to replay
+     */
+    startReplay(session) {
+        this.showReplayError('');
+        SessionReplay.init(this.elements.replayCanvas, {
+            callbacks: {
+                onShow: (details, index, total) => this.onReplayShow(details, index, total)
+            }
+        });
+
+        // Show the screen first so the container has its size
+        this.showScreen('replay');
+
+        const canvas = this.elements.replayCanvas;
+        const gridSize = AnimatedMosaic.config.gridSize;
+        const size = ViewingGeometry.tileSizeFor(gridSize, canvas.parentElement.clientWidth || 400) * gridSize;
+        canvas.width = size;
+        canvas.height = size;
+
+        const tests = SessionReplay.getTests(session);
+        if (this.elements.replayTest) {
+            this.elements.replayTest.innerHTML = tests
+                .map((test, i) => `<option value="${i}">${test.label} (${test.trials.length} plates)</option>`)
+                .join('');
+            this.elements.replayTest.style.display = tests.length > 1 ? '' : 'none';
+        }
+
+        if (SessionReplay.load(session) === 0) {
+            this.showExportScreen();
+            return false;
+        }
+        this.renderClickAnalysis();
+        return true;
+    },
+
+    renderClickAnalysis() {
+        if (!this.elements.heatmapCanvas) return;
+
+        const analysis = SessionReplay.analyze();
+        ResponseAnalysis.renderHeatmap(this.elements.heatmapCanvas, analysis);
+        if (this.elements.heatmapSummary) {
+            this.elements.heatmapSummary.textContent = ResponseAnalysis.describe(analysis);
+        }
+    },
+
+    showReplayError(message) {
+        if (!this.elements.replayFileError) return;
+        this.elements.replayFileError.textContent = message;
+        this.elements.replayFileError.style.display = message ? '' : 'none';
+    },
+
+    onReplayShow(details, index, total) {
+        if (this.elements.replayProgressText) {
+            this.elements.replayProgressText.textContent = `Plate ${index + 1} of ${total}`;
+        }
+        if (this.elements.replayDetails) {
+            const time = (details.responseTime / 1000).toFixed(2);
+            this.elements.replayDetails.textContent =
+                `${details.outcome} · ${this.formatDeficiencyType(details.plateType)} plate, ${details.difficulty} · ` +
+                `Palette: ${details.palette} · ${time} s` +
+                (details.clicked ? '' : ' · no square clicked');
+        }
+        if (this.elements.btnReplayPrev) this.elements.btnReplayPrev.disabled = index === 0;
+        if (this.elements.btnReplayNext) this.elements.btnReplayNext.disabled = index === total - 1;
+    },
+
+    /**
+     * Replay a session from an exported JSON file
+     */
+    async replayFile(file) {
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            if (!this.startReplay(data)) {
+                this.showReplayError('This file has no plates that can be replayed.');
+            }
+        } catch (e) {
+            console.error('Error reading session file:', e);
+            this.showReplayError('This file is not an exported session.');
+        } finally {
+            // Allow the same file to be picked again
+            this.elements.replayFile.value = '';
+        }
+    },
+
     exportJSON() {
         Export.exportJSON();
     },
@@ -653,10 +1652,14 @@ const App = {
     confirmClearData() {
         this.showModal(
             'Clear All Data',
-            'This will permanently delete all saved test sessions. This cannot be undone.',
+            'This will permanently delete all saved test sessions and the display calibration. This cannot be undone.',
             () => {
                 Storage.clearAll();
+                DisplayCalibration.applyProfile(null);
+                ViewingGeometry.applyProfile(null);
                 this.loadSessionsList();
+                this.renderDisplayProfile();
+                this.renderViewingGeometry();
                 this.hideModal();
             }
         );
@@ -665,6 +1668,10 @@ const App = {
     startNewTest() {
         // Reset state
         this.state.baselineResults = null;
+        this.state.arrangementResults = null;
+        this.state.hueResults = null;
+        this.state.rayleighResults = null;
+        this.state.monocularResults = null;
         this.state.filterParams = null;
         this.state.calibrationComplete = {
             brightness: false,
@@ -8,135 +8,57 @@ const MosaicGenerator = {
      * Plate configuration
      */
     config: {
-        defaultSize: 400,
+        maxSize: 400,          // Largest plate; tiles are sized to a visual angle by ViewingGeometry
         tileCountRange: [12, 16], // tiles per row/column
         tilePadding: 0,
-        borderRadius: 2
+        borderRadius: 2,
+        // Target/background CIEDE2000 distance by difficulty; a protocol separation of 1 = max
+        deltaE: {
+            max: 30,
+            easy: 24,
+            medium: 14,
+            hard: 8
+        },
+        // Lightness offsets applied equally to background and target variants
+        variantLightness: [0, 3, -3, 1.5]
     },
 
     /**
-     * Color palettes designed to confuse deuteranomaly (red-green deficiency)
-     * These are carefully chosen to have similar appearance for people with deuteranomaly
+     * Background anchors for each plate type
+     * Target colors are generated by Colorimetry on the axis's confusion line through the
+     * background, or along lightness only for control plates
      */
     colorPalettes: {
-        // Red-green confusion palettes (main test)
+        // Red-green confusion backgrounds (main test)
         deutanConfusion: [
-            // Palette 1: Green background, red target
-            {
-                background: [
-                    { h: 120, s: 45, l: 45 }, // Muted green
-                    { h: 125, s: 40, l: 50 },
-                    { h: 115, s: 50, l: 40 },
-                    { h: 130, s: 42, l: 48 }
-                ],
-                target: [
-                    { h: 0, s: 50, l: 45 },   // Muted red
-                    { h: 5, s: 45, l: 48 },
-                    { h: 355, s: 48, l: 42 }
-                ]
-            },
-            // Palette 2: Olive/brown background, green target
-            {
-                background: [
-                    { h: 45, s: 35, l: 40 },  // Olive/brown
-                    { h: 50, s: 38, l: 42 },
-                    { h: 40, s: 32, l: 45 },
-                    { h: 55, s: 36, l: 38 }
-                ],
-                target: [
-                    { h: 85, s: 45, l: 42 },  // Yellow-green
-                    { h: 90, s: 42, l: 45 },
-                    { h: 80, s: 48, l: 40 }
-                ]
-            },
-            // Palette 3: Brownish-red, pure green target
-            {
-                background: [
-                    { h: 15, s: 40, l: 42 },
-                    { h: 20, s: 38, l: 45 },
-                    { h: 10, s: 42, l: 40 },
-                    { h: 25, s: 36, l: 44 }
-                ],
-                target: [
-                    { h: 140, s: 48, l: 40 },
-                    { h: 145, s: 45, l: 42 },
-                    { h: 135, s: 50, l: 38 }
-                ]
-            },
-            // Palette 4: Teal-ish background, pink target
-            {
-                background: [
-                    { h: 165, s: 35, l: 45 },
-                    { h: 170, s: 38, l: 42 },
-                    { h: 160, s: 32, l: 48 },
-                    { h: 175, s: 36, l: 44 }
-                ],
-                target: [
-                    { h: 340, s: 45, l: 50 },
-                    { h: 345, s: 42, l: 48 },
-                    { h: 335, s: 48, l: 52 }
-                ]
-            },
-            // Palette 5: Cyan-green, orange target
-            {
-                background: [
-                    { h: 150, s: 42, l: 48 },
-                    { h: 155, s: 38, l: 45 },
-                    { h: 145, s: 45, l: 50 },
-                    { h: 160, s: 40, l: 46 }
-                ],
-                target: [
-                    { h: 25, s: 55, l: 50 },
-                    { h: 30, s: 52, l: 48 },
-                    { h: 20, s: 58, l: 52 }
-                ]
-            }
+            { name: 'green', axis: 'deutan', background: { h: 120, s: 45, l: 45 } },
+            { name: 'olive', axis: 'deutan', background: { h: 45, s: 35, l: 40 } },
+            { name: 'brown', axis: 'deutan', background: { h: 15, s: 40, l: 42 } },
+            { name: 'teal', axis: 'deutan', background: { h: 165, s: 35, l: 45 } },
+            { name: 'cyan-green', axis: 'deutan', background: { h: 150, s: 42, l: 48 } }
+        ],
+
+        // Red-green confusion backgrounds on the protan confusion line
+        protanConfusion: [
+            { name: 'brown', axis: 'protan', background: { h: 30, s: 45, l: 36 } },
+            { name: 'olive', axis: 'protan', background: { h: 60, s: 35, l: 38 } },
+            { name: 'teal', axis: 'protan', background: { h: 180, s: 32, l: 45 } },
+            { name: 'slate', axis: 'protan', background: { h: 200, s: 10, l: 52 } }
         ],
 
-        // Control palettes (should be equally visible to all)
+        // Blue-yellow confusion backgrounds (tritan screening)
+        tritanConfusion: [
+            { name: 'sky-blue', axis: 'tritan', background: { h: 200, s: 45, l: 48 } },
+            { name: 'violet', axis: 'tritan', background: { h: 260, s: 30, l: 55 } },
+            { name: 'warm-gray', axis: 'tritan', background: { h: 40, s: 8, l: 62 } },
+            { name: 'purple', axis: 'tritan', background: { h: 285, s: 40, l: 45 } }
+        ],
+
+        // Control backgrounds (lightness contrast only, should be equally visible to all)
         control: [
-            // Blue vs Yellow (not affected by deuteranomaly)
-            {
-                background: [
-                    { h: 220, s: 50, l: 50 },
-                    { h: 225, s: 48, l: 52 },
-                    { h: 215, s: 52, l: 48 },
-                    { h: 230, s: 46, l: 54 }
-                ],
-                target: [
-                    { h: 55, s: 70, l: 55 },
-                    { h: 60, s: 68, l: 52 },
-                    { h: 50, s: 72, l: 58 }
-                ]
-            },
-            // Purple vs Yellow
-            {
-                background: [
-                    { h: 270, s: 45, l: 45 },
-                    { h: 275, s: 42, l: 48 },
-                    { h: 265, s: 48, l: 42 },
-                    { h: 280, s: 44, l: 46 }
-                ],
-                target: [
-                    { h: 48, s: 65, l: 55 },
-                    { h: 52, s: 62, l: 58 },
-                    { h: 44, s: 68, l: 52 }
-                ]
-            },
-            // Dark blue vs Light orange
-            {
-                background: [
-                    { h: 235, s: 55, l: 35 },
-                    { h: 240, s: 52, l: 38 },
-                    { h: 230, s: 58, l: 32 },
-                    { h: 245, s: 50, l: 36 }
-                ],
-                target: [
-                    { h: 35, s: 80, l: 65 },
-                    { h: 40, s: 78, l: 62 },
-                    { h: 30, s: 82, l: 68 }
-                ]
-            }
+            { name: 'gray', axis: 'lightness', background: { h: 0, s: 0, l: 45 } },
+            { name: 'slate', axis: 'lightness', background: { h: 215, s: 25, l: 45 } },
+            { name: 'amber', axis: 'lightness', background: { h: 35, s: 35, l: 45 } }
         ]
     },
 
@@ -154,10 +76,11 @@ const MosaicGenerator = {
      */
     generatePlate(options = {}) {
         const {
-            size = this.config.defaultSize,
-            type = 'deutanConfusion', // 'deutanConfusion' or 'control'
+            size = null,           // Plate size in pixels; null sizes tiles by visual angle
+            type = 'deutanConfusion', // 'deutanConfusion', 'protanConfusion', 'tritanConfusion' or 'control'
             seed = Utils.generateSeed(),
             difficulty = 'medium', // 'easy', 'medium', 'hard'
+            deltaE: targetDeltaE = null, // CIEDE2000 target distance; null uses the difficulty's
             targetType = 'number', // 'number', 'letter', 'shape'
             filterParams = null // Apply correction filter for tuning tests
         } = options;
@@ -171,13 +94,26 @@ const MosaicGenerator = {
             hard: 18
         };
         const tileCount = tileCounts[difficulty] || 14;
-        const tileSize = Math.floor(size / tileCount);
-
-        // Select color palette
-        const palettes = type === 'control' 
-            ? this.colorPalettes.control 
-            : this.colorPalettes.deutanConfusion;
-        const palette = Utils.randomPick(palettes, rng);
+        const tileSize = size
+            ? Math.floor(size / tileCount)
+            : ViewingGeometry.tileSizeFor(tileCount, this.config.maxSize);
+
+        // Select background and generate the target at the difficulty's perceptual distance
+        const palettes = this.colorPalettes[type] || this.colorPalettes.deutanConfusion;
+        const anchor = Utils.randomPick(palettes, rng);
+        const deltaE = targetDeltaE !== null
+            ? targetDeltaE
+            : (this.config.deltaE[difficulty] || this.config.deltaE.medium);
+        const pair = anchor.axis === 'lightness'
+            ? Colorimetry.generateLightnessPair({ background: anchor.background, deltaE, rng })
+            : Colorimetry.generateConfusionPair({ axis: anchor.axis, background: anchor.background, deltaE, rng });
+        const palette = {
+            name: anchor.name,
+            axis: anchor.axis,
+            deltaE: pair.deltaE,
+            background: this.expandVariants(pair.background),
+            target: this.expandVariants(pair.outlier)
+        };
 
         // Select target
         let target, targetValue;
@@ -195,9 +131,10 @@ const MosaicGenerator = {
         // Generate the plate data
         const plateData = {
             seed,
-            size,
+            size: size || tileSize * tileCount,
             tileCount,
             tileSize,
+            viewing: ViewingGeometry.describe(tileSize),
             type,
             difficulty,
             palette,
@@ -209,6 +146,17 @@ const MosaicGenerator = {
         return plateData;
     },
 
+    /**
+     * Build lightness variants of a color for the camouflage pattern
+     */
+    expandVariants(color) {
+        return this.config.variantLightness.map(offset => ({
+            h: color.h,
+            s: color.s,
+            l: Utils.clamp(color.l + offset, 0, 100)
+        }));
+    },
+
     /**
      * Generate tile data for the plate
      */
@@ -521,7 +469,8 @@ const MosaicGenerator = {
 
         // Draw tiles
         tiles.forEach(tile => {
-            ctx.fillStyle = tile.color;
+            const rgb = DisplayCalibration.correctRgb(tile.rgb);
+            ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
             this.roundRect(
                 ctx,
                 tile.x + padding,
@@ -560,6 +509,7 @@ const MosaicGenerator = {
         const {
             plateCount = 12,
             deutanRatio = 0.67, // 2/3 deutan plates, 1/3 control
+            tritanRatio = 0,
             seed = Utils.generateSeed(),
             difficulty = 'medium',
             filterParams = null
@@ -569,11 +519,13 @@ const MosaicGenerator = {
         const rng = Utils.createRNG(seed);
         
         const deutanCount = Math.round(plateCount * deutanRatio);
-        const controlCount = plateCount - deutanCount;
+        const tritanCount = Math.min(Math.round(plateCount * tritanRatio), plateCount - deutanCount);
+        const controlCount = plateCount - deutanCount - tritanCount;
 
         // Generate plate type sequence and shuffle
         const sequence = [
             ...Array(deutanCount).fill('deutanConfusion'),
+            ...Array(tritanCount).fill('tritanConfusion'),
             ...Array(controlCount).fill('control')
         ];
         const shuffledSequence = Utils.shuffleArray(sequence, rng);
@@ -582,7 +534,7 @@ const MosaicGenerator = {
         const targetTypes = ['number', 'number', 'letter', 'shape'];
         
         shuffledSequence.forEach((type, index) => {
-            const plateSeed = Utils.generateSeed(`${seed}-${index}`);
+            const plateSeed = Utils.deriveSeed(seed, `plate-${index}`);
             const targetType = targetTypes[index % targetTypes.length];
             
             plates.push(this.generatePlate({
@@ -16,18 +16,69 @@ const OutlierTestEngine = {
         testStartTime: null,
         mode: 'baseline', // 'baseline', 'tuning', 'validation'
         filterParams: null,
-        seed: null
+        seed: null,
+        adaptive: false,
+        masking: null,
+        presentation: null,
+        interTrialInterval: 0,
+        transitionTimer: null,
+        protocol: null,
+        blocks: [],
+        blockIndex: 0,
+        blockStart: 0,
+        blockSchedule: null,
+        catchPositions: [],     // Positions of the current block's catch plates
+        consecutiveMisses: 0,
+        staircases: null,
+        earlyStopping: null,
+        stopReason: null,       // Why the last block ended (see stopDescriptions)
+        redGreenSettled: false, // The current block's SPRTs settled: its red-green plates are dropped
+        skippedPositions: 0,    // Positions of the current block dropped so far
+        droppedPlates: 0        // Red-green plates dropped over the whole test
     },
 
     /**
      * Configuration
+     * Plate counts, plate mix, stopping rules and scoring cutoffs come from the protocol (see Protocols)
      */
     config: {
-        baselinePlateCount: 16,
-        tuningPlateCount: 8,
-        validationPlateCount: 12,
         feedbackDelay: 0,
-        plateTransitionDelay: 0
+        plateTransitionDelay: 0,    // Default inter-trial interval (ms, blank canvas between plates)
+        // Timed presentation: the plate is shown briefly, then masked, so the outlier
+        // can't be found by scanning the plate for as long as it takes
+        timedPresentation: {
+            stimulusDuration: 1000,     // ms
+            maskDuration: 250           // ms
+        },
+        // Monocular protocol: inherited deficiencies affect both eyes alike, so a gap
+        // between the eyes beyond these limits is flagged for referral
+        interocular: {
+            scoreDifference: 25,        // Red-green score gap (percentage points)
+            severitySteps: 2,           // Severity bucket gap
+            logThresholdRatio: 0.3      // log10 red-green threshold ratio, adaptive mode (~2x)
+        }
+    },
+
+    /**
+     * Severity bucket descriptions
+     */
+    severityDescriptions: {
+        none: 'No significant indicators of red-green color vision deficiency detected',
+        mild: 'Mild indicators of red-green color confusion detected',
+        moderate: 'Moderate indicators of red-green color vision deficiency detected',
+        strong: 'Strong indicators of red-green color vision deficiency detected',
+        inconclusive: 'The answers are not consistent enough to estimate severity; a retest is recommended',
+        'not-tested': 'No red-green plates were shown, so red-green severity was not tested'
+    },
+
+    /**
+     * Why the test ended
+     */
+    stopDescriptions: {
+        complete: 'All plates were shown',
+        sprt: 'Red-green plates stopped early, as more were unlikely to change the severity result; blue-yellow and catch plates were all shown',
+        consecutiveMisses: 'Stopped after too many plates in a row were missed',
+        ciWidth: 'Stopped once the thresholds were measured precisely enough'
     },
 
     /**
@@ -54,63 +105,263 @@ const OutlierTestEngine = {
             mosaic = AnimatedMosaic,
             mode = 'baseline',
             filterParams = null,
+            adaptive = false,   // Shorthand for the built-in adaptive protocol
+            protocol = adaptive ? 'adaptive' : 'standard',   // Protocol id or definition (see Protocols)
+            masking = null,   // 'luminance' for luminance-noise masked plates
+            presentation = null,   // null = unlimited viewing; true or overrides for timed presentation
+            interTrialInterval = this.config.plateTransitionDelay,
+            earlyStopping = null,   // true or SequentialTest options: fixed blocks stop once severity is settled
+            seed = Utils.generateSeed(mode),
             callbacks = {}
         } = options;
 
+        const definition = typeof protocol === 'string'
+            ? Protocols.get(protocol)
+            : Protocols.normalize(Protocols.validate(protocol));
+        if (!definition) {
+            throw new Error(`Unknown protocol: ${protocol}`);
+        }
+
         this.mosaic = mosaic;
         this.callbacks = { ...this.callbacks, ...callbacks };
         this.state.mode = mode;
         this.state.filterParams = filterParams;
-        this.state.seed = Utils.generateSeed();
+        this.state.seed = seed;
+        this.state.protocol = definition;
+        this.state.blocks = definition.tests[mode].blocks;
+        this.state.adaptive = this.state.blocks.some(block => block.adaptive);
+        this.state.masking = masking;
+        this.state.presentation = presentation
+            ? { ...this.config.timedPresentation, ...(presentation === true ? {} : presentation) }
+            : null;
+        this.state.interTrialInterval = interTrialInterval;
+        this.state.earlyStopping = earlyStopping;
+        this.state.staircases = null;
 
         return this;
     },
 
     /**
-     * Generate test plates based on mode
+     * Scoring rules of the active protocol
+     */
+    getScoring() {
+        return this.state.protocol ? this.state.protocol.scoring : Protocols.defaultScoring;
+    },
+
+    /**
+     * Chance that a random click is scored correct: the outlier region,
+     * widened by the near-miss ring when near misses count
+     */
+    getGuessRate() {
+        const { gridSize, outlierSize } = this.mosaic.config;
+        const { distance, countAsCorrect } = this.getScoring().nearMiss;
+        const size = Math.min(outlierSize + (countAsCorrect ? 2 * distance : 0), gridSize);
+        return (size * size) / (gridSize * gridSize);
+    },
+
+    /**
+     * Classify a response: 'hit' in the outlier, 'nearMiss' within the protocol's
+     * near-miss distance of it, 'miss' further away, or 'skipped' / 'timeout'
      */
-    generatePlates() {
-        const { mode, seed } = this.state;
+    getOutcome(result) {
+        if (result.timeout) return 'timeout';
+        if (result.skipped) return 'skipped';
+        if (result.distance === 0) return 'hit';
+        return result.distance <= this.getScoring().nearMiss.distance ? 'nearMiss' : 'miss';
+    },
 
-        let plateCount;
-        let deutanRatio;
+    /**
+     * Current block of the protocol
+     */
+    getCurrentBlock() {
+        return this.state.blocks[this.state.blockIndex] || null;
+    },
 
-        switch (mode) {
-            case 'baseline':
-                plateCount = this.config.baselinePlateCount;
-                deutanRatio = 1.0; // All deutan
-                break;
-            case 'tuning':
-                plateCount = this.config.tuningPlateCount;
-                deutanRatio = 1.0; // All deutan
-                break;
-            case 'validation':
-                plateCount = this.config.validationPlateCount;
-                deutanRatio = 1.0; // All deutan
-                break;
-            default:
-                plateCount = this.config.baselinePlateCount;
-                deutanRatio = 1.0;
+    /**
+     * Enter a block; fixed blocks get their plate schedule up front
+     */
+    startBlock(index) {
+        const block = this.state.blocks[index];
+
+        this.state.blockIndex = index;
+        this.state.blockStart = this.state.currentPlateIndex;
+        this.state.consecutiveMisses = 0;
+        this.state.stopReason = null;
+        this.state.redGreenSettled = false;
+        this.state.skippedPositions = 0;
+        this.state.blockSchedule = block.adaptive
+            ? null
+            : Protocols.buildSchedule(block, Utils.deriveSeed(this.state.seed, `block-${index}`));
+        this.state.catchPositions = Protocols.buildCatchPositions(block, Utils.deriveSeed(this.state.seed, `catch-${index}`));
+
+        // Staircases carry over between adaptive blocks on the same axis
+        if (block.adaptive) {
+            block.families.forEach(family => {
+                if (!this.state.staircases[family]) {
+                    this.state.staircases[family] = QuestStaircase.create({ gamma: this.getGuessRate() });
+                }
+            });
+        }
+    },
+
+    /**
+     * Generate the plate at the current index from the current block.
+     * Adaptive blocks rotate through their axes; separation comes from that axis's QUEST posterior.
+     * Catch plates take their positions without shifting the block's own plates.
+     */
+    generateNextPlate() {
+        const block = this.getCurrentBlock();
+        const index = this.state.currentPlateIndex;
+        const position = index - this.state.blockStart + this.state.skippedPositions;
+        const seed = Utils.deriveSeed(this.state.seed, `plate-${index}`);
+
+        if (this.state.catchPositions.includes(position)) {
+            return this.mosaic.generatePlate({ type: 'catch', seed, difficulty: 'easy' });
+        }
+        const slot = position - this.state.catchPositions.filter(p => p < position).length;
+
+        if (block.adaptive) {
+            const type = block.families[slot % block.families.length];
+            const separation = this.state.staircases[type].nextIntensity();
+
+            return this.mosaic.generatePlate({
+                type,
+                seed,
+                difficulty: this.getDifficultyForSeparation(separation),
+                separation,
+                masking: this.state.masking
+            });
         }
 
-        return this.mosaic.generateTestSequence({
-            totalPlates: plateCount,
-            deutanRatio,
-            baseSeed: seed,
-            progressiveDifficulty: mode === 'baseline'
+        const { type, difficulty, separation } = this.state.blockSchedule[slot];
+        return this.mosaic.generatePlate({
+            type,
+            seed,
+            difficulty,
+            separation,
+            masking: this.state.masking
         });
     },
 
+    /**
+     * Whether the current block is over: all its plates shown, or a stopping rule met
+     * Sets state.stopReason to the rule that ended it
+     */
+    isBlockComplete() {
+        const block = this.getCurrentBlock();
+        const stopping = block.stopping || {};
+        const shown = this.state.currentPlateIndex - this.state.blockStart;
+        const total = Protocols.getPlateCount([block]);
+        const stop = reason => {
+            this.state.stopReason = reason;
+            return true;
+        };
+
+        if (this.state.redGreenSettled) this.skipRedGreenPositions();
+        if (shown + this.state.skippedPositions >= total) {
+            return stop(this.state.redGreenSettled ? 'sprt' : 'complete');
+        }
+        if (stopping.consecutiveMisses && this.state.consecutiveMisses >= stopping.consecutiveMisses) {
+            return stop('consecutiveMisses');
+        }
+
+        // Precise enough: every staircase's 95% interval is narrower than ciWidth (log10 units)
+        if (block.adaptive && stopping.ciWidth && shown >= (stopping.minPlates || 0)) {
+            const precise = block.families.every(family => {
+                const { ci } = this.state.staircases[family].getEstimate();
+                return Math.log10(ci[1]) - Math.log10(ci[0]) <= stopping.ciWidth;
+            });
+            return precise && stop('ciWidth');
+        }
+
+        // Settled: an SPRT at every severity cutoff says the bucket won't change, so the block's
+        // remaining red-green plates are dropped; its tritan, control and catch plates still follow
+        const sequential = this.getSequentialOptions(block);
+        if (sequential && !this.state.redGreenSettled && shown >= sequential.minPlates) {
+            if (this.evaluateSequential(sequential).settled) {
+                this.state.redGreenSettled = true;
+                this.skipRedGreenPositions();
+                return shown + this.state.skippedPositions >= total && stop('sprt');
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Skip the red-green plates scheduled next in a settled fixed block
+     */
+    skipRedGreenPositions() {
+        const block = this.getCurrentBlock();
+        const total = Protocols.getPlateCount([block]);
+        const { catchPositions, blockSchedule } = this.state;
+        let position = this.state.currentPlateIndex - this.state.blockStart + this.state.skippedPositions;
+
+        while (position < total && !catchPositions.includes(position)) {
+            const { type } = blockSchedule[position - catchPositions.filter(p => p < position).length];
+            if (type !== 'deutan' && type !== 'protan') break;
+            this.state.skippedPositions++;
+            this.state.droppedPlates++;
+            position++;
+        }
+    },
+
+    /**
+     * SequentialTest options for a block (its stopping.sprt, else the earlyStopping option), or null
+     * Adaptive blocks stop on their staircases instead; stopping.sprt false opts a block out.
+     */
+    getSequentialOptions(block) {
+        const stopping = block.stopping || {};
+        const sprt = stopping.sprt !== undefined ? stopping.sprt : this.state.earlyStopping;
+        if (block.adaptive || !sprt) return null;
+
+        const options = SequentialTest.getOptions(sprt);
+        return { ...options, minPlates: stopping.minPlates || options.minPlates };
+    },
+
+    /**
+     * SequentialTest evaluation of the current block's red-green answers against the score-mode cutoffs
+     */
+    evaluateSequential(options) {
+        const answers = this.state.responses.filter(r =>
+            r.block === this.state.blockIndex && (r.plateType === 'deutan' || r.plateType === 'protan'));
+        const buckets = this.getScoring().severity.map(({ bucket, minScore }) => ({ bucket, minAccuracy: minScore / 100 }));
+
+        return SequentialTest.evaluate(answers.filter(r => r.isCorrect).length, answers.length, buckets, options);
+    },
+
+    /**
+     * Map a separation onto the easy/medium/hard labels used by the breakdown
+     */
+    getDifficultyForSeparation(separation) {
+        if (separation >= 0.6) return 'easy';
+        if (separation >= 0.3) return 'medium';
+        return 'hard';
+    },
+
+    /**
+     * Total number of plates in this test (blocks still to come count at their maximum,
+     * less the red-green plates an early stop has dropped from the current block)
+     */
+    getPlateCount() {
+        return this.state.blockStart - this.state.skippedPositions +
+            Protocols.getPlateCount(this.state.blocks.slice(this.state.blockIndex));
+    },
+
     /**
      * Start the test
      */
     start() {
         if (this.state.isRunning) return;
 
-        // Generate plates
-        this.state.plates = this.generatePlates();
+        // Plates are generated one at a time, so stopping rules and staircases can act on responses
+        this.state.staircases = {};
+        this.state.plates = [];
         this.state.responses = [];
         this.state.currentPlateIndex = 0;
+        this.state.droppedPlates = 0;
+        this.startBlock(0);
+        this.state.plates.push(this.generateNextPlate());
         this.state.testStartTime = Date.now();
         this.state.isRunning = true;
 
@@ -134,7 +385,7 @@ const OutlierTestEngine = {
         if (this.callbacks.onProgress) {
             this.callbacks.onProgress(
                 this.state.currentPlateIndex,
-                this.state.plates.length
+                this.getPlateCount()
             );
         }
 
@@ -144,7 +395,7 @@ const OutlierTestEngine = {
         }
 
         // Start the animated plate
-        this.mosaic.startPlate(plate, () => this.handleTimeout());
+        this.mosaic.startPlate(plate, () => this.handleTimeout(), this.state.presentation);
     },
 
     /**
@@ -165,7 +416,21 @@ const OutlierTestEngine = {
         if (!result) return null;
 
         // Record the response
-        this.recordResponse(result);
+        this.recordResponse({ ...result, inputMethod: 'pointer' });
+
+        return result;
+    },
+
+    /**
+     * Handle a selection by grid position (keyboard or switch access, or a simulated observer)
+     */
+    handleSelection(row, col, responseTime = null, inputMethod = null) {
+        if (!this.state.isRunning) return null;
+
+        const result = this.mosaic.selectTile(row, col, responseTime);
+        if (!result) return null;
+
+        this.recordResponse({ ...result, inputMethod });
 
         return result;
     },
@@ -173,7 +438,7 @@ const OutlierTestEngine = {
     /**
      * Handle "I can't tell" button
      */
-    handleCantTell() {
+    handleCantTell(responseTime = null, inputMethod = null) {
         if (!this.state.isRunning) return;
 
         const plate = this.getCurrentPlate();
@@ -185,10 +450,11 @@ const OutlierTestEngine = {
             selectedIndex: null,
             correctIndex: plate.outlierIndex,
             isCorrect: false,
-            responseTime: performance.now() - plate.startTime,
+            responseTime: responseTime !== null ? responseTime : performance.now() - plate.startTime,
             plateType: plate.type,
             difficulty: plate.difficulty,
-            skipped: true
+            skipped: true,
+            inputMethod
         };
 
         this.recordResponse(result);
@@ -226,22 +492,49 @@ const OutlierTestEngine = {
     recordResponse(result) {
         const plate = this.getCurrentPlate();
 
+        const block = this.getCurrentBlock();
+
+        const outcome = this.getOutcome(result);
+        const isCorrect = outcome === 'hit' || (outcome === 'nearMiss' && this.getScoring().nearMiss.countAsCorrect);
+
         const responseData = {
             plateIndex: this.state.currentPlateIndex,
+            block: this.state.blockIndex,
             plateType: result.plateType,
             difficulty: result.difficulty,
             selectedIndex: result.selectedIndex,
             correctIndex: result.correctIndex,
-            isCorrect: result.isCorrect,
+            selectedRow: result.selectedRow ?? null,
+            selectedCol: result.selectedCol ?? null,
+            isCorrect,
+            outcome,
+            distance: result.distance ?? null,
+            outlierRow: plate ? plate.outlierRow : null,
+            outlierCol: plate ? plate.outlierCol : null,
             responseTime: result.responseTime,
             skipped: result.skipped || false,
             timeout: result.timeout || false,
+            responsePhase: result.phase || null,
+            inputMethod: result.inputMethod || null,
             plateSeed: plate ? plate.seed : null,
-            paletteUsed: plate ? plate.palette.name : null
+            paletteUsed: plate ? plate.palette.name : null,
+            separation: plate ? plate.separation : null,
+            targetSeparation: plate ? plate.targetSeparation : null,
+            deltaE: plate ? plate.deltaE : null
         };
 
         this.state.responses.push(responseData);
 
+        // Skips and timeouts count as misses for the staircase and the stopping rule;
+        // catch plates are left out of both
+        const isCatch = plate && plate.type === 'catch';
+        if (block && block.adaptive && plate && !isCatch) {
+            this.state.staircases[plate.type].update(plate.separation, isCorrect);
+        }
+        if (!isCatch) {
+            this.state.consecutiveMisses = isCorrect ? 0 : this.state.consecutiveMisses + 1;
+        }
+
         // Notify
         if (this.callbacks.onPlateComplete) {
             this.callbacks.onPlateComplete(responseData, result);
@@ -257,8 +550,22 @@ const OutlierTestEngine = {
     nextPlate() {
         this.state.currentPlateIndex++;
 
-        if (this.state.currentPlateIndex >= this.state.plates.length) {
-            this.complete();
+        if (this.isBlockComplete()) {
+            if (this.state.blockIndex + 1 >= this.state.blocks.length) {
+                this.complete();
+                return;
+            }
+            this.startBlock(this.state.blockIndex + 1);
+        }
+        this.state.plates.push(this.generateNextPlate());
+
+        if (this.state.interTrialInterval > 0) {
+            // Blank canvas between plates
+            if (this.mosaic.canvas) this.mosaic.clear();
+            this.state.transitionTimer = setTimeout(() => {
+                this.state.transitionTimer = null;
+                this.showCurrentPlate();
+            }, this.state.interTrialInterval);
         } else {
             this.showCurrentPlate();
         }
@@ -284,28 +591,39 @@ const OutlierTestEngine = {
      * Calculate comprehensive test results
      */
     calculateResults() {
-        const { responses, testStartTime, mode, seed } = this.state;
+        const { responses, testStartTime, mode, seed, protocol, adaptive, masking, presentation, interTrialInterval, staircases } = this.state;
         const testEndTime = Date.now();
 
         // Separate by plate type
         const deutanResponses = responses.filter(r => r.plateType === 'deutan');
+        const protanResponses = responses.filter(r => r.plateType === 'protan');
+        const redGreenResponses = [...deutanResponses, ...protanResponses];
+        const tritanResponses = responses.filter(r => r.plateType === 'tritan');
         const controlResponses = responses.filter(r => r.plateType === 'control');
+        // Catch plates only measure attention: they have their own score and gate severity (see Reliability)
+        const catchResponses = responses.filter(r => r.plateType === 'catch');
+        const testResponses = responses.filter(r => r.plateType !== 'catch');
 
         // Calculate scores
         const calcScore = (responseList) => {
             const total = responseList.length;
-            if (total === 0) return { correct: 0, total: 0, score: 0 };
+            if (total === 0) return { correct: 0, nearMisses: 0, total: 0, score: 0 };
             const correct = responseList.filter(r => r.isCorrect).length;
             return {
                 correct,
+                nearMisses: responseList.filter(r => r.outcome === 'nearMiss').length,
                 total,
                 score: Math.round((correct / total) * 100)
             };
         };
 
         const deutanStats = calcScore(deutanResponses);
+        const protanStats = calcScore(protanResponses);
+        const redGreenStats = calcScore(redGreenResponses);
+        const tritanStats = calcScore(tritanResponses);
         const controlStats = calcScore(controlResponses);
-        const overallStats = calcScore(responses);
+        const catchStats = calcScore(catchResponses);
+        const overallStats = calcScore(testResponses);
 
         // Response time analysis
         const validResponseTimes = responses
@@ -318,15 +636,65 @@ const OutlierTestEngine = {
 
         const totalTestTime = (testEndTime - testStartTime) / 1000;
 
-        // Calculate severity
-        const severity = this.calculateSeverity(deutanStats, controlStats);
+        // Calculate severity across both red-green axes
+        // (adaptive blocks: the worse of the red-green threshold estimates)
+        const thresholds = adaptive && staircases && Object.keys(staircases).length > 0
+            ? Object.fromEntries(Object.entries(staircases).map(([family, staircase]) => [family, staircase.getEstimate()]))
+            : null;
+        const redGreenThresholds = thresholds
+            ? [thresholds.deutan, thresholds.protan].filter(Boolean)
+            : [];
+        const threshold = redGreenThresholds.length > 0
+            ? redGreenThresholds.reduce((worse, t) => (t.threshold > worse.threshold ? t : worse))
+            : null;
+        const estimate = threshold
+            ? this.calculateThresholdSeverity(threshold, redGreenStats)
+            : this.calculateSeverity(redGreenStats, controlStats);
+
+        // Protan vs. deutan classification (by threshold only when both axes had a staircase)
+        const deficiencyType = this.classifyDeficiencyType(estimate, protanStats, deutanStats,
+            redGreenThresholds.length === 2 ? thresholds : null);
+
+        // Tritan (blue-yellow) axis is screened separately from red-green severity
+        const tritanScreening = this.calculateTritanScreening(tritanStats, thresholds && thresholds.tritan ? thresholds.tritan : null);
 
         // Difficulty breakdown
-        const difficultyBreakdown = this.calculateDifficultyBreakdown(responses);
+        const difficultyBreakdown = this.calculateDifficultyBreakdown(testResponses);
+
+        // Where the clicks landed relative to the outlier, and whether they follow a guessing strategy
+        const spatial = this.calculateSpatialAccuracy(responses);
+        const { gridSize, outlierSize } = this.mosaic.config;
+        const { clicks, strategy, strategies } = ResponseAnalysis.analyze(responses, { gridSize, outlierSize });
+        const clickPattern = { clicks, strategy, strategies };
+
+        // Unreliable answers replace the severity bucket with 'inconclusive', keeping the estimate
+        const reliability = Reliability.assess(responses, { clickPattern });
+        const severity = reliability.level === 'inconclusive' && estimate.bucket !== 'not-tested'
+            ? this.markInconclusive(estimate)
+            : estimate;
+
+        // Why the test ended; with early stopping, where each severity cutoff's SPRT stood
+        const lastBlock = this.getCurrentBlock();
+        const sequential = lastBlock ? this.getSequentialOptions(lastBlock) : null;
+        const stopping = {
+            reason: this.state.stopReason,
+            description: this.stopDescriptions[this.state.stopReason] || null,
+            plates: responses.length,
+            maxPlates: this.getPlateCount() + this.state.droppedPlates,
+            droppedPlates: this.state.droppedPlates,
+            sequential: sequential ? this.evaluateSequential(sequential) : null
+        };
 
         return {
             mode,
             seed,
+            protocol: { id: protocol.id, name: protocol.name },
+            adaptive,
+            masking,
+            presentation,
+            interTrialInterval,
+            // Tile size and visual angle the plates were shown at (null without a canvas)
+            viewing: this.mosaic.canvas ? this.mosaic.getTileGeometry() : null,
             timestamp: new Date().toISOString(),
 
             overall: {
@@ -339,11 +707,31 @@ const OutlierTestEngine = {
                 responses: deutanResponses
             },
 
+            protan: {
+                ...protanStats,
+                responses: protanResponses
+            },
+
+            redGreen: redGreenStats,
+
+            tritan: {
+                ...tritanStats,
+                ...tritanScreening,
+                responses: tritanResponses
+            },
+
+            deficiencyType,
+
             control: {
                 ...controlStats,
                 responses: controlResponses
             },
 
+            catch: {
+                ...catchStats,
+                responses: catchResponses
+            },
+
             timing: {
                 avgResponseTime: Math.round(avgResponseTime),
                 avgResponseTimeSeconds: (avgResponseTime / 1000).toFixed(2),
@@ -356,8 +744,20 @@ const OutlierTestEngine = {
 
             severity,
 
+            threshold,
+
+            thresholds,
+
             difficultyBreakdown,
 
+            spatial,
+
+            clickPattern,
+
+            reliability,
+
+            stopping,
+
             summary: {
                 skipped: responses.filter(r => r.skipped).length,
                 timedOut: responses.filter(r => r.timeout).length,
@@ -369,50 +769,269 @@ const OutlierTestEngine = {
     },
 
     /**
-     * Calculate severity based on deutan performance ONLY
+     * Click placement: hits, near misses and misses, the mean distance in tiles from the
+     * outlier region, and accuracy as the share of clicks on or next to it
+     */
+    calculateSpatialAccuracy(responses) {
+        const clicks = responses.filter(r => r.distance !== null);
+        const count = outcome => clicks.filter(r => r.outcome === outcome).length;
+        const hits = count('hit');
+        const nearMisses = count('nearMiss');
+
+        return {
+            clicks: clicks.length,
+            hits,
+            nearMisses,
+            misses: count('miss'),
+            nearMissDistance: this.getScoring().nearMiss.distance,
+            meanDistance: clicks.length > 0
+                ? Math.round(Utils.average(clicks.map(r => r.distance)) * 100) / 100
+                : null,
+            accuracy: Utils.percentage(hits + nearMisses, clicks.length)
+        };
+    },
+
+    /**
+     * Calculate severity based on red-green (protan + deutan) performance ONLY
      * (Control plates have been removed)
      */
-    calculateSeverity(deutanStats, controlStats) {
-        // Direct scoring based on deutan plate accuracy
-        const score = deutanStats.score;
+    calculateSeverity(redGreenStats, controlStats) {
+        // No red-green answers (e.g. a tritan-only protocol): nothing to bucket
+        if (redGreenStats.total === 0) {
+            return {
+                value: null,
+                bucket: 'not-tested',
+                description: this.severityDescriptions['not-tested'],
+                confidence: 'low',
+                performanceGap: 0,
+                redGreenScore: null,
+                controlScore: 0
+            };
+        }
+
+        // Direct scoring based on red-green plate accuracy
+        const score = redGreenStats.score;
+
+        // Determine severity bucket: the highest cutoff the score reaches
+        const cutoffs = [...this.getScoring().severity].sort((a, b) => b.minScore - a.minScore);
+        const { bucket, value } = cutoffs.find(c => score >= c.minScore) || cutoffs[cutoffs.length - 1];
+        const description = this.severityDescriptions[bucket];
+
+        // Confidence is now primarily based on sample size
+        let confidence = 'medium';
+        if (redGreenStats.total >= 10) {
+            confidence = 'high';
+        } else if (redGreenStats.total < 5) {
+            confidence = 'low';
+        }
+
+        return {
+            value,
+            bucket,
+            description,
+            confidence,
+            performanceGap: 0, // No longer applicable
+            redGreenScore: redGreenStats.score,
+            controlScore: 0 // No longer applicable
+        };
+    },
+
+    /**
+     * Inconclusive severity; estimatedBucket and value keep what the answers would have given
+     */
+    markInconclusive(severity) {
+        return {
+            ...severity,
+            bucket: 'inconclusive',
+            estimatedBucket: severity.bucket,
+            description: this.severityDescriptions.inconclusive,
+            confidence: 'low'
+        };
+    },
+
+    /**
+     * Calculate severity from the QUEST threshold estimate.
+     * The threshold is the outlier/background separation needed to find the outlier.
+     */
+    calculateThresholdSeverity(threshold, redGreenStats) {
+        const cutoffs = this.getScoring().thresholdSeverity;
+        const estimate = threshold.threshold;
 
-        // Determine severity bucket
-        let bucket, value, description;
+        let bucket;
 
-        if (score >= 90) {
+        if (estimate <= cutoffs.none) {
             bucket = 'none';
-            value = 0;
-            description = 'No significant indicators of red-green color vision deficiency detected';
-        } else if (score >= 75) {
+        } else if (estimate <= cutoffs.mild) {
             bucket = 'mild';
-            value = 25;
-            description = 'Mild indicators of red-green color confusion detected';
-        } else if (score >= 50) {
+        } else if (estimate <= cutoffs.moderate) {
             bucket = 'moderate';
-            value = 55;
-            description = 'Moderate indicators of red-green color vision deficiency detected';
         } else {
             bucket = 'strong';
-            value = 85;
-            description = 'Strong indicators of red-green color vision deficiency detected';
         }
+        const description = this.severityDescriptions[bucket];
 
-        // Confidence is now primarily based on sample size
+        // Confidence from the width of the credible interval (in log units)
+        const logWidth = Math.log10(threshold.ci[1]) - Math.log10(threshold.ci[0]);
         let confidence = 'medium';
-        if (deutanStats.total >= 10) {
+        if (logWidth <= 0.5) {
             confidence = 'high';
-        } else if (deutanStats.total < 5) {
+        } else if (logWidth > 1) {
             confidence = 'low';
         }
 
         return {
-            value,
+            value: Math.round(Utils.clamp(estimate, 0, 1) * 100),
             bucket,
             description,
             confidence,
-            performanceGap: 0, // No longer applicable
+            performanceGap: 0,
+            redGreenScore: redGreenStats.score,
+            controlScore: 0,
+            threshold: threshold.threshold
+        };
+    },
+
+    /**
+     * Classify the red-green deficiency as protan or deutan.
+     * The axis with the worse performance determines the type; small gaps stay unclassified.
+     * Score is the signed gap (positive = protan-like): percentage points, or
+     * log10 threshold ratio in adaptive mode.
+     */
+    classifyDeficiencyType(severity, protanStats, deutanStats, thresholds = null) {
+        let score, margin;
+
+        if (thresholds) {
+            score = thresholds.protan.logThreshold - thresholds.deutan.logThreshold;
+            margin = this.getScoring().thresholdTypeMargin;
+        } else {
+            score = deutanStats.score - protanStats.score;
+            margin = this.getScoring().typeMargin;
+        }
+
+        let type, description;
+
+        if (severity.bucket === 'not-tested') {
+            type = 'not-tested';
+            description = 'No red-green plates were shown';
+        } else if (severity.bucket === 'none') {
+            type = 'none';
+            description = 'No red-green deficiency to classify';
+        } else if (protanStats.total === 0 || deutanStats.total === 0 || Math.abs(score) < margin) {
+            type = 'unclassified';
+            description = 'Red-green deficiency detected, but protan and deutan plates were missed at similar rates';
+        } else if (score > 0) {
+            type = 'protan';
+            description = 'Protan type (reduced red sensitivity): more difficulty on protan-axis plates';
+        } else {
+            type = 'deutan';
+            description = 'Deutan type (reduced green sensitivity): more difficulty on deutan-axis plates';
+        }
+
+        return {
+            type,
+            score: thresholds ? Math.round(score * 100) / 100 : score,
+            protanScore: protanStats.score,
             deutanScore: deutanStats.score,
-            controlScore: 0 // No longer applicable
+            confidence: Math.abs(score) >= margin * 2 ? 'high' : 'low',
+            description
+        };
+    },
+
+    /**
+     * Screen the tritan (blue-yellow) axis.
+     * Uses the QUEST threshold when available, otherwise tritan plate accuracy.
+     */
+    calculateTritanScreening(tritanStats, threshold = null) {
+        const scoring = this.getScoring();
+        let status;
+
+        if (threshold) {
+            const cutoffs = scoring.thresholdSeverity;
+            if (threshold.threshold <= cutoffs.none) {
+                status = 'pass';
+            } else if (threshold.threshold <= cutoffs.mild) {
+                status = 'borderline';
+            } else {
+                status = 'fail';
+            }
+        } else if (tritanStats.total === 0) {
+            status = 'not-tested';
+        } else if (tritanStats.score >= scoring.tritan.pass) {
+            status = 'pass';
+        } else if (tritanStats.score >= scoring.tritan.borderline) {
+            status = 'borderline';
+        } else {
+            status = 'fail';
+        }
+
+        const descriptions = {
+            'not-tested': 'Blue-yellow plates were not included in this test',
+            pass: 'No indicators of blue-yellow (tritan) color confusion detected',
+            borderline: 'Some blue-yellow plates were missed; consider retesting in good lighting',
+            fail: 'Indicators of blue-yellow (tritan) color confusion detected. Tritan deficits are often acquired, so an eye examination is recommended'
+        };
+
+        return {
+            status,
+            description: descriptions[status],
+            threshold: threshold ? threshold.threshold : null
+        };
+    },
+
+    /**
+     * Compare results of the two eyes from the monocular protocol.
+     * Inherited red-green deficiencies are symmetric; a clear interocular difference, or
+     * a blue-yellow fail in one eye only, points to an acquired deficit.
+     */
+    compareEyes(right, left) {
+        const limits = this.config.interocular;
+        const buckets = Constants.severity.buckets;
+        const reasons = [];
+
+        const scoreDifference = Math.abs(right.redGreen.score - left.redGreen.score);
+        if (scoreDifference >= limits.scoreDifference) {
+            reasons.push(`Red-green scores differ by ${scoreDifference} points`);
+        }
+
+        // Inconclusive eyes are compared on the bucket their answers would have given
+        // (an eye without red-green plates has no severity to compare)
+        const bucketOf = results => results.severity.estimatedBucket || results.severity.bucket;
+        const tested = buckets.includes(bucketOf(right)) && buckets.includes(bucketOf(left));
+        const severitySteps = tested ? Math.abs(buckets.indexOf(bucketOf(right)) - buckets.indexOf(bucketOf(left))) : 0;
+        if (severitySteps >= limits.severitySteps) {
+            reasons.push(`Severity differs by ${severitySteps} levels (${bucketOf(right)} right, ${bucketOf(left)} left)`);
+        }
+
+        let logThresholdRatio = null;
+        if (right.threshold && left.threshold) {
+            logThresholdRatio = Math.round(Math.abs(Math.log10(right.threshold.threshold / left.threshold.threshold)) * 100) / 100;
+            if (logThresholdRatio >= limits.logThresholdRatio) {
+                reasons.push(`Red-green thresholds differ by a factor of ${Math.pow(10, logThresholdRatio).toFixed(1)}`);
+            }
+        }
+
+        const tritanStatuses = [right.tritan.status, left.tritan.status];
+        if (tritanStatuses.includes('fail') && tritanStatuses.includes('pass')) {
+            reasons.push('Blue-yellow screening failed in one eye only');
+        }
+
+        // Worse eye: higher severity, then lower red-green score
+        const valueOf = results => results.severity.value ?? -1;
+        const worseEye = valueOf(right) !== valueOf(left)
+            ? (valueOf(right) > valueOf(left) ? 'right' : 'left')
+            : (right.redGreen.score <= left.redGreen.score ? 'right' : 'left');
+        const asymmetric = reasons.length > 0;
+
+        return {
+            asymmetric,
+            reasons,
+            worseEye,
+            scoreDifference,
+            severitySteps,
+            logThresholdRatio,
+            description: asymmetric
+                ? 'The two eyes gave clearly different results. Inherited color vision deficiencies affect both eyes equally, so this may be an acquired deficit; an eye examination is recommended.'
+                : 'Both eyes gave similar results, as expected for inherited color vision.'
         };
     },
 
@@ -443,6 +1062,8 @@ const OutlierTestEngine = {
      */
     stop() {
         this.state.isRunning = false;
+        clearTimeout(this.state.transitionTimer);
+        this.state.transitionTimer = null;
         this.mosaic.stop();
     },
 
@@ -459,7 +1080,25 @@ const OutlierTestEngine = {
             testStartTime: null,
             mode: 'baseline',
             filterParams: null,
-            seed: null
+            seed: null,
+            adaptive: false,
+            masking: null,
+            presentation: null,
+            interTrialInterval: 0,
+            transitionTimer: null,
+            protocol: null,
+            blocks: [],
+            blockIndex: 0,
+            blockStart: 0,
+            blockSchedule: null,
+            catchPositions: [],
+            consecutiveMisses: 0,
+            staircases: null,
+            earlyStopping: null,
+            stopReason: null,
+            redGreenSettled: false,
+            skippedPositions: 0,
+            droppedPlates: 0
         };
     }
 };
@@ -0,0 +1,362 @@
+/**
+ * ColorVision Pro - Plate Providers
+ * One plate interface over the mosaic generators: AnimatedMosaic, MosaicGenerator and the
+ * two ActiveFilterMosaic engines (active-filter-mosaic.js and the older activefilter-mosaic.js,
+ * which share a global name, so only one is ever loaded).
+ *
+ * Every provider implements:
+ *   generate({ family, seed, difficulty, separation, masking }) -> plate
+ *   render(canvas, plate, time)
+ *   hitTest(plate, row, col) -> boolean
+ *   describe(plate) -> plain summary stored with responses
+ * and may set typesRedGreen: false when its protan and deutan plates can't tell the two apart,
+ * so no deficiency type should be read from them.
+ *
+ * Plates share one shape whatever drew them:
+ *   { provider, family, seed, difficulty, separation, deltaE, gridSize,
+ *     palette: { name, background: {h,s,l}, target: {h,s,l} }, targetCells: [{ row, col }], native }
+ * where native is the generator's own plate object.
+ */
+
+const PlateProviders = {
+    /**
+     * Plate families every provider can draw
+     */
+    families: ['deutan', 'protan', 'tritan', 'control'],
+
+    /**
+     * Shared difficulty scale: target/background CIEDE2000 distance; separation 1 = max
+     * (the scale AnimatedMosaic and MosaicGenerator already use)
+     */
+    config: {
+        deltaE: {
+            max: 30,
+            easy: 24,
+            medium: 14,
+            hard: 8
+        }
+    },
+
+    /**
+     * Adapters, keyed by provider id
+     */
+    providers: {
+        animated: {
+            id: 'animated',
+            label: 'AnimatedMosaic',
+
+            isAvailable() {
+                return typeof AnimatedMosaic !== 'undefined';
+            },
+
+            generate({ family, seed, difficulty, separation, masking }) {
+                const native = AnimatedMosaic.generatePlate({ type: family, seed, difficulty, separation, masking });
+                const { gridSize, outlierRow, outlierCol, outlierSize, palette } = native;
+
+                return PlateProviders.createPlate(this, {
+                    family,
+                    seed,
+                    difficulty,
+                    separation,
+                    deltaE: native.deltaE,
+                    gridSize,
+                    palette: { name: palette.name, background: palette.background, target: palette.outlier },
+                    targetCells: PlateProviders.getRegionCells(outlierRow, outlierCol, outlierSize),
+                    native
+                });
+            },
+
+            render(canvas, plate, time = 0) {
+                // The noise field is shared module state; re-seed it for this plate
+                AnimatedMosaic.noise.init(plate.seed);
+                AnimatedMosaic.renderPlateTo(canvas, plate.native, time);
+            },
+
+            hitTest(plate, row, col) {
+                const { outlierRow, outlierCol, outlierSize } = plate.native;
+                return row >= outlierRow && row < outlierRow + outlierSize &&
+                    col >= outlierCol && col < outlierCol + outlierSize;
+            }
+        },
+
+        generator: {
+            id: 'generator',
+            label: 'MosaicGenerator',
+            // MosaicGenerator palette groups by family
+            types: {
+                deutan: 'deutanConfusion',
+                protan: 'protanConfusion',
+                tritan: 'tritanConfusion',
+                control: 'control'
+            },
+
+            isAvailable() {
+                return typeof MosaicGenerator !== 'undefined';
+            },
+
+            generate({ family, seed, difficulty, separation }) {
+                const native = MosaicGenerator.generatePlate({
+                    type: this.types[family],
+                    seed,
+                    difficulty,
+                    deltaE: separation !== null ? separation * PlateProviders.config.deltaE.max : null
+                });
+                const { palette, tileCount, tiles } = native;
+
+                return PlateProviders.createPlate(this, {
+                    family,
+                    seed,
+                    difficulty,
+                    separation,
+                    deltaE: palette.deltaE,
+                    gridSize: tileCount,
+                    // The first variant carries no lightness offset
+                    palette: { name: palette.name, background: palette.background[0], target: palette.target[0] },
+                    targetCells: tiles.filter(tile => tile.isTarget).map(({ row, col }) => ({ row, col })),
+                    native
+                });
+            },
+
+            render(canvas, plate) {
+                MosaicGenerator.renderToCanvas(canvas, plate.native);
+            },
+
+            hitTest(plate, row, col) {
+                const tile = plate.native.tiles[row * plate.gridSize + col];
+                return !!tile && tile.isTarget;
+            }
+        },
+
+        activeFilter: {
+            id: 'activeFilter',
+            label: 'ActiveFilterMosaic',
+            // Test category whose background each family is drawn on
+            categories: {
+                deutan: 'redGreen',
+                protan: 'purpleGreen',
+                tritan: 'purpleBlue',
+                control: 'calibration'
+            },
+            // The red-green background lies where the protan and deutan confusion lines nearly
+            // coincide, so deutan plates collapse for protans too; with the protan plates on a
+            // magenta that anomalous protans still see, protans score as deutans
+            typesRedGreen: false,
+
+            isAvailable() {
+                return typeof ActiveFilterMosaic !== 'undefined' && !!ActiveFilterMosaic.CATEGORIES;
+            },
+
+            generate(options) {
+                const category = this.categories[options.family];
+                return PlateProviders.generateMosaicPlate(this, options, category,
+                    ActiveFilterMosaic.PALETTES[category].background, { category });
+            },
+
+            render(canvas, plate, time = 0) {
+                PlateProviders.renderMosaicPlate(canvas, plate, time);
+            },
+
+            hitTest(plate, row, col) {
+                return PlateProviders.isTargetCell(plate, row, col);
+            }
+        },
+
+        legacyMosaic: {
+            id: 'legacyMosaic',
+            label: 'MosaicTest (activefilter-mosaic.js)',
+
+            isAvailable() {
+                return typeof ActiveFilterMosaic !== 'undefined' && !ActiveFilterMosaic.CATEGORIES;
+            },
+
+            // A single greenish-yellow background serves every family
+            generate(options) {
+                return PlateProviders.generateMosaicPlate(this, options, 'background', ActiveFilterMosaic.PALETTES.background);
+            },
+
+            render(canvas, plate, time = 0) {
+                PlateProviders.renderMosaicPlate(canvas, plate, time);
+            },
+
+            hitTest(plate, row, col) {
+                return PlateProviders.isTargetCell(plate, row, col);
+            }
+        }
+    },
+
+    /**
+     * Provider by id; null if unknown or its generator isn't loaded on this page
+     */
+    get(id) {
+        const provider = this.providers[id];
+        return provider && provider.isAvailable() ? provider : null;
+    },
+
+    /**
+     * Providers whose generator is loaded
+     */
+    list() {
+        return Object.values(this.providers).filter(provider => provider.isAvailable());
+    },
+
+    /**
+     * Generate a plate of any family with any provider
+     */
+    generate(providerId, options = {}) {
+        const provider = this.get(providerId);
+        if (!provider) {
+            throw new Error(`Plate provider not available: ${providerId}`);
+        }
+
+        const {
+            family = 'deutan',
+            seed = Utils.generateSeed(providerId),
+            difficulty = 'medium',
+            separation = null,
+            masking = null
+        } = options;
+        if (!this.families.includes(family)) {
+            throw new Error(`Unknown plate family: ${family}`);
+        }
+
+        return provider.generate({ family, seed, difficulty, separation, masking });
+    },
+
+    render(canvas, plate, time = 0) {
+        this.providers[plate.provider].render(canvas, plate, time);
+    },
+
+    hitTest(plate, row, col) {
+        if (row < 0 || row >= plate.gridSize || col < 0 || col >= plate.gridSize) return false;
+        return this.providers[plate.provider].hitTest(plate, row, col);
+    },
+
+    /**
+     * Plain, storable summary of a plate
+     */
+    describe(plate) {
+        return {
+            provider: plate.provider,
+            family: plate.family,
+            seed: plate.seed,
+            difficulty: plate.difficulty,
+            separation: plate.separation,
+            deltaE: plate.deltaE,
+            gridSize: plate.gridSize,
+            palette: plate.palette.name
+        };
+    },
+
+    /**
+     * Response record in the shared schema
+     * selection: { row, col, responseTime, skipped }; row/col are null when nothing was clicked
+     */
+    createResponse(plate, selection = {}) {
+        const { row = null, col = null, responseTime = null, skipped = false } = selection;
+
+        return {
+            ...this.describe(plate),
+            selectedRow: row,
+            selectedCol: col,
+            isCorrect: !skipped && row !== null && col !== null && this.hitTest(plate, row, col),
+            skipped,
+            responseTime
+        };
+    },
+
+    /**
+     * Accuracy per family, and over both red-green families, from shared-schema responses
+     */
+    summarize(responses) {
+        const stats = list => {
+            const correct = list.filter(r => r.isCorrect).length;
+            return { correct, total: list.length, score: Utils.percentage(correct, list.length) };
+        };
+
+        return {
+            families: Object.fromEntries(this.families.map(family =>
+                [family, stats(responses.filter(r => r.family === family))])),
+            redGreen: stats(responses.filter(r => r.family === 'deutan' || r.family === 'protan')),
+            responses
+        };
+    },
+
+    // ========== Adapter helpers ==========
+
+    /**
+     * Assemble a plate in the shared shape
+     */
+    createPlate(provider, fields) {
+        const toHsl = color => (Array.isArray(color) ? { h: color[0], s: color[1], l: color[2] } : { ...color });
+
+        return {
+            provider: provider.id,
+            ...fields,
+            palette: {
+                name: fields.palette.name,
+                background: toHsl(fields.palette.background),
+                target: toHsl(fields.palette.target)
+            }
+        };
+    },
+
+    getTargetDeltaE(difficulty, separation) {
+        return separation !== null
+            ? separation * this.config.deltaE.max
+            : (this.config.deltaE[difficulty] || this.config.deltaE.medium);
+    },
+
+    getRegionCells(row, col, size) {
+        const cells = [];
+        for (let r = row; r < row + size; r++) {
+            for (let c = col; c < col + size; c++) {
+                cells.push({ row: r, col: c });
+            }
+        }
+        return cells;
+    },
+
+    isTargetCell(plate, row, col) {
+        return plate.targetCells.some(cell => cell.row === row && cell.col === col);
+    },
+
+    /**
+     * Plate from ActiveFilterMosaic.generatePlate: the grid, target placement and animation are
+     * the engine's own for the seed; the target color is on the family's confusion line
+     * (lightness for control) at the requested distance from the engine's background
+     * background is an [h, s, l] triplet, as in the ActiveFilterMosaic palettes
+     */
+    generateMosaicPlate(provider, { family, seed, difficulty, separation }, paletteName, background, plateOptions = {}) {
+        const rng = Utils.createRNG(seed);
+        const backgroundHsl = { h: background[0], s: background[1], l: background[2] };
+        const deltaE = this.getTargetDeltaE(difficulty, separation);
+        const pair = family === 'control'
+            ? Colorimetry.generateLightnessPair({ background: backgroundHsl, deltaE, rng })
+            : Colorimetry.generateConfusionPair({ axis: family, background: backgroundHsl, deltaE, rng });
+        const { h, s, l } = pair.outlier;
+        const native = ActiveFilterMosaic.generatePlate({ ...plateOptions, seed, target: [h, s, l] });
+
+        return this.createPlate(provider, {
+            family,
+            seed,
+            difficulty,
+            separation,
+            deltaE: pair.deltaE,
+            gridSize: native.gridSize,
+            palette: { name: paletteName, background: native.background, target: native.target },
+            targetCells: native.targetCells,
+            native
+        });
+    },
+
+    /**
+     * Draw an ActiveFilterMosaic plate; time advances its animation one step per 60 Hz frame,
+     * as MosaicTest does
+     */
+    renderMosaicPlate(canvas, plate, time = 0) {
+        ActiveFilterMosaic.renderPlate(canvas, plate.native, Math.floor(time / (1000 / 60)));
+    }
+};
+
+// Export
+window.PlateProviders = PlateProviders;
@@ -0,0 +1,367 @@
+/**
+ * ColorVision Pro - Test Protocols
+ * Declarative definitions of the outlier test: which plates are shown in which order,
+ * when a block stops, and how the responses are scored. OutlierTestEngine executes a
+ * protocol; built-in protocols live here, imported ones are saved via Storage.
+ *
+ * A protocol has one test per mode (baseline, tuning, validation), each a list of blocks
+ * run in order. A fixed block shows `plates` plates split between plate families by
+ * share; an adaptive block rotates through its families, each placed by a QUEST
+ * staircase, for at most `plates` plates. See README for the full format.
+ */
+
+const Protocols = {
+    /**
+     * Allowed values
+     */
+    families: ['deutan', 'protan', 'tritan', 'control'],
+    orderings: ['shuffled', 'interleaved', 'grouped'],
+    difficulties: ['easy', 'medium', 'hard'],
+    modes: ['baseline', 'tuning', 'validation'],
+
+    /**
+     * Scoring shared by the built-in protocols
+     */
+    defaultScoring: {
+        // Score mode: first bucket whose minScore the red-green score reaches
+        severity: [
+            { bucket: 'none', minScore: 90, value: 0 },
+            { bucket: 'mild', minScore: 75, value: 25 },
+            { bucket: 'moderate', minScore: 60, value: 55 },
+            { bucket: 'strong', minScore: 0, value: 85 }
+        ],
+        // Threshold mode: upper bound of each bucket's threshold separation,
+        // as a fraction of AnimatedMosaic.config.deltaE.max
+        thresholdSeverity: {
+            none: 0.18,
+            mild: 0.3,
+            moderate: 0.6
+        },
+        // Minimum protan/deutan gap to classify the type: score points, or log10 threshold ratio
+        typeMargin: 15,
+        thresholdTypeMargin: 0.15,
+        // Tritan screening: minimum tritan score to pass, or to be borderline
+        tritan: {
+            pass: Constants.tritan.passThreshold,
+            borderline: Constants.tritan.borderlineThreshold
+        },
+        // Clicks within this many tiles of the outlier are near misses (e.g. a finger one tile off);
+        // countAsCorrect scores them as found. Off by default: it widens the scored target
+        // (3x3 to 5x5 tiles) and so the guess rate, so protocols opt in (e.g. for touch screens)
+        nearMiss: {
+            distance: 1,
+            countAsCorrect: false
+        }
+    },
+
+    /**
+     * Built-in protocols
+     */
+    builtIn: {
+        standard: {
+            id: 'standard',
+            name: 'Standard',
+            description: '16 plates on the deutan, protan and tritan axes, easy to hard, plus 3 catch plates',
+            tests: {
+                baseline: {
+                    blocks: [{
+                        plates: 16,
+                        catch: 3,
+                        families: { deutan: 0.375, protan: 0.375, tritan: 0.25 },
+                        ordering: 'shuffled',
+                        difficulty: [
+                            { until: 0.25, difficulty: 'easy' },
+                            { until: 0.6, difficulty: 'medium' },
+                            { until: 1, difficulty: 'hard' }
+                        ]
+                    }]
+                },
+                tuning: {
+                    blocks: [{
+                        plates: 8,
+                        families: { deutan: 0.375, protan: 0.375, tritan: 0.25 },
+                        ordering: 'shuffled',
+                        difficulty: 'medium'
+                    }]
+                },
+                validation: {
+                    blocks: [{
+                        plates: 12,
+                        families: { deutan: 0.375, protan: 0.375, tritan: 0.25 },
+                        ordering: 'shuffled',
+                        difficulty: 'medium'
+                    }]
+                }
+            }
+        },
+
+        adaptive: {
+            id: 'adaptive',
+            name: 'Adaptive (QUEST)',
+            description: '18 plates on interleaved deutan, protan and tritan staircases, plus 3 catch plates',
+            tests: {
+                baseline: {
+                    blocks: [{
+                        adaptive: true,
+                        plates: 18,
+                        catch: 3,
+                        families: ['deutan', 'protan', 'tritan']
+                    }]
+                }
+            }
+        }
+    },
+
+    /**
+     * Protocol by id (built-in or imported), with defaults filled in; null if unknown
+     */
+    get(id) {
+        const imported = Storage.getProtocols();
+        const protocol = this.builtIn[id] || imported.find(p => p.id === id);
+        return protocol ? this.normalize(protocol) : null;
+    },
+
+    /**
+     * All available protocols (built-in first)
+     */
+    list() {
+        const imported = Storage.getProtocols();
+        return [...Object.values(this.builtIn), ...imported.filter(p => !this.builtIn[p.id])]
+            .map(protocol => this.normalize(protocol));
+    },
+
+    /**
+     * Fill in default scoring; modes without a test fall back to the baseline test
+     */
+    normalize(protocol) {
+        const scoring = protocol.scoring || {};
+
+        return {
+            ...protocol,
+            tests: Object.fromEntries(this.modes.map(mode =>
+                [mode, (protocol.tests && protocol.tests[mode]) || protocol.tests.baseline])),
+            scoring: {
+                ...this.defaultScoring,
+                ...scoring,
+                thresholdSeverity: { ...this.defaultScoring.thresholdSeverity, ...scoring.thresholdSeverity },
+                tritan: { ...this.defaultScoring.tritan, ...scoring.tritan },
+                nearMiss: { ...this.defaultScoring.nearMiss, ...scoring.nearMiss }
+            }
+        };
+    },
+
+    /**
+     * Check a protocol definition; throws an Error listing every problem
+     */
+    validate(protocol) {
+        const errors = [];
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+        if (!protocol || typeof protocol !== 'object') {
+            throw new Error('Protocol must be a JSON object');
+        }
+        if (typeof protocol.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(protocol.id)) {
+            errors.push('id must be letters, digits, - or _');
+        }
+        if (typeof protocol.name !== 'string' || !protocol.name) {
+            errors.push('name is required');
+        }
+        if (!protocol.tests || !protocol.tests.baseline) {
+            errors.push('tests.baseline is required');
+        }
+
+        Object.entries(protocol.tests || {}).forEach(([mode, test]) => {
+            if (!this.modes.includes(mode)) {
+                errors.push(`tests.${mode}: unknown mode (use ${this.modes.join(', ')})`);
+                return;
+            }
+            if (!test || !Array.isArray(test.blocks) || test.blocks.length === 0) {
+                errors.push(`tests.${mode}.blocks must be a non-empty list`);
+                return;
+            }
+
+            test.blocks.forEach((block, i) => {
+                const at = `tests.${mode}.blocks[${i}]`;
+                const stopping = block.stopping || {};
+
+                if (!isPositiveInteger(block.plates)) {
+                    errors.push(`${at}.plates must be a positive integer`);
+                }
+                if (block.catch !== undefined && !(Number.isInteger(block.catch) && block.catch >= 0)) {
+                    errors.push(`${at}.catch must be a whole number of plates`);
+                }
+                if (stopping.consecutiveMisses !== undefined && !isPositiveInteger(stopping.consecutiveMisses)) {
+                    errors.push(`${at}.stopping.consecutiveMisses must be a positive integer`);
+                }
+                if (stopping.minPlates !== undefined && !isPositiveInteger(stopping.minPlates)) {
+                    errors.push(`${at}.stopping.minPlates must be a positive integer`);
+                }
+                if (stopping.sprt !== undefined && block.adaptive) {
+                    errors.push(`${at}.stopping.sprt applies to fixed blocks (adaptive blocks stop on ciWidth)`);
+                } else if (stopping.sprt !== undefined && typeof stopping.sprt !== 'boolean') {
+                    const isRate = value => value > 0 && value < 0.5;
+                    const isObject = stopping.sprt !== null && typeof stopping.sprt === 'object';
+                    const { alpha, beta, indifference } = SequentialTest.getOptions(isObject ? stopping.sprt : {});
+                    if (!isObject || ![alpha, beta, indifference].every(isRate)) {
+                        errors.push(`${at}.stopping.sprt must be true, false or { alpha, beta, indifference }, each between 0 and 0.5`);
+                    }
+                }
+
+                if (block.adaptive) {
+                    const families = Array.isArray(block.families) ? block.families : [];
+                    if (families.length === 0 || families.some(f => !this.families.includes(f) || f === 'control')) {
+                        errors.push(`${at}.families must list deutan, protan and/or tritan`);
+                    }
+                    if (stopping.ciWidth !== undefined && !(stopping.ciWidth > 0)) {
+                        errors.push(`${at}.stopping.ciWidth must be a positive number`);
+                    }
+                    return;
+                }
+
+                const shares = block.families && typeof block.families === 'object' && !Array.isArray(block.families)
+                    ? Object.entries(block.families)
+                    : [];
+                if (shares.length === 0 || shares.some(([f, share]) => !this.families.includes(f) || !(share >= 0))
+                    || shares.every(([, share]) => share === 0)) {
+                    errors.push(`${at}.families must map ${this.families.join(', ')} to shares`);
+                }
+                if (block.ordering !== undefined && !this.orderings.includes(block.ordering)) {
+                    errors.push(`${at}.ordering must be one of ${this.orderings.join(', ')}`);
+                }
+                if (block.separation !== undefined && !(block.separation > 0 && block.separation <= 1)) {
+                    errors.push(`${at}.separation must be between 0 and 1`);
+                }
+
+                const schedule = Array.isArray(block.difficulty) ? block.difficulty : [{ until: 1, difficulty: block.difficulty || 'medium' }];
+                if (schedule.length === 0 || schedule.some(step => !this.difficulties.includes(step.difficulty) || !(step.until > 0))) {
+                    errors.push(`${at}.difficulty must be ${this.difficulties.join(', ')} or a list of { until, difficulty }`);
+                }
+            });
+
+            // Severity is scored on red-green plates only
+            const hasRedGreen = test.blocks.some(block => (Array.isArray(block.families)
+                ? block.families.some(f => f === 'deutan' || f === 'protan')
+                : !!block.families && (block.families.deutan > 0 || block.families.protan > 0)));
+            if (!hasRedGreen) {
+                errors.push(`tests.${mode} needs deutan or protan plates to estimate red-green severity`);
+            }
+        });
+
+        const scoring = protocol.scoring || {};
+        if (scoring.severity !== undefined) {
+            const buckets = Constants.severity.buckets;
+            const isCutoff = s => buckets.includes(s.bucket) && typeof s.minScore === 'number' && typeof s.value === 'number';
+            if (!Array.isArray(scoring.severity) || !scoring.severity.every(isCutoff)) {
+                errors.push(`scoring.severity must list { bucket, minScore, value } with bucket one of ${buckets.join(', ')}`);
+            } else if (!scoring.severity.some(s => s.minScore <= 0)) {
+                errors.push('scoring.severity needs a bucket with minScore 0');
+            }
+        }
+        if (scoring.nearMiss !== undefined) {
+            const { distance = 1, countAsCorrect = false } = scoring.nearMiss || {};
+            if (!Number.isInteger(distance) || distance < 0 || typeof countAsCorrect !== 'boolean') {
+                errors.push('scoring.nearMiss must be { distance, countAsCorrect } with distance a whole number of tiles');
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid protocol: ${errors.join('; ')}`);
+        }
+        return protocol;
+    },
+
+    /**
+     * Parse, validate and save a protocol from JSON text
+     */
+    import(text) {
+        let protocol;
+        try {
+            protocol = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Protocol file is not valid JSON');
+        }
+
+        this.validate(protocol);
+        if (this.builtIn[protocol.id]) {
+            throw new Error(`Invalid protocol: id "${protocol.id}" is reserved for a built-in protocol`);
+        }
+
+        Storage.saveProtocol(protocol);
+        return this.normalize(protocol);
+    },
+
+    /**
+     * Plates of a fixed block in presentation order: { type, difficulty, separation }
+     */
+    buildSchedule(block, seed) {
+        const rng = Utils.createRNG(seed);
+        const entries = Object.entries(block.families).filter(([, share]) => share > 0);
+        const total = entries.reduce((sum, [, share]) => sum + share, 0);
+
+        // Largest-remainder rounding so the counts add up to the block size
+        const exact = entries.map(([family, share]) => [family, block.plates * share / total]);
+        const counts = Object.fromEntries(exact.map(([family, count]) => [family, Math.floor(count)]));
+        let remaining = block.plates - Object.values(counts).reduce((a, b) => a + b, 0);
+        [...exact]
+            .sort((a, b) => (b[1] % 1) - (a[1] % 1))
+            .forEach(([family]) => {
+                if (remaining > 0) {
+                    counts[family]++;
+                    remaining--;
+                }
+            });
+
+        let types;
+        switch (block.ordering || 'shuffled') {
+            case 'grouped':
+                types = entries.flatMap(([family]) => Array(counts[family]).fill(family));
+                break;
+            case 'interleaved':
+                types = [];
+                while (types.length < block.plates) {
+                    entries.forEach(([family]) => {
+                        if (counts[family] > 0) {
+                            types.push(family);
+                            counts[family]--;
+                        }
+                    });
+                }
+                break;
+            default:
+                types = Utils.shuffleArray(entries.flatMap(([family]) => Array(counts[family]).fill(family)), rng);
+        }
+
+        const schedule = Array.isArray(block.difficulty)
+            ? block.difficulty
+            : [{ until: 1, difficulty: block.difficulty || 'medium' }];
+
+        return types.map((type, index) => {
+            const progress = index / block.plates;
+            const step = schedule.find(s => progress < s.until) || schedule[schedule.length - 1];
+            return {
+                type,
+                difficulty: step.difficulty,
+                separation: block.separation !== undefined ? block.separation : null
+            };
+        });
+    },
+
+    /**
+     * Positions of a block's catch plates among all its plates, in order
+     */
+    buildCatchPositions(block, seed) {
+        const total = block.plates + (block.catch || 0);
+        const positions = Array.from({ length: total }, (_, i) => i);
+        return Utils.shuffleArray(positions, Utils.createRNG(seed)).slice(0, block.catch || 0).sort((a, b) => a - b);
+    },
+
+    /**
+     * Maximum number of plates in a list of blocks, catch plates included
+     */
+    getPlateCount(blocks) {
+        return blocks.reduce((sum, block) => sum + block.plates + (block.catch || 0), 0);
+    }
+};
+
+// Export
+window.Protocols = Protocols;
@@ -0,0 +1,132 @@
+/**
+ * ColorVision Pro - Psychometric Function Fitting
+ * Maximum-likelihood Weibull fits to detection trials.
+ *
+ * p(correct) = gamma + (1 - gamma - lapse) * (1 - exp(-(x / threshold)^slope))
+ *
+ * Intensities are CIEDE2000 distances. The guess rate is fixed; threshold, slope
+ * and lapse are found by grid search, and the threshold's 95% confidence interval
+ * is the likelihood-ratio interval of its profile likelihood.
+ */
+
+const Psychometric = (function() {
+    'use strict';
+
+    // ============================================
+    // Configuration
+    // ============================================
+    const DEFAULTS = {
+        gamma: 0.03,            // Guess rate (fixed)
+
+        // Threshold grid (log10 domain)
+        thresholdMin: 0.5,
+        thresholdMax: 60,
+        thresholdSteps: 80,
+
+        // Slope and lapse grids
+        slopes: [1, 1.5, 2, 3, 4, 6, 8],
+        lapses: [0, 0.02, 0.05, 0.1],
+
+        // Chi-square (1 df) critical value for the 95% interval
+        criticalValue: 3.84
+    };
+
+    /**
+     * Weibull probability of a correct response at intensity x
+     */
+    function pCorrect(x, threshold, slope, lapse, gamma) {
+        return gamma + (1 - gamma - lapse) * (1 - Math.exp(-Math.pow(x / threshold, slope)));
+    }
+
+    /**
+     * Group trials ({ intensity, correct }) by intensity as { intensity, n, correct } counts
+     */
+    function aggregate(trials) {
+        const groups = new Map();
+        for (const trial of trials) {
+            const group = groups.get(trial.intensity) || { intensity: trial.intensity, n: 0, correct: 0 };
+            group.n++;
+            if (trial.correct) group.correct++;
+            groups.set(trial.intensity, group);
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Log likelihood of aggregated trials (see aggregate)
+     */
+    function logLikelihood(groups, threshold, slope, lapse, gamma) {
+        let total = 0;
+        for (const group of groups) {
+            const p = Utils.clamp(pCorrect(group.intensity, threshold, slope, lapse, gamma), 1e-9, 1 - 1e-9);
+            total += group.correct * Math.log(p) + (group.n - group.correct) * Math.log(1 - p);
+        }
+        return total;
+    }
+
+    /**
+     * Fit threshold, slope and lapse to trials
+     * Returns null when there are no trials
+     */
+    function fit(trials, options = {}) {
+        if (!Array.isArray(trials) || trials.length === 0) return null;
+
+        const opts = { ...DEFAULTS, ...options };
+        const { gamma, slopes, lapses, thresholdSteps, criticalValue } = opts;
+        const logMin = Math.log10(opts.thresholdMin);
+        const logMax = Math.log10(opts.thresholdMax);
+        const groups = aggregate(trials);
+
+        // Profile likelihood of each threshold (maximized over slope and lapse)
+        const profile = [];
+        let best = { logL: -Infinity };
+
+        for (let i = 0; i <= thresholdSteps; i++) {
+            const threshold = Math.pow(10, logMin + (logMax - logMin) * i / thresholdSteps);
+            let profileLogL = -Infinity;
+
+            for (const slope of slopes) {
+                for (const lapse of lapses) {
+                    const logL = logLikelihood(groups, threshold, slope, lapse, gamma);
+                    if (logL > profileLogL) profileLogL = logL;
+                    if (logL > best.logL) {
+                        best = { logL, threshold, slope, lapse };
+                    }
+                }
+            }
+
+            profile.push({ threshold, logL: profileLogL });
+        }
+
+        // Likelihood-ratio interval around the best threshold
+        const cutoff = best.logL - criticalValue / 2;
+        const inside = profile.filter(point => point.logL >= cutoff);
+
+        return {
+            threshold: best.threshold,
+            slope: best.slope,
+            lapse: best.lapse,
+            ci: [inside[0].threshold, inside[inside.length - 1].threshold],
+            logLikelihood: best.logL,
+            trials: trials.length,
+            // The estimate sits on the edge of the grid (e.g. no misses at all)
+            bounded: best.threshold === profile[0].threshold ? 'below'
+                : best.threshold === profile[profile.length - 1].threshold ? 'above'
+                : null
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        fit,
+        pCorrect,
+        aggregate,
+        logLikelihood,
+        DEFAULTS
+    };
+})();
+
+// Export
+window.Psychometric = Psychometric;
@@ -0,0 +1,159 @@
+/**
+ * ColorVision Pro - QUEST Staircase
+ * Bayesian adaptive threshold estimation (Watson & Pelli, 1983).
+ *
+ * Keeps a posterior over the log10 discrimination threshold on a fixed grid and
+ * places each new trial at the posterior mean. Intensities are outlier/background
+ * separations in (0, 1], as a fraction of the mosaic's maximum CIEDE2000 distance.
+ */
+
+const QuestStaircase = (function() {
+    'use strict';
+
+    // ============================================
+    // Configuration
+    // ============================================
+    const DEFAULTS = {
+        // Prior over log10 threshold
+        priorMean: -0.7,        // ~0.2 separation
+        priorSd: 0.5,
+
+        // Weibull psychometric function
+        beta: 3.5,              // Slope
+        gamma: 0.03,            // Guess rate (chance of hitting the 3x3 outlier by accident)
+        delta: 0.02,            // Lapse rate
+
+        // Posterior grid (log10 threshold domain)
+        gridMin: -2,
+        gridMax: 0.5,           // Allows thresholds beyond the strongest plate
+        grain: 0.01,
+
+        // Presentable intensity range
+        minIntensity: 0.03,
+        maxIntensity: 1
+    };
+
+    // ============================================
+    // Staircase Class
+    // ============================================
+    class Staircase {
+        constructor(options = {}) {
+            this.options = { ...DEFAULTS, ...options };
+            this.trials = [];
+
+            const { gridMin, gridMax, grain, priorMean, priorSd } = this.options;
+            this.grid = [];
+            this.posterior = [];
+
+            for (let t = gridMin; t <= gridMax + grain / 2; t += grain) {
+                this.grid.push(t);
+                const z = (t - priorMean) / priorSd;
+                this.posterior.push(Math.exp(-0.5 * z * z));
+            }
+
+            this.normalize();
+        }
+
+        /**
+         * Probability of a correct response at log intensity x for log threshold t
+         */
+        pCorrect(x, t) {
+            const { beta, gamma, delta } = this.options;
+            return gamma + (1 - gamma - delta) * (1 - Math.exp(-Math.pow(10, beta * (x - t))));
+        }
+
+        /**
+         * Rescale the posterior so it sums to 1
+         */
+        normalize() {
+            const total = this.posterior.reduce((a, b) => a + b, 0);
+            if (total > 0) {
+                this.posterior = this.posterior.map(p => p / total);
+            }
+        }
+
+        /**
+         * Posterior mean of the log threshold
+         */
+        mean() {
+            return this.grid.reduce((sum, t, i) => sum + t * this.posterior[i], 0);
+        }
+
+        /**
+         * Posterior standard deviation of the log threshold
+         */
+        sd() {
+            const mean = this.mean();
+            const variance = this.grid.reduce(
+                (sum, t, i) => sum + Math.pow(t - mean, 2) * this.posterior[i], 0
+            );
+            return Math.sqrt(variance);
+        }
+
+        /**
+         * Log threshold at the given posterior quantile
+         */
+        quantile(q) {
+            let cumulative = 0;
+            for (let i = 0; i < this.grid.length; i++) {
+                cumulative += this.posterior[i];
+                if (cumulative >= q) return this.grid[i];
+            }
+            return this.grid[this.grid.length - 1];
+        }
+
+        /**
+         * Intensity to present on the next trial
+         */
+        nextIntensity() {
+            const { minIntensity, maxIntensity } = this.options;
+            return Utils.clamp(Math.pow(10, this.mean()), minIntensity, maxIntensity);
+        }
+
+        /**
+         * Update the posterior with the outcome of a trial
+         */
+        update(intensity, isCorrect) {
+            const x = Math.log10(Math.max(intensity, 1e-6));
+
+            this.posterior = this.posterior.map((p, i) => {
+                const pc = this.pCorrect(x, this.grid[i]);
+                return p * (isCorrect ? pc : 1 - pc);
+            });
+            this.normalize();
+
+            this.trials.push({ intensity, isCorrect: !!isCorrect });
+        }
+
+        /**
+         * Current threshold estimate with a 95% credible interval
+         */
+        getEstimate() {
+            const logThreshold = this.mean();
+            return {
+                threshold: Math.pow(10, logThreshold),
+                logThreshold,
+                sd: this.sd(),
+                ci: [Math.pow(10, this.quantile(0.025)), Math.pow(10, this.quantile(0.975))],
+                trials: this.trials.length
+            };
+        }
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        /**
+         * Create a new staircase instance
+         */
+        create(options) {
+            return new Staircase(options);
+        },
+
+        DEFAULTS
+    };
+})();
+
+// Export
+window.QuestStaircase = QuestStaircase;
@@ -0,0 +1,340 @@
+/**
+ * ColorVision Pro - Rayleigh Match Engine
+ * Anomaloscope-like matching task on a split field: the top half is a red/green mixture,
+ * the bottom half a yellow of adjustable luminance. The user sets both halves to match,
+ * then pushes the mixture as far toward red and toward green as a match still holds.
+ *
+ * Scales follow the Nagel anomaloscope: mixture 0 (green) to 73 (red), yellow 0 to 87.
+ * The display primaries are not spectral lights, so an anomalous trichromat's midpoint
+ * does not shift the way it does on a Nagel; the width of the matching range is what
+ * carries the anomaly, and it is converted to a severity with CVDSimulation.
+ */
+
+const RayleighMatchEngine = {
+    /**
+     * Test state
+     */
+    state: {
+        isRunning: false,
+        stepIndex: 0,
+        mixture: 0,
+        yellow: 0,
+        settings: [],
+        stepStartTime: null,
+        testStartTime: null
+    },
+
+    /**
+     * Configuration
+     */
+    config: {
+        mixtureMax: 73,
+        yellowMax: 87,
+        // Mixture a standard observer matches to the yellow, and the yellow that matches it
+        normalMidpoint: 40,
+        normalYellow: 43.5,
+        // Linear RGB of the full red and green primaries; green is scaled to the same luminance
+        primaryScale: 0.8,
+        greenBalance: 0.2126 / 0.7152,
+        // Settings in order: free matches, then the red and green ends of the matching range
+        steps: ['match', 'match', 'red-limit', 'green-limit', 'red-limit', 'green-limit'],
+        // CIEDE2000 difference a normal observer still accepts as a match
+        matchTolerance: 2.5,
+        // Yellow at the red end relative to the green end below which the match is protan
+        protanLuminanceRatio: 0.8,
+        // Mixture span needed before the luminance settings are used to type the deficiency
+        minTypingSpan: 10,
+        severityIterations: 20
+    },
+
+    /**
+     * Instructions for each kind of setting
+     */
+    instructions: {
+        'match': 'Adjust both sliders until the two halves look exactly the same',
+        'red-limit': 'Move the mixture as far toward red as you can while the halves still match (adjust the yellow brightness as needed)',
+        'green-limit': 'Move the mixture as far toward green as you can while the halves still match (adjust the yellow brightness as needed)'
+    },
+
+    /**
+     * Callbacks
+     */
+    callbacks: {
+        onStepStart: null,
+        onTestComplete: null
+    },
+
+    /**
+     * Canvas and context
+     */
+    canvas: null,
+    ctx: null,
+
+    /**
+     * Initialize the engine
+     */
+    init(canvasElement, options = {}) {
+        const { callbacks = {} } = options;
+
+        this.canvas = canvasElement;
+        this.ctx = canvasElement ? canvasElement.getContext('2d') : null;
+        this.callbacks = { ...this.callbacks, ...callbacks };
+
+        return this;
+    },
+
+    /**
+     * Start the test
+     */
+    start(seed = Utils.generateSeed()) {
+        this.state = {
+            isRunning: true,
+            stepIndex: 0,
+            mixture: 0,
+            yellow: 0,
+            settings: [],
+            stepStartTime: null,
+            testStartTime: Date.now(),
+            seed,
+            rng: Utils.createRNG(seed)
+        };
+
+        this.startStep();
+    },
+
+    /**
+     * Begin the current setting from a random mixture and yellow
+     */
+    startStep() {
+        const { rng, stepIndex } = this.state;
+        const { mixtureMax, yellowMax, steps } = this.config;
+
+        this.state.mixture = Math.round(rng() * mixtureMax);
+        this.state.yellow = Math.round(rng() * yellowMax);
+        this.state.stepStartTime = Date.now();
+        this.render();
+
+        if (this.callbacks.onStepStart) {
+            this.callbacks.onStepStart({
+                kind: steps[stepIndex],
+                instruction: this.instructions[steps[stepIndex]],
+                mixture: this.state.mixture,
+                yellow: this.state.yellow
+            }, stepIndex, steps.length);
+        }
+    },
+
+    setMixture(value) {
+        this.state.mixture = Utils.clamp(Number(value), 0, this.config.mixtureMax);
+        this.render();
+    },
+
+    setYellow(value) {
+        this.state.yellow = Utils.clamp(Number(value), 0, this.config.yellowMax);
+        this.render();
+    },
+
+    /**
+     * Accept the current setting as a match and move on
+     */
+    confirmMatch() {
+        if (!this.state.isRunning) return null;
+
+        const { steps } = this.config;
+        this.state.settings.push({
+            kind: steps[this.state.stepIndex],
+            mixture: this.state.mixture,
+            yellow: this.state.yellow,
+            responseTime: Date.now() - this.state.stepStartTime
+        });
+
+        this.state.stepIndex++;
+        if (this.state.stepIndex < steps.length) {
+            this.startStep();
+            return null;
+        }
+
+        this.state.isRunning = false;
+        const results = this.calculateResults();
+
+        if (this.callbacks.onTestComplete) {
+            this.callbacks.onTestComplete(results);
+        }
+
+        return results;
+    },
+
+    // ========== Colors ==========
+
+    /**
+     * Linear RGB of the red/green mixture at a mixture setting
+     */
+    mixtureLinear(mixture) {
+        const { mixtureMax, primaryScale, greenBalance } = this.config;
+        const red = mixture / mixtureMax;
+        return [primaryScale * red, primaryScale * (1 - red) * greenBalance, 0];
+    },
+
+    /**
+     * Linear RGB of the yellow at a yellow setting
+     * Its chromaticity is that of the normal match; normalYellow gives the same luminance
+     */
+    yellowLinear(yellow) {
+        const scale = yellow / this.config.normalYellow;
+        return this.mixtureLinear(this.config.normalMidpoint).map(c => c * scale);
+    },
+
+    toHsl(linear) {
+        return Colorimetry.rgbToHsl(Colorimetry.linearToRgb(linear));
+    },
+
+    // ========== Rendering ==========
+
+    render() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const cx = width / 2;
+        const cy = height / 2;
+        const radius = Math.min(width, height) * 0.4;
+        const fill = linear => {
+            const rgb = DisplayCalibration.correctRgb(Colorimetry.linearToRgb(linear));
+            return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+        };
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, width, height);
+
+        // Mixture on top, yellow below
+        ctx.fillStyle = fill(this.mixtureLinear(this.state.mixture));
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, Math.PI, 0);
+        ctx.fill();
+
+        ctx.fillStyle = fill(this.yellowLinear(this.state.yellow));
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI);
+        ctx.fill();
+
+        // Thin dividing line, as in the anomaloscope eyepiece
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(cx - radius, cy - 1, radius * 2, 2);
+    },
+
+    // ========== Scoring ==========
+
+    /**
+     * Calculate results from the recorded settings
+     */
+    calculateResults() {
+        const { settings } = this.state;
+        const limits = kind => settings.filter(s => s.kind === kind).map(s => s.mixture);
+        const matches = limits('match');
+        const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+        // The range spans the averaged limits and every free match
+        const ends = [Utils.average(limits('green-limit')), Utils.average(limits('red-limit'))];
+        const min = Math.min(...ends, ...matches);
+        const max = Math.max(...ends, ...matches);
+        const midpoint = (min + max) / 2;
+        const { normalMidpoint, mixtureMax } = this.config;
+
+        const deficiencyType = this.classifyMatch(settings, max - min);
+        const anomalySeverity = this.estimateSeverity(min, max,
+            deficiencyType.type === 'protan' ? 'protan' : 'deutan');
+        const bucket = CVDSimulation.bucketForSeverity(anomalySeverity);
+
+        return {
+            mode: 'rayleigh',
+            seed: this.state.seed,
+            timestamp: new Date().toISOString(),
+            midpoint: round(midpoint),
+            range: { min: round(min), max: round(max), width: round(max - min) },
+            // Green/red ratio of the midpoint relative to the normal match
+            anomalousQuotient: midpoint > 0 && midpoint < mixtureMax
+                ? round(((mixtureMax - midpoint) / midpoint) / ((mixtureMax - normalMidpoint) / normalMidpoint), 2)
+                : null,
+            deficiencyType: bucket === 'none'
+                ? { type: 'none', description: 'Matches only near the normal midpoint', yellowRatio: deficiencyType.yellowRatio }
+                : deficiencyType,
+            anomalySeverity: round(anomalySeverity, 2),
+            severity: {
+                value: Math.round(anomalySeverity * 100),
+                bucket,
+                description: bucket === 'none'
+                    ? 'Matching range within normal limits'
+                    : `Matching range of ${round(max - min)} units suggests ${bucket} anomaly`
+            },
+            settings: settings.map(s => ({ ...s })),
+            timing: {
+                totalTestTime: Math.round((Date.now() - this.state.testStartTime) / 1000)
+            }
+        };
+    },
+
+    /**
+     * Type the deficiency from the yellow luminance set along the range
+     * A protan sees the red end dimmer and sets the yellow lower there
+     */
+    classifyMatch(settings, span) {
+        const { mixtureMax, minTypingSpan, protanLuminanceRatio } = this.config;
+
+        // Least-squares line of yellow against mixture
+        const n = settings.length;
+        const meanM = Utils.average(settings.map(s => s.mixture));
+        const meanY = Utils.average(settings.map(s => s.yellow));
+        let sxy = 0;
+        let sxx = 0;
+        settings.forEach(s => {
+            sxy += (s.mixture - meanM) * (s.yellow - meanY);
+            sxx += (s.mixture - meanM) ** 2;
+        });
+        const slope = n > 1 && sxx > 0 ? sxy / sxx : 0;
+        const greenEnd = meanY - slope * meanM;
+        const redEnd = greenEnd + slope * mixtureMax;
+        const yellowRatio = greenEnd > 0 ? Math.round(Math.max(redEnd, 0) / greenEnd * 100) / 100 : null;
+
+        if (span < minTypingSpan || yellowRatio === null) {
+            return { type: 'unclassified', description: 'Matching range too narrow to type from luminance', yellowRatio };
+        }
+        if (yellowRatio < protanLuminanceRatio) {
+            return { type: 'protan', description: 'Red end of the range matched with a dimmer yellow', yellowRatio };
+        }
+        return { type: 'deutan', description: 'Wide matching range with normal luminance settings', yellowRatio };
+    },
+
+    /**
+     * Severity (0-1) at which the simulated observer sees the range ends as close to the
+     * midpoint as a normal observer's match tolerance
+     */
+    estimateSeverity(min, max, type) {
+        const { matchTolerance, severityIterations } = this.config;
+        const midpoint = this.toHsl(this.mixtureLinear((min + max) / 2));
+        const ends = [min, max].map(m => this.toHsl(this.mixtureLinear(m)));
+        const distance = severity => Utils.average(ends.map(end =>
+            CVDSimulation.checkCollapse(midpoint, end, type, severity).simulatedDeltaE));
+
+        if (distance(0) <= matchTolerance) return 0;
+        if (distance(1) > matchTolerance) return 1;
+
+        let lo = 0;
+        let hi = 1;
+        for (let i = 0; i < severityIterations; i++) {
+            const mid = (lo + hi) / 2;
+            if (distance(mid) > matchTolerance) lo = mid; else hi = mid;
+        }
+
+        return (lo + hi) / 2;
+    },
+
+    /**
+     * Stop the test
+     */
+    stop() {
+        this.state.isRunning = false;
+    }
+};
+
+// Export
+window.RayleighMatchEngine = RayleighMatchEngine;
@@ -0,0 +1,141 @@
+/**
+ * ColorVision Pro - Result Reliability
+ * Decides whether an outlier test's answers can carry a severity estimate. Answers that
+ * fail catch plates (which anyone should see), skip almost everything, come implausibly
+ * fast, or miss easy plates while finding hard ones make the result inconclusive; a
+ * guessing click pattern makes it low-reliability. Either way the reasons are listed.
+ */
+
+const Reliability = {
+    /**
+     * Configuration
+     */
+    config: {
+        // Plates any attentive observer finds, whatever their color vision
+        catchFamilies: ['catch', 'control'],
+        minCatchPlates: 2,
+        minCatchScore: 60,          // Percent of catch plates found
+        maxSkipShare: 0.8,          // "I can't tell" on this share of plates or more
+        fastResponseTime: 400,      // ms; no one finds the outlier this quickly
+        maxFastShare: 0.3,          // Share of clicks faster than fastResponseTime
+        // Easy-plate errors alongside hard-plate successes, within the same families
+        minEasyErrors: 2,
+        minHardHits: 2
+    },
+
+    /**
+     * Assess outlier-test responses; clickPattern is the ResponseAnalysis result, if any
+     * Returns { level: 'normal' | 'low' | 'inconclusive', reasons: [{ id, effect, description }], recommendation }
+     */
+    assess(responses, options = {}) {
+        const { clickPattern = null } = options;
+
+        const reasons = [
+            this.checkCatchPlates(responses),
+            this.checkSkips(responses),
+            this.checkFastResponses(responses),
+            this.checkDifficultyMismatch(responses)
+        ].filter(Boolean);
+
+        if (clickPattern) {
+            clickPattern.strategies.forEach(strategy => reasons.push({
+                id: `click-${strategy.id}`,
+                effect: 'low',
+                description: `${strategy.label} on ${Math.round(strategy.share * 100)}% of clicks`
+            }));
+        }
+
+        let level = 'normal';
+        if (reasons.some(reason => reason.effect === 'inconclusive')) {
+            level = 'inconclusive';
+        } else if (reasons.length > 0) {
+            level = 'low';
+        }
+
+        return {
+            level,
+            reasons,
+            recommendation: level === 'normal'
+                ? null
+                : 'Retake the test in a quiet moment, taking time to look at each plate before answering'
+        };
+    },
+
+    /**
+     * Catch plates (see config.catchFamilies) found too rarely
+     */
+    checkCatchPlates(responses) {
+        const { catchFamilies, minCatchPlates, minCatchScore } = this.config;
+        const catchResponses = responses.filter(r => catchFamilies.includes(r.plateType));
+        if (catchResponses.length < minCatchPlates) return null;
+
+        const found = catchResponses.filter(r => r.isCorrect).length;
+        const score = Utils.percentage(found, catchResponses.length);
+        if (score >= minCatchScore) return null;
+
+        return {
+            id: 'catch-failed',
+            effect: 'inconclusive',
+            description: `Only ${found} of ${catchResponses.length} plates that anyone can see were found`
+        };
+    },
+
+    checkSkips(responses) {
+        const skipped = responses.filter(r => r.skipped).length;
+        if (responses.length === 0 || skipped / responses.length < this.config.maxSkipShare) return null;
+
+        return {
+            id: 'too-many-skips',
+            effect: 'inconclusive',
+            description: `"I can't tell" on ${skipped} of ${responses.length} plates`
+        };
+    },
+
+    checkFastResponses(responses) {
+        const clicks = responses.filter(r => !r.skipped && !r.timeout);
+        const fast = clicks.filter(r => r.responseTime < this.config.fastResponseTime).length;
+        if (clicks.length === 0 || fast / clicks.length <= this.config.maxFastShare) return null;
+
+        return {
+            id: 'fast-responses',
+            effect: 'inconclusive',
+            description: `${fast} of ${clicks.length} answers came in under ${this.config.fastResponseTime} ms`
+        };
+    },
+
+    /**
+     * Easy plates missed while hard plates of the same family were found:
+     * counted over the families whose hard plates scored better than their easy ones
+     */
+    checkDifficultyMismatch(responses) {
+        const { catchFamilies, minEasyErrors, minHardHits } = this.config;
+        const families = [...new Set(responses.map(r => r.plateType))]
+            .filter(family => !catchFamilies.includes(family));
+
+        let easyErrors = 0;
+        let hardHits = 0;
+        families.forEach(family => {
+            const easy = responses.filter(r => r.plateType === family && r.difficulty === 'easy');
+            const hard = responses.filter(r => r.plateType === family && r.difficulty === 'hard');
+            if (easy.length === 0 || hard.length === 0) return;
+
+            const easyFound = easy.filter(r => r.isCorrect).length;
+            const hardFound = hard.filter(r => r.isCorrect).length;
+            if (hardFound / hard.length > easyFound / easy.length) {
+                easyErrors += easy.length - easyFound;
+                hardHits += hardFound;
+            }
+        });
+
+        if (easyErrors < minEasyErrors || hardHits < minHardHits) return null;
+
+        return {
+            id: 'difficulty-mismatch',
+            effect: 'inconclusive',
+            description: `${easyErrors} easy plates missed while ${hardHits} hard plates were found`
+        };
+    }
+};
+
+// Export
+window.Reliability = Reliability;
@@ -0,0 +1,225 @@
+/**
+ * ColorVision Pro - Response Analysis
+ * Aggregates where a session's clicks landed on the mosaic grid, against where the
+ * outliers were, and looks for click strategies that point to guessing: clicking the
+ * centre, a corner, or the same square plate after plate.
+ */
+
+const ResponseAnalysis = {
+    /**
+     * Configuration
+     */
+    config: {
+        minClicks: 8,           // Fewer clicks than this are not enough to call a strategy
+        regionSize: 4,          // Centre and corner regions are regionSize x regionSize tiles
+        regionShare: 0.5,       // Share of clicks in one region that counts as a strategy...
+        missShare: 0.5,         // ...when at least this share of them missed the outlier
+        sameTileShare: 0.4,     // Share of clicks on one square that counts as a strategy
+        colors: {
+            outlier: [40, 167, 69],     // Outlier coverage, as AnimatedMosaic feedback green
+            click: [255, 193, 7],       // Clicks, as the replay's selection color
+            grid: 'rgba(255, 255, 255, 0.08)'
+        }
+    },
+
+    /**
+     * Strategy descriptions
+     */
+    strategyLabels: {
+        center: 'Clicked the centre of the plate',
+        corner: 'Clicked a corner of the plate',
+        sameTile: 'Clicked the same square'
+    },
+
+    /**
+     * Analyze outlier-test responses (rawResponses)
+     * Responses need selectedRow/selectedCol for clicks, and outlierRow/outlierCol for the outlier map
+     */
+    analyze(responses, options = {}) {
+        const {
+            gridSize = AnimatedMosaic.config.gridSize,
+            outlierSize = AnimatedMosaic.config.outlierSize
+        } = options;
+
+        const clicks = responses.filter(r => r.selectedRow != null && r.selectedCol != null);
+        const strategies = this.detectStrategies(clicks, gridSize);
+
+        return {
+            gridSize,
+            plates: responses.length,
+            clicks: clicks.length,
+            heatmap: this.buildHeatmap(responses, gridSize, outlierSize),
+            // Strongest strategy first
+            strategy: strategies[0] || null,
+            strategies
+        };
+    },
+
+    /**
+     * Per-tile counts: clicks, and plates whose outlier region covered the tile
+     */
+    buildHeatmap(responses, gridSize, outlierSize) {
+        const grid = () => Array.from({ length: gridSize }, () => new Array(gridSize).fill(0));
+        const clicks = grid();
+        const outliers = grid();
+
+        responses.forEach(r => {
+            if (r.selectedRow != null && r.selectedCol != null) {
+                clicks[r.selectedRow][r.selectedCol]++;
+            }
+            if (r.outlierRow != null && r.outlierCol != null) {
+                for (let row = r.outlierRow; row < Math.min(r.outlierRow + outlierSize, gridSize); row++) {
+                    for (let col = r.outlierCol; col < Math.min(r.outlierCol + outlierSize, gridSize); col++) {
+                        outliers[row][col]++;
+                    }
+                }
+            }
+        });
+
+        const max = table => Math.max(0, ...table.map(row => Math.max(...row)));
+
+        return {
+            clicks,
+            outliers,
+            maxClicks: max(clicks),
+            maxOutliers: max(outliers)
+        };
+    },
+
+    /**
+     * Regions a guessing strategy would click: the centre and the four corners
+     */
+    getRegions(gridSize) {
+        const size = Math.min(this.config.regionSize, gridSize);
+        const center = Math.floor((gridSize - size) / 2);
+        const far = gridSize - size;
+
+        return [
+            { id: 'center', row: center, col: center, size },
+            { id: 'corner', name: 'top-left', row: 0, col: 0, size },
+            { id: 'corner', name: 'top-right', row: 0, col: far, size },
+            { id: 'corner', name: 'bottom-left', row: far, col: 0, size },
+            { id: 'corner', name: 'bottom-right', row: far, col: far, size }
+        ];
+    },
+
+    /**
+     * Click strategies that explain most clicks without finding the outlier
+     * Returns [{ id, label, region, clicks, share, missShare }], strongest first
+     */
+    detectStrategies(clicks, gridSize) {
+        const { minClicks, regionShare, missShare, sameTileShare } = this.config;
+        if (clicks.length < minClicks) return [];
+
+        const strategies = [];
+        const describe = (id, region, list) => {
+            const misses = list.filter(r => !r.isCorrect).length;
+            return {
+                id,
+                label: this.strategyLabels[id],
+                region,
+                clicks: list.length,
+                share: Math.round((list.length / clicks.length) * 100) / 100,
+                missShare: Math.round((misses / list.length) * 100) / 100
+            };
+        };
+
+        this.getRegions(gridSize).forEach(region => {
+            const inRegion = clicks.filter(r =>
+                r.selectedRow >= region.row && r.selectedRow < region.row + region.size &&
+                r.selectedCol >= region.col && r.selectedCol < region.col + region.size);
+            if (inRegion.length === 0) return;
+
+            const strategy = describe(region.id, region, inRegion);
+            if (strategy.share >= regionShare && strategy.missShare >= missShare) {
+                strategies.push(strategy);
+            }
+        });
+
+        // The most-clicked square
+        const byTile = {};
+        clicks.forEach(r => {
+            const key = `${r.selectedRow},${r.selectedCol}`;
+            (byTile[key] = byTile[key] || []).push(r);
+        });
+        const [tile, onTile] = Object.entries(byTile).sort((a, b) => b[1].length - a[1].length)[0];
+        const [row, col] = tile.split(',').map(Number);
+        const sameTile = describe('sameTile', { row, col, size: 1 }, onTile);
+        if (sameTile.share >= sameTileShare && sameTile.missShare >= missShare) {
+            strategies.push(sameTile);
+        }
+
+        return strategies.sort((a, b) => b.share - a.share);
+    },
+
+    /**
+     * Draw a heatmap: outlier coverage in green, clicks as yellow dots sized by count
+     */
+    renderHeatmap(canvas, analysis) {
+        const ctx = canvas.getContext('2d');
+        const { gridSize, heatmap } = analysis;
+        const tileSize = canvas.width / gridSize;
+        const { colors } = this.config;
+
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        for (let row = 0; row < gridSize; row++) {
+            for (let col = 0; col < gridSize; col++) {
+                const x = col * tileSize;
+                const y = row * tileSize;
+
+                const outliers = heatmap.outliers[row][col];
+                if (outliers > 0) {
+                    const alpha = 0.15 + 0.6 * (outliers / heatmap.maxOutliers);
+                    ctx.fillStyle = `rgba(${colors.outlier.join(', ')}, ${alpha.toFixed(2)})`;
+                    ctx.fillRect(x, y, tileSize, tileSize);
+                }
+
+                ctx.strokeStyle = colors.grid;
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + 0.5, y + 0.5, tileSize - 1, tileSize - 1);
+
+                const clicks = heatmap.clicks[row][col];
+                if (clicks > 0) {
+                    const radius = (tileSize / 2 - 1) * Math.sqrt(clicks / heatmap.maxClicks);
+                    ctx.fillStyle = `rgba(${colors.click.join(', ')}, 0.9)`;
+                    ctx.beginPath();
+                    ctx.arc(x + tileSize / 2, y + tileSize / 2, Math.max(radius, 2), 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        }
+
+        // Outline the region of the detected strategy
+        if (analysis.strategy) {
+            const { region } = analysis.strategy;
+            ctx.strokeStyle = 'rgba(220, 53, 69, 0.9)';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(region.col * tileSize + 1.5, region.row * tileSize + 1.5,
+                region.size * tileSize - 3, region.size * tileSize - 3);
+        }
+    },
+
+    /**
+     * One-line summary of the analysis
+     */
+    describe(analysis) {
+        if (analysis.clicks === 0) return 'No squares were clicked.';
+
+        const base = `${analysis.clicks} clicks on ${analysis.plates} plates.`;
+        if (!analysis.strategy) {
+            return analysis.clicks < this.config.minClicks
+                ? `${base} Too few clicks to look for a guessing pattern.`
+                : `${base} No guessing pattern found.`;
+        }
+
+        const { label, region, share, missShare } = analysis.strategy;
+        const where = region.name ? ` (${region.name})` : '';
+        return `${base} ${label}${where} on ${Math.round(share * 100)}% of clicks, ` +
+            `${Math.round(missShare * 100)}% of them off the outlier: likely guessing.`;
+    }
+};
+
+// Export
+window.ResponseAnalysis = ResponseAnalysis;
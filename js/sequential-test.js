@@ -0,0 +1,81 @@
+/**
+ * ColorVision Pro - Sequential Stopping
+ * Ends a test once its severity bucket is settled. Every cutoff between adjacent buckets
+ * gets a sequential probability ratio test (SPRT) on the red-green answers so far: accuracy
+ * a little above the cutoff against accuracy a little below it. Once the cutoffs on both
+ * sides of one bucket are decided, further plates are unlikely to change the bucket.
+ */
+
+const SequentialTest = {
+    /**
+     * Configuration
+     */
+    config: {
+        alpha: 0.1,             // Chance of deciding "below" a cutoff the observer is above
+        beta: 0.1,              // Chance of deciding "above" a cutoff the observer is below
+        indifference: 0.2,      // The two hypotheses sit this far (accuracy) either side of a cutoff
+        minPlates: 6            // Plates shown before the test may stop early
+    },
+
+    /**
+     * Options with defaults filled in; true means all defaults
+     */
+    getOptions(options = true) {
+        return { ...this.config, ...(options === true ? {} : options) };
+    },
+
+    /**
+     * Log-likelihood ratio of `correct` of `total` answers: "below cutoff" against "above cutoff"
+     * Hypotheses are kept inside [0.01, 0.99] so one lapse or lucky guess is never decisive on its own
+     */
+    logLikelihoodRatio(correct, total, cutoff, indifference) {
+        const below = Utils.clamp(cutoff - indifference, 0.01, 0.99);
+        const above = Utils.clamp(cutoff + indifference, 0.01, 0.99);
+        return correct * Math.log(below / above) +
+            (total - correct) * Math.log((1 - below) / (1 - above));
+    },
+
+    /**
+     * Test every cutoff between adjacent buckets
+     * buckets: [{ bucket, minAccuracy }], minAccuracy 0–1 (the lowest bucket has 0)
+     * Returns { settled, bucket, correct, total, cutoffs: [{ above, below, cutoff, llr, decision }] },
+     * decision 'above', 'below' or null while undecided; bucket is null until settled
+     */
+    evaluate(correct, total, buckets, options = true) {
+        const { alpha, beta, indifference } = this.getOptions(options);
+        const acceptBelow = Math.log((1 - beta) / alpha);
+        const acceptAbove = Math.log(beta / (1 - alpha));
+
+        const sorted = [...buckets].sort((a, b) => b.minAccuracy - a.minAccuracy);
+        const cutoffs = sorted.slice(0, -1).map((upper, i) => {
+            const llr = this.logLikelihoodRatio(correct, total, upper.minAccuracy, indifference);
+            let decision = null;
+            if (llr >= acceptBelow) decision = 'below';
+            else if (llr <= acceptAbove) decision = 'above';
+
+            return {
+                above: upper.bucket,
+                below: sorted[i + 1].bucket,
+                cutoff: upper.minAccuracy,
+                llr: Math.round(llr * 100) / 100,
+                decision
+            };
+        });
+
+        // Settled on the bucket whose upper cutoff is decided "below" and lower cutoff "above"
+        const settled = sorted.find((_, i) =>
+            (i === 0 || cutoffs[i - 1].decision === 'below') &&
+            (i === cutoffs.length || cutoffs[i].decision === 'above'));
+
+        return {
+            settled: !!settled,
+            bucket: settled ? settled.bucket : null,
+            correct,
+            total,
+            cutoffs
+        };
+    }
+};
+
+// Export
+window.SequentialTest = SequentialTest;
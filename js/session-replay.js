@@ -0,0 +1,216 @@
+/**
+ * ColorVision Pro - Session Replay
+ * Regenerates the plates of a past session from their stored seeds and shows each one
+ * with where the user clicked and where the outlier was, so a reviewer can see what
+ * was actually on screen. Works with stored sessions and exported JSON files.
+ */
+
+const SessionReplay = {
+    /**
+     * Replay state
+     */
+    state: {
+        session: null,
+        tests: [],
+        testIndex: 0,
+        trialIndex: 0
+    },
+
+    /**
+     * Overlay colors (as in AnimatedMosaic.showFeedback)
+     */
+    config: {
+        correctColor: '#28a745',
+        wrongColor: '#dc3545',
+        selectionColor: 'rgba(255, 193, 7, 0.8)'
+    },
+
+    /**
+     * Callbacks
+     */
+    callbacks: {
+        onShow: null
+    },
+
+    /**
+     * Canvas the plates are drawn on
+     */
+    canvas: null,
+
+    /**
+     * Initialize the replay on a canvas
+     */
+    init(canvasElement, options = {}) {
+        const { callbacks = {} } = options;
+
+        this.canvas = canvasElement;
+        this.callbacks = { ...this.callbacks, ...callbacks };
+
+        return this;
+    },
+
+    /**
+     * Outlier tests in a session (stored or exported) that can be replayed
+     * Per-eye blocks replace the baseline, which is a copy of the worse eye
+     */
+    getTests(session) {
+        const toTest = (id, label, results) => results ? {
+            id,
+            label,
+            adaptive: results.adaptive || false,
+            masking: results.masking || null,
+            // Only outlier responses carry a plate seed
+            trials: (results.rawResponses || results.responses || []).filter(r => r.plateSeed != null)
+        } : null;
+
+        const eyes = session.monocular
+            ? [toTest('right', 'Right eye', session.monocular.right), toTest('left', 'Left eye', session.monocular.left)]
+            : [];
+        const baseline = eyes.some(test => test && test.trials.length > 0)
+            ? eyes
+            : [toTest('baseline', 'Baseline', session.baseline)];
+
+        return [...baseline, toTest('validation', 'Validation', session.validation)]
+            .filter(test => test && test.trials.length > 0);
+    },
+
+    /**
+     * Load a session; returns the number of replayable tests
+     */
+    load(session) {
+        this.state = {
+            session,
+            tests: this.getTests(session),
+            testIndex: 0,
+            trialIndex: 0
+        };
+
+        if (this.state.tests.length > 0) this.show();
+        return this.state.tests.length;
+    },
+
+    /**
+     * Regenerate the plate a trial was shown
+     */
+    regeneratePlate(trial, test) {
+        // Responses stored before targetSeparation was recorded: adaptive plates
+        // fall back to the achieved separation
+        const separation = trial.targetSeparation !== undefined
+            ? trial.targetSeparation
+            : (test.adaptive ? trial.separation : null);
+
+        return AnimatedMosaic.generatePlate({
+            type: trial.plateType,
+            seed: trial.plateSeed,
+            difficulty: trial.difficulty,
+            separation,
+            masking: test.masking
+        });
+    },
+
+    /**
+     * Click heatmap and guessing strategies of a test (the current one by default)
+     * Sessions stored before outlier positions were recorded get them from the regenerated plates
+     */
+    analyze(test = this.state.tests[this.state.testIndex]) {
+        const trials = test.trials.map(trial => {
+            if (trial.outlierRow != null) return trial;
+            const { outlierRow, outlierCol } = this.regeneratePlate(trial, test);
+            return { ...trial, outlierRow, outlierCol };
+        });
+
+        return ResponseAnalysis.analyze(trials);
+    },
+
+    selectTest(index) {
+        this.state.testIndex = Utils.clamp(Number(index), 0, this.state.tests.length - 1);
+        this.state.trialIndex = 0;
+        this.show();
+    },
+
+    next() {
+        this.show(this.state.trialIndex + 1);
+    },
+
+    previous() {
+        this.show(this.state.trialIndex - 1);
+    },
+
+    /**
+     * Show a trial of the current test
+     */
+    show(index = this.state.trialIndex) {
+        const test = this.state.tests[this.state.testIndex];
+        if (!test) return;
+
+        this.state.trialIndex = Utils.clamp(index, 0, test.trials.length - 1);
+        const trial = test.trials[this.state.trialIndex];
+        const plate = this.regeneratePlate(trial, test);
+
+        if (this.canvas) this.render(this.canvas, plate, trial);
+
+        if (this.callbacks.onShow) {
+            this.callbacks.onShow(this.describe(trial, plate), this.state.trialIndex, test.trials.length, test);
+        }
+    },
+
+    /**
+     * Display profile the session was taken with (null if uncalibrated)
+     * Sessions stored before the profile was recorded fall back to the current one
+     */
+    getDisplayProfile() {
+        const { session } = this.state;
+        return session && session.displayProfile !== undefined
+            ? session.displayProfile
+            : DisplayCalibration.getProfile();
+    },
+
+    /**
+     * Draw the plate with the outlier region and the clicked tile outlined
+     */
+    render(canvas, plate, trial) {
+        AnimatedMosaic.renderPlateTo(canvas, plate, 0, this.getDisplayProfile());
+
+        const ctx = canvas.getContext('2d');
+        const tileSize = canvas.width / plate.gridSize;
+
+        ctx.strokeStyle = trial.isCorrect ? this.config.correctColor : this.config.wrongColor;
+        ctx.lineWidth = 3;
+        ctx.strokeRect(
+            plate.outlierCol * tileSize,
+            plate.outlierRow * tileSize,
+            plate.outlierSize * tileSize,
+            plate.outlierSize * tileSize
+        );
+
+        if (trial.selectedRow != null && trial.selectedCol != null) {
+            ctx.strokeStyle = this.config.selectionColor;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(trial.selectedCol * tileSize, trial.selectedRow * tileSize, tileSize, tileSize);
+        }
+    },
+
+    /**
+     * Summary of a trial for display
+     */
+    describe(trial, plate) {
+        let outcome;
+        if (trial.skipped) outcome = "Can't tell";
+        else if (trial.timeout) outcome = 'Timed out';
+        else if (trial.outcome === 'nearMiss') outcome = trial.isCorrect ? 'Near miss (scored correct)' : 'Near miss';
+        else outcome = trial.isCorrect ? 'Correct' : 'Missed';
+
+        return {
+            plateType: trial.plateType,
+            difficulty: trial.difficulty,
+            palette: trial.paletteUsed || plate.palette.name,
+            responseTime: trial.responseTime,
+            outcome,
+            clicked: trial.selectedRow != null && trial.selectedCol != null,
+            deltaE: plate.deltaE
+        };
+    }
+};
+
+// Export
+window.SessionReplay = SessionReplay;
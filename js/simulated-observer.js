@@ -0,0 +1,150 @@
+/**
+ * ColorVision Pro - Simulated Observer
+ * A synthetic test taker for validating the test engines.
+ *
+ * The observer sees each background/target pair through CVDSimulation at its own
+ * type and severity, and detects the target with a Weibull probability of the
+ * simulated CIEDE2000 distance. Lapses produce a random response; targets that
+ * are not seen either get a "can't tell" or a random guess.
+ */
+
+const SimulatedObserver = (function() {
+    'use strict';
+
+    // ============================================
+    // Configuration
+    // ============================================
+    const DEFAULTS = {
+        type: 'normal',         // 'normal', 'protan', 'deutan' or 'tritan'
+        severity: 0,            // 0 (normal vision) to 1 (dichromacy)
+
+        // Weibull detection of the simulated distance
+        threshold: 3,           // CIEDE2000 distance seen 63% of the time
+        beta: 3.5,              // Slope
+
+        lapseRate: 0.02,        // Chance of a random response whatever the stimulus
+        giveUpRate: 0.6,        // Chance of "can't tell" (rather than a guess) when nothing is seen
+
+        // Log-normal response times (ms)
+        responseTime: {
+            median: 2500,
+            sigma: 0.4,
+            missFactor: 1.8     // Searching for a target that isn't seen takes longer
+        },
+
+        seed: null
+    };
+
+    /**
+     * Result bucket for a simulation severity: the nearest CVDSimulation.bucketSeverity entry
+     */
+    function bucketFor(severity) {
+        return CVDSimulation.bucketForSeverity(severity);
+    }
+
+    // ============================================
+    // Observer Class
+    // ============================================
+    class Observer {
+        constructor(options = {}) {
+            this.options = {
+                ...DEFAULTS,
+                ...options,
+                responseTime: { ...DEFAULTS.responseTime, ...options.responseTime }
+            };
+            this.rng = Utils.createRNG(this.options.seed !== null ? this.options.seed : Utils.generateSeed());
+        }
+
+        /**
+         * The observer's true condition, for comparison with test results
+         */
+        getTruth() {
+            const { type, severity } = this.options;
+            const affected = type !== 'normal' && severity > 0;
+
+            return {
+                type: affected ? type : 'normal',
+                severity: affected ? severity : 0,
+                bucket: affected ? bucketFor(severity) : 'none'
+            };
+        }
+
+        /**
+         * CIEDE2000 distance between two { h, s, l } colors as this observer sees them
+         */
+        perceivedDeltaE(background, target) {
+            const { type, severity } = this.options;
+            return CVDSimulation.checkCollapse(background, target, type, severity).simulatedDeltaE;
+        }
+
+        /**
+         * Probability of seeing a target at the given perceived distance (ignoring lapses)
+         */
+        detectionProbability(deltaE) {
+            const { threshold, beta } = this.options;
+            return 1 - Math.exp(-Math.pow(deltaE / threshold, beta));
+        }
+
+        /**
+         * Respond to a background/target pair
+         * Outcome is 'seen', 'guess' or 'cant-tell'
+         */
+        respond(background, target) {
+            const deltaE = this.perceivedDeltaE(background, target);
+
+            let outcome;
+            if (this.rng() < this.options.lapseRate) {
+                outcome = 'guess';
+            } else if (this.rng() < this.detectionProbability(deltaE)) {
+                outcome = 'seen';
+            } else {
+                outcome = this.rng() < this.options.giveUpRate ? 'cant-tell' : 'guess';
+            }
+
+            return {
+                outcome,
+                deltaE,
+                responseTime: this.sampleResponseTime(outcome === 'seen')
+            };
+        }
+
+        /**
+         * Draw a response time from the log-normal distribution
+         */
+        sampleResponseTime(seen) {
+            const { median, sigma, missFactor } = this.options.responseTime;
+
+            // Box-Muller
+            const u = Math.max(this.rng(), 1e-12);
+            const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.rng());
+
+            return Math.round(median * Math.exp(sigma * z) * (seen ? 1 : missFactor));
+        }
+
+        /**
+         * Random integer in [0, n)
+         */
+        randomInt(n) {
+            return Math.floor(this.rng() * n);
+        }
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        /**
+         * Create a new observer
+         */
+        create(options) {
+            return new Observer(options);
+        },
+
+        bucketFor,
+
+        DEFAULTS
+    };
+})();
+
+// Export
+window.SimulatedObserver = SimulatedObserver;
@@ -0,0 +1,497 @@
+/**
+ * ColorVision Pro - Simulation Harness
+ * Runs the test engines end-to-end against populations of SimulatedObservers
+ * and reports how their severity buckets classify users of known type and severity.
+ */
+
+const SimulationHarness = {
+    /**
+     * Configuration
+     */
+    config: {
+        populationSize: 1000,
+        batchSize: 20,          // Users per batch before yielding to the UI
+        // Share of simulated users per type; affected users get a uniform severity in (0, 1]
+        population: {
+            normal: 0.25,
+            deutan: 0.3,
+            protan: 0.3,
+            tritan: 0.15
+        },
+        // Engine buckets that correspond to a differently named simulation bucket
+        bucketAliases: {
+            'very mild': 'mild',
+            severe: 'strong'
+        },
+        plateFailureExamples: 10   // Failing plates listed per engine in the report
+    },
+
+    /**
+     * Engines the harness can run
+     */
+    engines: {
+        outlier: {
+            label: 'OutlierTestEngine',
+            scoreLabel: 'Red-green score (%)'
+        },
+        outlierEarly: {
+            label: 'OutlierTestEngine (early stopping)',
+            scoreLabel: 'Red-green score (%)'
+        },
+        adaptive: {
+            label: 'OutlierTestEngine (QUEST)',
+            scoreLabel: 'Threshold (% of max ΔE)'
+        },
+        legacy: {
+            label: 'TestEngine',
+            scoreLabel: 'Red-green score (%)'
+        },
+        legacyEarly: {
+            label: 'TestEngine (early stopping)',
+            scoreLabel: 'Red-green score (%)'
+        },
+        activeFilter: {
+            label: 'ActiveFilterMosaic',
+            scoreLabel: 'Red-green threshold (ΔE)'
+        },
+        // The standard protocol's baseline plates, drawn by each generator (see PlateProviders)
+        animatedPlates: {
+            label: 'AnimatedMosaic plates',
+            scoreLabel: 'Red-green score (%)',
+            provider: 'animated'
+        },
+        generatorPlates: {
+            label: 'MosaicGenerator plates',
+            scoreLabel: 'Red-green score (%)',
+            provider: 'generator'
+        },
+        activeFilterPlates: {
+            label: 'ActiveFilterMosaic plates',
+            scoreLabel: 'Red-green score (%)',
+            provider: 'activeFilter'
+        }
+    },
+
+    /**
+     * Build observer options for a population with a known type mix
+     */
+    createPopulation(options = {}) {
+        const {
+            count = this.config.populationSize,
+            mix = this.config.population,
+            seed = Utils.generateSeed(),
+            observer = {}
+        } = options;
+
+        const rng = Utils.createRNG(seed);
+        const types = Object.keys(mix);
+        const total = types.reduce((sum, type) => sum + mix[type], 0);
+
+        const population = [];
+        for (let i = 0; i < count; i++) {
+            // Pick a type in proportion to the mix
+            let pick = rng() * total;
+            let type = types[types.length - 1];
+            for (const candidate of types) {
+                pick -= mix[candidate];
+                if (pick < 0) {
+                    type = candidate;
+                    break;
+                }
+            }
+
+            population.push({
+                ...observer,
+                type,
+                severity: type === 'normal' ? 0 : 1 - rng(),
+                seed: Math.floor(rng() * 4294967296)
+            });
+        }
+
+        return population;
+    },
+
+    /**
+     * Empty tally of plate checks for one run (see checkPlate)
+     */
+    createPlateChecks() {
+        return { checked: 0, failed: 0, failures: [] };
+    },
+
+    /**
+     * Check a shown plate against the CVD simulation: its outlier must collapse for the family's
+     * dichromat and stay visible to the others (CVDSimulation.checkSeparation). Failures are
+     * tallied, not thrown, so the report can list every generator that breaks the check.
+     * Control, catch and calibration plates have no confusion family and are skipped
+     */
+    checkPlate(checks, family, background, outlier, label) {
+        if (!CVDSimulation.rivals[family]) return;
+
+        const { passed, failures } = CVDSimulation.checkSeparation(background, outlier, family);
+        checks.checked++;
+        if (!passed) {
+            checks.failed++;
+            const failure = `${family} ${label}: ${failures.join('; ')}`;
+            if (checks.failures.length < this.config.plateFailureExamples && !checks.failures.includes(failure)) {
+                checks.failures.push(failure);
+            }
+        }
+    },
+
+    /**
+     * An AnimatedMosaic that tracks plates without a canvas
+     */
+    createHeadlessMosaic() {
+        return Object.assign(Object.create(AnimatedMosaic), {
+            canvas: null,
+            ctx: null,
+            state: {
+                ...AnimatedMosaic.state,
+                isRunning: false,
+                isPaused: false,
+                currentPlate: null,
+                animationFrame: null
+            }
+        });
+    },
+
+    /**
+     * Run OutlierTestEngine for one observer
+     */
+    runOutlierTest(observer, options = {}) {
+        const {
+            adaptive = false,
+            protocol = adaptive ? 'adaptive' : 'standard',
+            earlyStopping = null,
+            mosaic = this.createHeadlessMosaic()
+        } = options;
+        let results = null;
+        const plateChecks = this.createPlateChecks();
+
+        OutlierTestEngine.init({
+            mosaic,
+            protocol,
+            earlyStopping,
+            seed: Utils.deriveSeed(observer.options.seed, 'outlier'),
+            callbacks: { onTestComplete: (r) => { results = r; } }
+        });
+        OutlierTestEngine.start();
+
+        while (OutlierTestEngine.state.isRunning) {
+            const plate = OutlierTestEngine.getCurrentPlate();
+            const { background, outlier } = plate.palette;
+            this.checkPlate(plateChecks, plate.type, background, outlier,
+                `'${plate.palette.name}' at ΔE ${plate.deltaE.toFixed(1)}`);
+            const response = observer.respond(background, outlier);
+
+            if (response.outcome === 'seen') {
+                OutlierTestEngine.handleSelection(
+                    plate.outlierRow + observer.randomInt(plate.outlierSize),
+                    plate.outlierCol + observer.randomInt(plate.outlierSize),
+                    response.responseTime
+                );
+            } else if (response.outcome === 'cant-tell') {
+                OutlierTestEngine.handleCantTell(response.responseTime);
+            } else {
+                OutlierTestEngine.handleSelection(
+                    observer.randomInt(plate.gridSize),
+                    observer.randomInt(plate.gridSize),
+                    response.responseTime
+                );
+            }
+        }
+
+        return {
+            bucket: results.severity.bucket,
+            type: results.deficiencyType.type,
+            tritan: results.tritan.status,
+            score: adaptive ? results.severity.value : results.redGreen.score,
+            plates: results.stopping.plates,
+            plateChecks,
+            results
+        };
+    },
+
+    /**
+     * Run TestEngine (legacy number/letter/shape plates) for one observer
+     */
+    runTestEngine(observer, options = {}) {
+        const { earlyStopping = null } = options;
+        let results = null;
+        const plateChecks = this.createPlateChecks();
+
+        TestEngine.init({
+            mode: 'baseline',
+            earlyStopping,
+            seed: Utils.deriveSeed(observer.options.seed, 'legacy'),
+            callbacks: { onTestComplete: (r) => { results = r; } }
+        });
+        TestEngine.start();
+
+        while (TestEngine.state.isRunning) {
+            const plate = TestEngine.getCurrentPlate();
+            const { palette } = plate;
+            this.checkPlate(plateChecks, palette.axis, palette.background[0], palette.target[0],
+                `'${palette.name}' at ΔE ${palette.deltaE.toFixed(1)}`);
+            const response = observer.respond(palette.background[0], palette.target[0]);
+
+            if (response.outcome === 'seen') {
+                TestEngine.recordResponse(plate.target.value, response.responseTime);
+            } else if (response.outcome === 'cant-tell') {
+                TestEngine.skipPlate(response.responseTime);
+            } else {
+                const { options } = MosaicGenerator.getAnswerOptions(plate, observer.rng);
+                const guesses = options.filter(option => option !== 'none');
+                TestEngine.recordResponse(guesses[observer.randomInt(guesses.length)], response.responseTime);
+            }
+        }
+
+        return {
+            bucket: results.severity.bucket,
+            type: null,
+            tritan: results.tritan.status,
+            score: results.redGreen.score,
+            plates: results.stopping.plates,
+            plateChecks,
+            results
+        };
+    },
+
+    /**
+     * Run an ActiveFilterMosaic test instance for one observer
+     */
+    runActiveFilter(observer, test) {
+        test.start(Utils.deriveSeed(observer.options.seed, 'active-filter'));
+
+        const { gridSize } = ActiveFilterMosaic.CONFIG;
+        const plateChecks = this.createPlateChecks();
+
+        while (test.isRunning) {
+            const stimulus = test.getStimulus();
+            if (stimulus.category !== -1) {
+                const { id } = ActiveFilterMosaic.CATEGORIES[stimulus.category];
+                this.checkPlate(plateChecks, ActiveFilterMosaic.PALETTES[id].axis, stimulus.background, stimulus.target,
+                    `'${id}' level ${stimulus.level + 1}`);
+            }
+            const response = observer.respond(stimulus.background, stimulus.target);
+
+            if (response.outcome === 'seen') {
+                test.selectTile(stimulus.row, stimulus.col);
+            } else if (response.outcome === 'cant-tell') {
+                test.skipLevel();
+            } else {
+                test.selectTile(observer.randomInt(gridSize), observer.randomInt(gridSize));
+            }
+        }
+
+        const results = test.getResults();
+        const { thresholds } = results.diagnosis;
+
+        return {
+            bucket: results.diagnosis.severity,
+            type: results.diagnosis.type,
+            tritan: null,
+            score: Math.max(thresholds.redGreen || 0, thresholds.purpleGreen || 0),
+            plateChecks,
+            results
+        };
+    },
+
+    /**
+     * Run one protocol block's plates from a plate provider for one observer
+     * Every provider gets the same schedule and seeds, and is scored like the outlier test
+     */
+    runPlateProvider(observer, providerId, options = {}) {
+        const { block = Protocols.get('standard').tests.baseline.blocks[0] } = options;
+        const seed = Utils.deriveSeed(observer.options.seed, 'plates');
+        const plateChecks = this.createPlateChecks();
+
+        const responses = Protocols.buildSchedule(block, seed).map(({ type, difficulty, separation }, index) => {
+            const plate = PlateProviders.generate(providerId, {
+                family: type,
+                seed: Utils.deriveSeed(seed, `plate-${index}`),
+                difficulty,
+                separation
+            });
+            this.checkPlate(plateChecks, plate.family, plate.palette.background, plate.palette.target,
+                `'${plate.palette.name}' at ΔE ${plate.deltaE.toFixed(1)}`);
+            const response = observer.respond(plate.palette.background, plate.palette.target);
+
+            if (response.outcome === 'seen') {
+                const { row, col } = plate.targetCells[observer.randomInt(plate.targetCells.length)];
+                return PlateProviders.createResponse(plate, { row, col, responseTime: response.responseTime });
+            }
+            if (response.outcome === 'cant-tell') {
+                return PlateProviders.createResponse(plate, { skipped: true, responseTime: response.responseTime });
+            }
+            return PlateProviders.createResponse(plate, {
+                row: observer.randomInt(plate.gridSize),
+                col: observer.randomInt(plate.gridSize),
+                responseTime: response.responseTime
+            });
+        });
+
+        const results = PlateProviders.summarize(responses);
+        const { deutan, protan, tritan, control } = results.families;
+        const severity = OutlierTestEngine.calculateSeverity(results.redGreen, control);
+
+        return {
+            bucket: severity.bucket,
+            type: PlateProviders.get(providerId).typesRedGreen === false
+                ? null
+                : OutlierTestEngine.classifyDeficiencyType(severity, protan, deutan).type,
+            tritan: OutlierTestEngine.calculateTritanScreening(tritan).status,
+            score: results.redGreen.score,
+            plateChecks,
+            results
+        };
+    },
+
+    /**
+     * Run a population through the selected engines
+     * Yields between batches so a page stays responsive; resolves with the report
+     */
+    async run(options = {}) {
+        const {
+            engines = Object.keys(this.engines),
+            onProgress = null,
+            ...populationOptions
+        } = options;
+
+        const population = this.createPopulation(populationOptions);
+        const records = [];
+
+        // One ActiveFilterMosaic instance on an offscreen canvas, restarted per user
+        const activeFilterTest = engines.includes('activeFilter')
+            ? ActiveFilterMosaic.create(document.createElement('canvas'))
+            : null;
+
+        for (let i = 0; i < population.length; i++) {
+            const truth = SimulatedObserver.create(population[i]).getTruth();
+            const outcomes = {};
+
+            // Each engine gets a fresh observer with the same seed
+            engines.forEach(engine => {
+                const observer = SimulatedObserver.create(population[i]);
+                switch (engine) {
+                    case 'outlier':
+                        outcomes[engine] = this.runOutlierTest(observer);
+                        break;
+                    case 'outlierEarly':
+                        outcomes[engine] = this.runOutlierTest(observer, { earlyStopping: true });
+                        break;
+                    case 'adaptive':
+                        outcomes[engine] = this.runOutlierTest(observer, { adaptive: true });
+                        break;
+                    case 'legacy':
+                        outcomes[engine] = this.runTestEngine(observer);
+                        break;
+                    case 'legacyEarly':
+                        outcomes[engine] = this.runTestEngine(observer, { earlyStopping: true });
+                        break;
+                    case 'activeFilter':
+                        outcomes[engine] = this.runActiveFilter(observer, activeFilterTest);
+                        break;
+                    default:
+                        outcomes[engine] = this.runPlateProvider(observer, this.engines[engine].provider);
+                }
+            });
+
+            records.push({ truth, outcomes });
+
+            if ((i + 1) % this.config.batchSize === 0 || i === population.length - 1) {
+                if (onProgress) onProgress(i + 1, population.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return this.buildReport(records, engines);
+    },
+
+    /**
+     * Summarize simulated users per engine
+     * Red-green severity is compared against the observer's bucket (tritan observers count as 'none')
+     */
+    buildReport(records, engines) {
+        const countInto = (table, row, col) => {
+            table[row] = table[row] || {};
+            table[row][col] = (table[row][col] || 0) + 1;
+        };
+
+        const round = value => Math.round(value * 10) / 10;
+
+        const report = {
+            users: records.length,
+            engines: {}
+        };
+
+        engines.forEach(engine => {
+            const severity = {};
+            const type = {};
+            const tritan = {};
+            const scores = {};
+            const plates = {};
+            const plateChecks = this.createPlateChecks();
+            let agreed = 0;
+
+            records.forEach(({ truth, outcomes }) => {
+                const outcome = outcomes[engine];
+                const redGreen = truth.type === 'protan' || truth.type === 'deutan';
+                const expected = redGreen ? truth.bucket : 'none';
+                const predicted = this.config.bucketAliases[outcome.bucket] || outcome.bucket;
+
+                countInto(severity, expected, outcome.bucket);
+                if (predicted === expected) agreed++;
+
+                if (outcome.type !== null) countInto(type, truth.type, outcome.type);
+                if (outcome.tritan !== null) countInto(tritan, truth.type, outcome.tritan);
+
+                scores[expected] = scores[expected] || [];
+                scores[expected].push(outcome.score);
+
+                plateChecks.checked += outcome.plateChecks.checked;
+                plateChecks.failed += outcome.plateChecks.failed;
+                outcome.plateChecks.failures.forEach(failure => {
+                    if (plateChecks.failures.length < this.config.plateFailureExamples && !plateChecks.failures.includes(failure)) {
+                        plateChecks.failures.push(failure);
+                    }
+                });
+
+                if (outcome.plates !== undefined) {
+                    plates[expected] = plates[expected] || [];
+                    plates[expected].push(outcome.plates);
+                }
+            });
+
+            report.engines[engine] = {
+                ...this.engines[engine],
+                agreement: Utils.percentage(agreed, records.length),
+                severity,
+                type: Object.keys(type).length > 0 ? type : null,
+                tritan: Object.keys(tritan).length > 0 ? tritan : null,
+                scores: Object.fromEntries(Object.entries(scores).map(([bucket, list]) => [bucket, {
+                    n: list.length,
+                    mean: round(Utils.average(list)),
+                    sd: round(Utils.standardDeviation(list)),
+                    min: round(Math.min(...list)),
+                    max: round(Math.max(...list))
+                }])),
+                // Plates shown per user, for engines that can stop early
+                plates: Object.keys(plates).length > 0
+                    ? Object.fromEntries(Object.entries(plates).map(([bucket, list]) => [bucket, {
+                        mean: round(Utils.average(list)),
+                        min: Math.min(...list),
+                        max: Math.max(...list)
+                    }]))
+                    : null,
+                // Confusion plates shown that failed the CVD simulation check, with the first few listed
+                plateChecks: { ...plateChecks, passed: plateChecks.failed === 0 }
+            };
+        });
+
+        return report;
+    }
+};
+
+// Export
+window.SimulationHarness = SimulationHarness;
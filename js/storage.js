@@ -11,7 +11,10 @@ const Storage = {
     keys: {
         sessions: 'colorvision_sessions',
         currentSession: 'colorvision_current_session',
-        settings: 'colorvision_settings'
+        settings: 'colorvision_settings',
+        displayProfile: 'colorvision_display_profile',
+        viewingGeometry: 'colorvision_viewing_geometry',
+        protocols: 'colorvision_protocols'
     },
 
     /**
@@ -60,18 +63,29 @@ const Storage = {
 
     /**
      * Create a new session object and store it as the current session.
+     * Sets the session seed every engine's random choices derive from.
+     * @param {Object} [options={}] - Session options.
+     * @param {number|null} [options.seed=null] - Session seed; null picks a new one.
      * @returns {Object} The newly created session.
      */
-    createSession() {
+    createSession(options = {}) {
+        const { seed = null } = options;
         const session = {
             id: Utils.generateId(),
+            seed: Utils.setSessionSeed(seed),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
             deviceInfo: Utils.getDeviceInfo(),
             baseline: null,
+            monocular: null,
             tuning: null,
             validation: null,
+            arrangement: null,
+            hueDiscrimination: null,
+            rayleigh: null,
             filterParams: null,
+            // Display calibration in effect while the stimuli were drawn
+            displayProfile: this.getDisplayProfile(),
             completed: false
         };
 
@@ -125,6 +139,64 @@ const Storage = {
         return session;
     },
 
+    /**
+     * Attach per-eye results from the monocular protocol to the current session.
+     * @param {Object} monocular - { right, left, comparison } with each eye's test results.
+     * @returns {Object|null} The updated session, or null if no current session exists.
+     */
+    saveMonocularResults(monocular) {
+        const session = this.getCurrentSession();
+        if (session) {
+            session.monocular = monocular;
+            this.setCurrentSession(session);
+        }
+        return session;
+    },
+
+    /**
+     * Attach arrangement (D-15) test results to the current session.
+     * @param {Object} results - Arrangement test results.
+     * @returns {Object|null} The updated session, or null if no current session exists.
+     */
+    saveArrangementResults(results) {
+        const session = this.getCurrentSession();
+        if (session) {
+            session.arrangement = results;
+            this.setCurrentSession(session);
+        }
+        return session;
+    },
+
+    /**
+     * Attach hue discrimination (FM-100) results, including per-cap error scores, to the
+     * current session and archive it so the error score can be followed across sessions.
+     * @param {Object} results - Hue discrimination test results.
+     * @returns {Object|null} The updated session, or null if no current session exists.
+     */
+    saveHueDiscriminationResults(results) {
+        const session = this.getCurrentSession();
+        if (session) {
+            session.hueDiscrimination = results;
+            this.setCurrentSession(session);
+            this.archiveCurrentSession();
+        }
+        return session;
+    },
+
+    /**
+     * Attach Rayleigh match results to the current session.
+     * @param {Object} results - Rayleigh match results.
+     * @returns {Object|null} The updated session, or null if no current session exists.
+     */
+    saveRayleighResults(results) {
+        const session = this.getCurrentSession();
+        if (session) {
+            session.rayleigh = results;
+            this.setCurrentSession(session);
+        }
+        return session;
+    },
+
     /**
      * Attach tuning results and best filter parameters to the current session.
      * @param {Object} results - Tuning results including bestParams.
@@ -248,6 +320,112 @@ const Storage = {
         };
     },
 
+    /**
+     * Retrieve the saved display calibration profile.
+     * @returns {Object|null} The profile, or null if the display is uncalibrated.
+     */
+    getDisplayProfile() {
+        try {
+            const data = localStorage.getItem(this.keys.displayProfile);
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Persist a display calibration profile and record it on the current session.
+     * @param {Object} profile - The profile from DisplayCalibration.
+     * @returns {boolean} True on success, false on failure.
+     */
+    saveDisplayProfile(profile) {
+        try {
+            localStorage.setItem(this.keys.displayProfile, JSON.stringify(profile));
+
+            const session = this.getCurrentSession();
+            if (session) {
+                session.displayProfile = profile;
+                this.setCurrentSession(session);
+            }
+            return true;
+        } catch (e) {
+            console.error('Error saving display profile:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Remove the saved display calibration profile.
+     * @returns {boolean} True on success, false on failure.
+     */
+    clearDisplayProfile() {
+        try {
+            localStorage.removeItem(this.keys.displayProfile);
+            return true;
+        } catch (e) {
+            console.error('Error clearing display profile:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Retrieve the saved viewing geometry (screen scale and viewing distance).
+     * @returns {Object|null} The geometry, or null if the card-matching step was never done.
+     */
+    getViewingGeometry() {
+        try {
+            const data = localStorage.getItem(this.keys.viewingGeometry);
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Persist the viewing geometry.
+     * @param {Object} geometry - The geometry from ViewingGeometry.createProfile.
+     * @returns {boolean} True on success, false on failure.
+     */
+    saveViewingGeometry(geometry) {
+        try {
+            localStorage.setItem(this.keys.viewingGeometry, JSON.stringify(geometry));
+            return true;
+        } catch (e) {
+            console.error('Error saving viewing geometry:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Retrieve the imported test protocols.
+     * @returns {Object[]} An array of protocol definitions (see Protocols).
+     */
+    getProtocols() {
+        try {
+            const data = localStorage.getItem(this.keys.protocols);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Persist an imported test protocol, replacing any saved protocol with the same id.
+     * @param {Object} protocol - A validated protocol definition.
+     * @returns {boolean} True on success, false on failure.
+     */
+    saveProtocol(protocol) {
+        try {
+            const protocols = this.getProtocols().filter(p => p.id !== protocol.id);
+            protocols.push(protocol);
+            localStorage.setItem(this.keys.protocols, JSON.stringify(protocols));
+            return true;
+        } catch (e) {
+            console.error('Error saving protocol:', e);
+            return false;
+        }
+    },
+
     /**
      * Remove all application data from localStorage.
      * @returns {boolean} True on success, false on failure.
@@ -257,6 +435,9 @@ const Storage = {
             localStorage.removeItem(this.keys.sessions);
             localStorage.removeItem(this.keys.currentSession);
             localStorage.removeItem(this.keys.settings);
+            localStorage.removeItem(this.keys.displayProfile);
+            localStorage.removeItem(this.keys.viewingGeometry);
+            localStorage.removeItem(this.keys.protocols);
             return true;
         } catch (e) {
             console.error('Error clearing data:', e);
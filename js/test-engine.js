@@ -16,19 +16,29 @@ const TestEngine = {
         startTime: null,
         plateStartTime: null,
         filterParams: null,
-        mode: 'baseline' // 'baseline', 'tuning', 'validation'
+        mode: 'baseline', // 'baseline', 'tuning', 'validation'
+        protocol: null,
+        earlyStopping: null,
+        stopReason: null,
+        droppedPlates: 0
     },
 
     /**
-     * Static configuration values for test modes.
+     * Static configuration values. Plate counts, plate mix, difficulty, stopping rules and
+     * scoring cutoffs come from the protocol (see Protocols).
      * @type {Object}
      */
     config: {
-        baselinePlateCount: 12,
-        validationPlateCount: 8,
-        tuningPlateCount: 5,
         maxResponseTime: 30000, // 30 seconds max per plate
-        difficulty: 'medium'
+        // MosaicGenerator plate type for each protocol family; catch plates are easy control plates
+        plateTypes: {
+            deutan: 'deutanConfusion',
+            protan: 'protanConfusion',
+            tritan: 'tritanConfusion',
+            control: 'control'
+        },
+        // Target types cycled through the plates for variety
+        targetTypes: ['number', 'number', 'letter', 'shape']
     },
 
     /**
@@ -46,68 +56,117 @@ const TestEngine = {
      * Initialize a new test with the given options.
      * @param {Object} [options={}] - Configuration options.
      * @param {string} [options.mode='baseline'] - Test mode: 'baseline', 'tuning', or 'validation'.
-     * @param {number|null} [options.plateCount=null] - Override the number of plates.
+     * @param {string|Object} [options.protocol='standard'] - Protocol id or definition (see Protocols).
+     *     Its fixed blocks run back to back as one plate sequence; adaptive blocks are not supported.
      * @param {Object|null} [options.filterParams=null] - Filter parameters for tuning/validation modes.
+     * @param {number|null} [options.seed=null] - Seed for the plate sequence; null derives one from the session seed.
+     * @param {boolean|Object|null} [options.earlyStopping=null] - Stop once the severity bucket is settled:
+     *     true, or SequentialTest options ({ alpha, beta, indifference, minPlates }). The plate count is the maximum.
+     *     The first block's stopping.sprt and stopping.minPlates take precedence.
      * @param {Object} [options.callbacks={}] - Event callback hooks.
      * @returns {TestEngine} This instance for chaining.
      */
     init(options = {}) {
         const {
             mode = 'baseline',
-            plateCount = null,
+            protocol = 'standard',
             filterParams = null,
+            seed = null,
+            earlyStopping = null,
             callbacks = {}
         } = options;
 
+        const definition = typeof protocol === 'string'
+            ? Protocols.get(protocol)
+            : Protocols.normalize(Protocols.validate(protocol));
+        if (!definition) {
+            throw new Error(`Unknown protocol: ${protocol}`);
+        }
+        const { blocks } = definition.tests[mode];
+        if (blocks.some(block => block.adaptive)) {
+            throw new Error(`TestEngine runs fixed blocks only; protocol ${definition.id} has an adaptive ${mode} block`);
+        }
+
         // Set callbacks
         this.callbacks = { ...this.callbacks, ...callbacks };
 
-        // Determine plate count based on mode
-        let count;
-        if (plateCount) {
-            count = plateCount;
-        } else {
-            switch (mode) {
-                case 'baseline':
-                    count = this.config.baselinePlateCount;
-                    break;
-                case 'validation':
-                    count = this.config.validationPlateCount;
-                    break;
-                case 'tuning':
-                    count = this.config.tuningPlateCount;
-                    break;
-                default:
-                    count = this.config.baselinePlateCount;
-            }
-        }
-
-        // Generate plates
-        const seed = Utils.generateSeed();
-        const generateFn = mode === 'tuning' 
-            ? MosaicGenerator.generateTuningSequence.bind(MosaicGenerator)
-            : MosaicGenerator.generateTestSequence.bind(MosaicGenerator);
+        const sequenceSeed = seed !== null ? seed : Utils.generateSeed(mode);
 
         this.state = {
             isRunning: false,
             currentPlateIndex: 0,
-            plates: generateFn({
-                plateCount: count,
-                difficulty: this.config.difficulty,
-                filterParams,
-                seed
-            }),
+            plates: this.buildPlates(blocks, sequenceSeed, filterParams),
             responses: [],
             startTime: null,
             plateStartTime: null,
             filterParams,
             mode,
-            seed
+            protocol: definition,
+            seed: sequenceSeed,
+            earlyStopping: this.getSequentialOptions(blocks[0], earlyStopping),
+            stopReason: null,
+            droppedPlates: 0
         };
 
         return this;
     },
 
+    /**
+     * Generate the plates of a protocol's fixed blocks, in presentation order.
+     * Each block follows its Protocols.buildSchedule; its catch plates are easy control plates.
+     * @param {Object[]} blocks - Fixed protocol blocks.
+     * @param {number} seed - Sequence seed.
+     * @param {Object|null} filterParams - Filter parameters applied to every plate.
+     * @returns {Object[]} MosaicGenerator plates.
+     */
+    buildPlates(blocks, seed, filterParams) {
+        const { plateTypes, targetTypes } = this.config;
+        const entries = blocks.flatMap((block, index) => {
+            const schedule = Protocols.buildSchedule(block, Utils.deriveSeed(seed, `block-${index}`));
+            const catchPositions = Protocols.buildCatchPositions(block, Utils.deriveSeed(seed, `catch-${index}`));
+            const total = Protocols.getPlateCount([block]);
+
+            return Array.from({ length: total }, (_, position) => {
+                if (catchPositions.includes(position)) {
+                    return { type: 'control', difficulty: 'easy', separation: null };
+                }
+                return schedule[position - catchPositions.filter(p => p < position).length];
+            });
+        });
+
+        return entries.map(({ type, difficulty, separation }, index) => MosaicGenerator.generatePlate({
+            type: plateTypes[type],
+            seed: Utils.deriveSeed(seed, `plate-${index}`),
+            difficulty,
+            deltaE: separation !== null ? separation * MosaicGenerator.config.deltaE.max : null,
+            targetType: targetTypes[index % targetTypes.length],
+            filterParams
+        }));
+    },
+
+    /**
+     * SequentialTest options for the test: the block's stopping.sprt, else the earlyStopping option.
+     * @param {Object} block - First protocol block of the test.
+     * @param {boolean|Object|null} earlyStopping - The init option.
+     * @returns {Object|null} SequentialTest options, or null when early stopping is off.
+     */
+    getSequentialOptions(block, earlyStopping) {
+        const stopping = block.stopping || {};
+        const sprt = stopping.sprt !== undefined ? stopping.sprt : earlyStopping;
+        if (!sprt) return null;
+
+        const options = SequentialTest.getOptions(sprt);
+        return { ...options, minPlates: stopping.minPlates || options.minPlates };
+    },
+
+    /**
+     * Scoring rules of the active protocol.
+     * @returns {Object} Protocol scoring (severity cutoffs, tritan thresholds, ...).
+     */
+    getScoring() {
+        return this.state.protocol ? this.state.protocol.scoring : Protocols.defaultScoring;
+    },
+
     /**
      * Start the test, showing the first plate and beginning the timer.
      */
@@ -118,6 +177,8 @@ const TestEngine = {
         this.state.startTime = Date.now();
         this.state.currentPlateIndex = 0;
         this.state.responses = [];
+        this.state.stopReason = null;
+        this.state.droppedPlates = 0;
 
         this.showCurrentPlate();
         this.startTimer();
@@ -151,12 +212,15 @@ const TestEngine = {
     /**
      * Record the user's response for the current plate and advance.
      * @param {string} response - The user's answer (e.g. a number, letter, or 'none').
+     * @param {number|null} [responseTime=null] - Response time in ms; measured from plate start when null.
      */
-    recordResponse(response) {
+    recordResponse(response, responseTime = null) {
         const plate = this.getCurrentPlate();
         if (!plate) return;
 
-        const responseTime = Date.now() - this.state.plateStartTime;
+        if (responseTime === null) {
+            responseTime = Date.now() - this.state.plateStartTime;
+        }
         const isCorrect = this.checkAnswer(response, plate);
 
         const responseData = {
@@ -179,19 +243,104 @@ const TestEngine = {
 
         // Move to next plate
         this.state.currentPlateIndex++;
-        
+
+        // Severity settled: drop the red-green plates still to come; tritan and control plates remain
+        if (this.state.stopReason !== 'sprt' && this.isSeveritySettled()) {
+            this.state.stopReason = 'sprt';
+            this.dropRemainingRedGreenPlates();
+        }
+
         if (this.state.currentPlateIndex >= this.state.plates.length) {
+            this.state.stopReason = this.state.stopReason || 'complete';
             this.complete();
         } else {
             this.showCurrentPlate();
         }
     },
 
+    /**
+     * Check whether early stopping is on and the severity bucket can no longer be expected to change.
+     * The control score adjusts the severity, so at least one control plate must have been answered
+     * (when the test has any), and the bucket estimateSeverity reports must be the settled one.
+     * @returns {boolean} True once at least minPlates plates were shown and the SPRTs have settled.
+     */
+    isSeveritySettled() {
+        const { earlyStopping, currentPlateIndex, plates } = this.state;
+        if (!earlyStopping || currentPlateIndex < earlyStopping.minPlates) return false;
+
+        const { redGreenScore, controlScore, controlTotal } = this.getScoresSoFar();
+        if (controlTotal === 0 && plates.some(plate => plate.type === 'control')) return false;
+
+        const evaluation = this.evaluateSequential();
+        return evaluation.settled && this.estimateSeverity(redGreenScore, controlScore).bucket === evaluation.bucket;
+    },
+
+    /**
+     * Check whether a plate type is on a red-green (deutan or protan) axis.
+     * @param {string} plateType - MosaicGenerator plate type.
+     * @returns {boolean} True for deutan and protan confusion plates.
+     */
+    isRedGreen(plateType) {
+        return plateType === 'deutanConfusion' || plateType === 'protanConfusion';
+    },
+
+    /**
+     * Remove the red-green plates after the current index from the plate sequence.
+     */
+    dropRemainingRedGreenPlates() {
+        const { plates, currentPlateIndex } = this.state;
+        const remaining = plates.slice(currentPlateIndex);
+        const kept = remaining.filter(plate => !this.isRedGreen(plate.type));
+
+        this.state.plates = [...plates.slice(0, currentPlateIndex), ...kept];
+        this.state.droppedPlates += remaining.length - kept.length;
+    },
+
+    /**
+     * Red-green and control scores over the responses so far.
+     * @returns {Object} { redGreenScore, controlScore, controlTotal }, scores 0–100.
+     */
+    getScoresSoFar() {
+        const { responses } = this.state;
+        const redGreen = responses.filter(r => this.isRedGreen(r.plateType));
+        const control = responses.filter(r => r.plateType === 'control');
+
+        return {
+            redGreenScore: Utils.percentage(redGreen.filter(r => r.isCorrect).length, redGreen.length),
+            controlScore: Utils.percentage(control.filter(r => r.isCorrect).length, control.length),
+            controlTotal: control.length
+        };
+    },
+
+    /**
+     * Run the sequential tests on the red-green answers so far, against the estimateSeverity buckets.
+     * estimateSeverity divides the red-green score by an imperfect control score, so each cutoff is
+     * scaled by the control accuracy: the tests then decide on the same quantity it buckets.
+     * @returns {Object} SequentialTest evaluation ({ settled, bucket, correct, total, cutoffs }).
+     */
+    evaluateSequential() {
+        const redGreenResponses = this.state.responses.filter(r => this.isRedGreen(r.plateType));
+        const { controlScore } = this.getScoresSoFar();
+        const scale = controlScore < 100 && controlScore > 0 ? controlScore / 100 : 1;
+        const buckets = this.getScoring().severity.map(({ bucket, minScore }) => ({
+            bucket,
+            minAccuracy: minScore / 100 * scale
+        }));
+
+        return SequentialTest.evaluate(
+            redGreenResponses.filter(r => r.isCorrect).length,
+            redGreenResponses.length,
+            buckets,
+            this.state.earlyStopping
+        );
+    },
+
     /**
      * Skip the current plate (user pressed "can't see").
+     * @param {number|null} [responseTime=null] - Response time in ms; measured from plate start when null.
      */
-    skipPlate() {
-        this.recordResponse('none');
+    skipPlate(responseTime = null) {
+        this.recordResponse('none', responseTime);
     },
 
     /**
@@ -233,28 +382,40 @@ const TestEngine = {
 
     /**
      * Calculate comprehensive test results including scores, timing, and severity.
-     * @returns {Object} Test results with overall, deutan, control scores and severity.
+     * @returns {Object} Test results with overall, red-green, deutan, protan, tritan, control scores and severity.
      */
     calculateResults() {
-        const { responses, mode, filterParams, startTime, plates } = this.state;
+        const { responses, mode, filterParams, startTime, plates, protocol } = this.state;
         const endTime = Date.now();
 
         // Separate by plate type
+        const redGreenResponses = responses.filter(r => this.isRedGreen(r.plateType));
         const deutanResponses = responses.filter(r => r.plateType === 'deutanConfusion');
+        const protanResponses = responses.filter(r => r.plateType === 'protanConfusion');
+        const tritanResponses = responses.filter(r => r.plateType === 'tritanConfusion');
         const controlResponses = responses.filter(r => r.plateType === 'control');
 
         // Calculate scores
+        const redGreenCorrect = redGreenResponses.filter(r => r.isCorrect).length;
         const deutanCorrect = deutanResponses.filter(r => r.isCorrect).length;
+        const protanCorrect = protanResponses.filter(r => r.isCorrect).length;
+        const tritanCorrect = tritanResponses.filter(r => r.isCorrect).length;
         const controlCorrect = controlResponses.filter(r => r.isCorrect).length;
 
+        const redGreenTotal = redGreenResponses.length;
         const deutanTotal = deutanResponses.length;
+        const protanTotal = protanResponses.length;
+        const tritanTotal = tritanResponses.length;
         const controlTotal = controlResponses.length;
 
         const overallCorrect = responses.filter(r => r.isCorrect).length;
         const overallTotal = responses.length;
 
         // Calculate percentages
+        const redGreenScore = Utils.percentage(redGreenCorrect, redGreenTotal);
         const deutanScore = Utils.percentage(deutanCorrect, deutanTotal);
+        const protanScore = Utils.percentage(protanCorrect, protanTotal);
+        const tritanScore = Utils.percentage(tritanCorrect, tritanTotal);
         const controlScore = Utils.percentage(controlCorrect, controlTotal);
         const overallScore = Utils.percentage(overallCorrect, overallTotal);
 
@@ -264,12 +425,29 @@ const TestEngine = {
         const totalTime = (endTime - startTime) / 1000;
 
         // Estimate severity
-        const severity = this.estimateSeverity(deutanScore, controlScore);
+        const severity = this.estimateSeverity(redGreenScore, controlScore);
+
+        // Tritan axis is screened separately from red-green severity
+        const tritanStatus = this.screenTritan(tritanScore, tritanTotal);
+
+        // Why the test ended; with early stopping, where each severity cutoff's SPRT stood
+        const { stopReason, earlyStopping } = this.state;
+        const stopping = {
+            reason: stopReason,
+            description: this.getStopDescription(stopReason),
+            plates: overallTotal,
+            maxPlates: plates.length + this.state.droppedPlates,
+            droppedPlates: this.state.droppedPlates,
+            sequential: earlyStopping ? this.evaluateSequential() : null
+        };
 
         return {
             mode,
+            protocol: protocol ? { id: protocol.id, name: protocol.name } : null,
             timestamp: new Date().toISOString(),
             filterParams,
+            // Tile size and visual angle the plates were generated for
+            viewing: plates.length > 0 ? plates[0].viewing : null,
             
             // Scores
             overall: {
@@ -277,11 +455,28 @@ const TestEngine = {
                 total: overallTotal,
                 score: overallScore
             },
+            redGreen: {
+                correct: redGreenCorrect,
+                total: redGreenTotal,
+                score: redGreenScore
+            },
             deutan: {
                 correct: deutanCorrect,
                 total: deutanTotal,
                 score: deutanScore
             },
+            protan: {
+                correct: protanCorrect,
+                total: protanTotal,
+                score: protanScore
+            },
+            tritan: {
+                correct: tritanCorrect,
+                total: tritanTotal,
+                score: tritanScore,
+                status: tritanStatus,
+                description: this.getTritanDescription(tritanStatus)
+            },
             control: {
                 correct: controlCorrect,
                 total: controlTotal,
@@ -297,56 +492,52 @@ const TestEngine = {
             
             // Severity
             severity,
+
+            // Stopping
+            stopping,
             
             // Raw data
             responses,
             
             // Metadata
-            plateCount: plates.length,
+            plateCount: overallTotal,
             seed: this.state.seed
         };
     },
 
     /**
      * Estimate the severity of color vision deficiency from test scores.
-     * Adjusts the deutan score relative to control performance for better accuracy.
-     * @param {number} deutanScore - Deutan plate accuracy (0–100).
+     * Adjusts the red-green score relative to control performance, then buckets it with the
+     * protocol's severity cutoffs.
+     * @param {number} redGreenScore - Deutan and protan plate accuracy (0–100).
      * @param {number} controlScore - Control plate accuracy (0–100).
      * @returns {Object} Severity assessment with bucket, value, and description.
      */
-    estimateSeverity(deutanScore, controlScore) {
+    estimateSeverity(redGreenScore, controlScore) {
         // If control score is low, user may have other issues (attention, etc.)
-        // We compare deutan performance relative to control
+        // We compare red-green performance relative to control
         
-        let adjustedScore = deutanScore;
+        let adjustedScore = redGreenScore;
         
-        // If control score is perfect, use raw deutan score
+        // If control score is perfect, use raw red-green score
         // If control score is imperfect, adjust expectations
         if (controlScore < 100 && controlScore > 0) {
-            // Scale deutan score relative to control performance
-            adjustedScore = (deutanScore / controlScore) * 100;
+            // Scale red-green score relative to control performance
+            adjustedScore = (redGreenScore / controlScore) * 100;
             adjustedScore = Math.min(adjustedScore, 100);
         }
 
         // Calculate severity value (0-100, higher = more severe)
         const severityValue = 100 - adjustedScore;
 
-        // Determine bucket
-        let bucket;
-        if (severityValue <= 15) {
-            bucket = 'none';
-        } else if (severityValue <= 35) {
-            bucket = 'mild';
-        } else if (severityValue <= 60) {
-            bucket = 'moderate';
-        } else {
-            bucket = 'strong';
-        }
+        // First bucket whose minScore the adjusted score reaches
+        const cutoffs = [...this.getScoring().severity].sort((a, b) => b.minScore - a.minScore);
+        const { bucket } = cutoffs.find(c => adjustedScore >= c.minScore) || cutoffs[cutoffs.length - 1];
 
         return {
             value: Math.round(severityValue),
             bucket,
-            deutanScore,
+            redGreenScore,
             controlScore,
             description: this.getSeverityDescription(bucket)
         };
@@ -367,6 +558,48 @@ const TestEngine = {
         return descriptions[bucket] || descriptions.none;
     },
 
+    /**
+     * Get a human-readable description of why the test ended.
+     * @param {string|null} reason - 'complete' (all plates shown) or 'sprt' (red-green plates stopped early); null if aborted.
+     * @returns {string|null} A descriptive sentence, or null for an unknown reason.
+     */
+    getStopDescription(reason) {
+        const descriptions = {
+            complete: 'All plates were shown.',
+            sprt: 'Red-green plates stopped early, as more were unlikely to change the severity result; blue-yellow and control plates were all shown.'
+        };
+        return descriptions[reason] || null;
+    },
+
+    /**
+     * Screen the tritan (blue-yellow) axis from tritan plate accuracy, with the protocol's thresholds.
+     * @param {number} tritanScore - Tritan plate accuracy (0–100).
+     * @param {number} tritanTotal - Number of tritan plates shown.
+     * @returns {string} One of 'not-tested', 'pass', 'borderline', 'fail'.
+     */
+    screenTritan(tritanScore, tritanTotal) {
+        const { tritan } = this.getScoring();
+        if (tritanTotal === 0) return 'not-tested';
+        if (tritanScore >= tritan.pass) return 'pass';
+        if (tritanScore >= tritan.borderline) return 'borderline';
+        return 'fail';
+    },
+
+    /**
+     * Get a human-readable description for a tritan screening status.
+     * @param {string} status - One of 'not-tested', 'pass', 'borderline', 'fail'.
+     * @returns {string} A descriptive sentence about the tritan result.
+     */
+    getTritanDescription(status) {
+        const descriptions = {
+            'not-tested': 'Blue-yellow plates were not included in this test.',
+            pass: 'No blue-yellow color confusion detected.',
+            borderline: 'Some blue-yellow plates were missed. Consider retesting in good lighting.',
+            fail: 'Blue-yellow (tritan) color confusion detected. Tritan deficits are often acquired rather than inherited, so an eye examination is recommended.'
+        };
+        return descriptions[status] || descriptions['not-tested'];
+    },
+
     /**
      * Timer management
      */
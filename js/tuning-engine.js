@@ -49,6 +49,7 @@ const TuningEngine = {
         const {
             baselineSeverity = 'moderate',
             baselineScore = 50,
+            seed = Utils.generateSeed('tuning'),
             callbacks = {}
         } = options;
 
@@ -65,6 +66,8 @@ const TuningEngine = {
             bestParams: { ...initialParams },
             bestScore: baselineScore,
             baselineScore,
+            seed,
+            rng: Utils.createRNG(seed),   // Drives every random choice in the search
             history: [],
             noImprovementCount: 0,
             plateIndex: 0,
@@ -97,7 +100,7 @@ const TuningEngine = {
         this.state.currentPlates = MosaicGenerator.generateTuningSequence({
             plateCount: this.config.platesPerRound,
             filterParams: this.state.currentParams,
-            seed: Utils.generateSeed(`round-${this.state.currentRound}`)
+            seed: Utils.deriveSeed(this.state.seed, `round-${this.state.currentRound}`)
         });
 
         if (this.callbacks.onRoundStart) {
@@ -267,11 +270,11 @@ const TuningEngine = {
             );
 
             if (unexplored.length > 0) {
-                this.state.currentParams = Utils.randomPick(unexplored);
+                this.state.currentParams = Utils.randomPick(unexplored, this.state.rng);
             } else {
                 // Explore with smaller steps
                 const fineNeighbors = ColorFilter.generateNeighbors(bestParams, 0.5);
-                this.state.currentParams = Utils.randomPick(fineNeighbors);
+                this.state.currentParams = Utils.randomPick(fineNeighbors, this.state.rng);
             }
         } else {
             // Last round was good, try to improve further
@@ -283,7 +286,7 @@ const TuningEngine = {
             );
 
             if (unexplored.length > 0) {
-                this.state.currentParams = Utils.randomPick(unexplored);
+                this.state.currentParams = Utils.randomPick(unexplored, this.state.rng);
             } else {
                 // Try interpolation towards even stronger settings
                 this.state.currentParams = this.exploreNewDirection(currentParams);
@@ -298,7 +301,7 @@ const TuningEngine = {
      * Explore a new direction in parameter space
      */
     exploreNewDirection(baseParams) {
-        const rng = Math.random;
+        const rng = this.state.rng;
         const ranges = ColorFilter.paramRanges;
         
         // Randomly perturb parameters
@@ -330,6 +333,7 @@ const TuningEngine = {
             bestScore: this.state.bestScore,
             baselineScore: this.state.baselineScore,
             improvement: this.state.bestScore - this.state.baselineScore,
+            seed: this.state.seed,
             history: this.state.history
         };
 
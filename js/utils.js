@@ -19,14 +19,24 @@ const Utils = {
     },
 
     /**
-     * Generate a deterministic seed from the current timestamp and an optional salt string.
-     * @param {string} [salt=''] - Optional salt to mix into the seed.
-     * @returns {number} A non-negative integer seed.
+     * Session seed that generateSeed derives every seed from (null = seeds come from the clock).
+     * @type {number|null}
      */
-    generateSeed(salt = '') {
-        const now = Date.now();
+    sessionSeed: null,
+
+    /**
+     * Number of seeds handed out per salt since the session seed was set.
+     * @type {Object<string, number>}
+     */
+    seedCounts: {},
+
+    /**
+     * Hash a string to a non-negative integer.
+     * @param {string} str - The string to hash.
+     * @returns {number} A non-negative integer.
+     */
+    hashString(str) {
         let hash = 0;
-        const str = now.toString() + salt;
         for (let i = 0; i < str.length; i++) {
             const char = str.charCodeAt(i);
             hash = ((hash << 5) - hash) + char;
@@ -35,6 +45,57 @@ const Utils = {
         return Math.abs(hash);
     },
 
+    /**
+     * Derive a child seed from a parent seed and a salt. Pure: the same inputs always give
+     * the same seed, so anything generated from a child seed can be regenerated.
+     * @param {number} seed - Parent seed.
+     * @param {string} salt - What the child seed is for (e.g. 'plate-3').
+     * @returns {number} A non-negative integer seed.
+     */
+    deriveSeed(seed, salt) {
+        // Mulberry32 output of the hash spreads nearby salts across the seed range
+        return Math.floor(this.createRNG(this.hashString(`${seed}:${salt}`))() * 4294967296);
+    },
+
+    /**
+     * Parse a seed given as text (e.g. a URL parameter). Integers are used as they are,
+     * any other text is hashed.
+     * @param {string|number|null} value - The seed text.
+     * @returns {number|null} A non-negative integer seed, or null if value is empty.
+     */
+    parseSeed(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const text = String(value).trim();
+        return /^\d+$/.test(text) ? Number(text) % 4294967296 : this.hashString(text);
+    },
+
+    /**
+     * Set the session seed every later generateSeed call derives from.
+     * @param {number|null} [seed=null] - The seed; null picks a new one from the clock.
+     * @returns {number} The session seed in effect.
+     */
+    setSessionSeed(seed = null) {
+        this.sessionSeed = null;
+        this.seedCounts = {};
+        this.sessionSeed = seed !== null ? seed : this.generateSeed('session');
+        return this.sessionSeed;
+    },
+
+    /**
+     * Generate a seed. With a session seed set, the n-th call with a given salt always returns
+     * the same seed; otherwise the seed comes from the current timestamp and the salt.
+     * @param {string} [salt=''] - Optional salt to mix into the seed.
+     * @returns {number} A non-negative integer seed.
+     */
+    generateSeed(salt = '') {
+        if (this.sessionSeed !== null) {
+            const count = this.seedCounts[salt] || 0;
+            this.seedCounts[salt] = count + 1;
+            return this.deriveSeed(this.sessionSeed, `${salt}#${count}`);
+        }
+        return this.hashString(Date.now().toString() + salt);
+    },
+
     /**
      * Shuffle an array using the Fisher-Yates algorithm.
      * Returns a new array; the original is not modified.
@@ -0,0 +1,125 @@
+/**
+ * ColorVision Pro - Viewing Geometry
+ * Converts between on-screen sizes and visual angle. The screen scale comes from a
+ * card-matching step (the user resizes a rectangle to the size of a credit card), the
+ * distance from the viewing distance the user is asked to sit at. The geometry is
+ * saved via Storage; without it a CSS reference pixel (96 per inch) is assumed.
+ */
+
+const ViewingGeometry = {
+    /**
+     * Configuration (see Constants.viewing)
+     */
+    config: {
+        cardWidthMm: Constants.viewing.cardWidthMm,
+        cardHeightMm: Constants.viewing.cardHeightMm,
+        defaultDistanceMm: Constants.viewing.defaultDistanceMm,
+        tileAngle: Constants.viewing.tileAngle,
+        referencePxPerMm: Constants.viewing.referencePxPerMm,
+        minTileSize: Constants.viewing.minTileSize
+    },
+
+    /**
+     * Active geometry (null = uncalibrated)
+     */
+    profile: null,
+    loaded: false,
+
+    /**
+     * Saved geometry, loaded from Storage on first use
+     */
+    getProfile() {
+        if (!this.loaded) {
+            this.loaded = true;
+            this.profile = Storage.getViewingGeometry();
+        }
+        return this.profile;
+    },
+
+    /**
+     * Geometry from a card matched at cardWidthPx (CSS pixels) and a viewing distance
+     */
+    createProfile(cardWidthPx, distanceMm) {
+        return {
+            createdAt: new Date().toISOString(),
+            cardWidthPx: Math.round(cardWidthPx),
+            pxPerMm: Math.round(cardWidthPx / this.config.cardWidthMm * 1000) / 1000,
+            distanceMm: Math.round(distanceMm)
+        };
+    },
+
+    /**
+     * Use geometry without saving it (null = uncalibrated)
+     */
+    applyProfile(profile) {
+        this.profile = profile || null;
+        this.loaded = true;
+    },
+
+    /**
+     * Save geometry via Storage and use it from now on
+     */
+    saveProfile(profile) {
+        Storage.saveViewingGeometry(profile);
+        this.applyProfile(profile);
+    },
+
+    isCalibrated() {
+        return !!this.getProfile();
+    },
+
+    getPxPerMm() {
+        const profile = this.getProfile();
+        return profile ? profile.pxPerMm : this.config.referencePxPerMm;
+    },
+
+    getDistanceMm() {
+        const profile = this.getProfile();
+        return profile ? profile.distanceMm : this.config.defaultDistanceMm;
+    },
+
+    /**
+     * On-screen size (CSS pixels) subtending an angle in degrees
+     */
+    angleToPixels(degrees) {
+        const mm = 2 * this.getDistanceMm() * Math.tan(degrees * Math.PI / 360);
+        return mm * this.getPxPerMm();
+    },
+
+    /**
+     * Visual angle in degrees of an on-screen size in CSS pixels
+     */
+    pixelsToAngle(pixels) {
+        const mm = pixels / this.getPxPerMm();
+        return 2 * Math.atan(mm / (2 * this.getDistanceMm())) * 180 / Math.PI;
+    },
+
+    /**
+     * Whole-pixel tile size for the target visual angle, shrunk so a gridSize grid fits maxSize
+     */
+    tileSizeFor(gridSize, maxSize = Infinity) {
+        const target = Math.round(this.angleToPixels(this.config.tileAngle));
+        const fit = Math.floor(maxSize / gridSize);
+        return Math.max(Math.min(target, fit), this.config.minTileSize);
+    },
+
+    /**
+     * Geometry record stored with results for tiles of tileSize CSS pixels
+     */
+    describe(tileSize) {
+        const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+        return {
+            calibrated: this.isCalibrated(),
+            distanceMm: this.getDistanceMm(),
+            pxPerMm: round(this.getPxPerMm()),
+            tileSizePx: round(tileSize, 2),
+            tileSizeMm: round(tileSize / this.getPxPerMm(), 2),
+            tileAngle: round(this.pixelsToAngle(tileSize)),
+            targetTileAngle: this.config.tileAngle
+        };
+    }
+};
+
+// Export
+window.ViewingGeometry = ViewingGeometry;